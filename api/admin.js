@@ -0,0 +1,342 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const rateLimit = require('express-rate-limit');
+
+const siteManager = require('../utils/site-manager');
+const dashboardStats = require('../utils/dashboard-stats');
+const accessLists = require('../utils/access-lists');
+const ipIntel = require('../utils/ip-intel');
+const { getClientIp } = require('../utils/network-analyzer');
+const { safeEqual } = require('../utils/token-manager');
+const { sessionStore } = require('../utils/session-store');
+
+// 管理后台页面
+const DASHBOARD_PAGE = path.join(__dirname, '..', 'views', 'admin.html');
+
+// 管理后台用户名和密码，未配置密码时不启用管理后台
+const ADMIN_USERNAME = process.env.INKTRUST_ADMIN_USERNAME || 'admin';
+const ADMIN_PASSWORD = process.env.INKTRUST_ADMIN_PASSWORD || null;
+
+// 统计时间范围及对应的趋势分段长度
+const RANGES = {
+  '5m': { duration: 5 * 60 * 1000, bucketSize: 30 * 1000 },
+  '1h': { duration: 60 * 60 * 1000, bucketSize: 5 * 60 * 1000 },
+  '24h': { duration: 24 * 60 * 60 * 1000, bucketSize: 60 * 60 * 1000 },
+  'all': { duration: null, bucketSize: 60 * 60 * 1000 }
+};
+
+// 会话列表的最大条数
+const MAX_SESSION_LIST_SIZE = 200;
+
+// 限制认证失败的尝试次数
+router.use(rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  keyGenerator: req => getClientIp(req) || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: '请求过于频繁，请稍后再试'
+  }
+}));
+
+router.use(requireAdmin);
+
+/**
+ * 校验管理后台的HTTP Basic认证
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_PASSWORD) {
+    return res.status(404).json({
+      success: false,
+      message: '管理后台未启用'
+    });
+  }
+
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  let username = '';
+  let password = '';
+
+  if (scheme === 'Basic' && encoded) {
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    username = decoded.slice(0, separator);
+    password = decoded.slice(separator + 1);
+  }
+
+  // 两项都要比较，避免通过响应时间判断用户名是否正确
+  const usernameValid = safeEqual(username, ADMIN_USERNAME);
+  const passwordValid = safeEqual(password, ADMIN_PASSWORD);
+
+  if (!usernameValid || !passwordValid) {
+    res.set('WWW-Authenticate', 'Basic realm="InkTrust Admin", charset="UTF-8"');
+    return res.status(401).json({
+      success: false,
+      message: '需要管理员认证'
+    });
+  }
+
+  // 记录在名单变更记录中的操作人
+  req.adminUser = username;
+  next();
+}
+
+/**
+ * 管理后台页面
+ */
+router.get('/', (req, res) => {
+  res.sendFile(DASHBOARD_PAGE);
+});
+
+/**
+ * 获取统计数据
+ * 查询参数：range（5m、1h、24h或all，默认1h）、siteKey（只统计指定站点）
+ */
+router.get('/api/summary', async (req, res) => {
+  try {
+    const range = RANGES[req.query.range] || RANGES['1h'];
+    const sessions = await listSessions(req.query, range);
+
+    res.json({
+      success: true,
+      generatedAt: Date.now(),
+      sites: siteManager.getSites().map(site => ({ siteKey: site.siteKey, name: site.name })),
+      stats: dashboardStats.aggregateSessions(sessions, { bucketSize: range.bucketSize })
+    });
+  } catch (error) {
+    console.error('获取管理后台统计错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取统计数据时发生错误'
+    });
+  }
+});
+
+/**
+ * 获取最近的会话列表
+ * 查询参数：range、siteKey、status、limit（默认50）
+ */
+router.get('/api/sessions', async (req, res) => {
+  try {
+    const range = RANGES[req.query.range] || RANGES['1h'];
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_SESSION_LIST_SIZE);
+    const sessions = (await listSessions(req.query, range))
+      .filter(session => !req.query.status || session.status === req.query.status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({
+      success: true,
+      total: sessions.length,
+      sessions: sessions.slice(0, limit).map(dashboardStats.summarizeSession)
+    });
+  } catch (error) {
+    console.error('获取管理后台会话列表错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取会话列表时发生错误'
+    });
+  }
+});
+
+/**
+ * 获取单个会话的客户端信息、事件和分析结果
+ */
+router.get('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await sessionStore.get(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: '会话不存在'
+      });
+    }
+
+    res.json({
+      success: true,
+      session: dashboardStats.toSessionDetail(session)
+    });
+  } catch (error) {
+    console.error('获取管理后台会话详情错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取会话详情时发生错误'
+    });
+  }
+});
+
+/**
+ * 校验路径中的站点
+ */
+function requireSite(req, res, next) {
+  if (!siteManager.getSiteByKey(req.params.siteKey)) {
+    return res.status(404).json({
+      success: false,
+      message: '站点不存在'
+    });
+  }
+
+  next();
+}
+
+/**
+ * 获取站点名单
+ * 查询参数：includeExpired（为true时包括已过期的名单项）
+ */
+router.get('/api/sites/:siteKey/access-lists', requireSite, (req, res) => {
+  res.json({
+    success: true,
+    entries: accessLists.list(req.params.siteKey, { includeExpired: req.query.includeExpired === 'true' })
+  });
+});
+
+/**
+ * 获取站点名单的变更记录
+ * 查询参数：entryId（只返回指定名单项的记录）、limit（默认100）
+ */
+router.get('/api/sites/:siteKey/access-lists/changes', requireSite, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      changes: await accessLists.getChanges(req.params.siteKey, {
+        entryId: req.query.entryId,
+        limit: parseInt(req.query.limit, 10) || 100
+      })
+    });
+  } catch (error) {
+    console.error('获取站点名单变更记录错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取名单变更记录时发生错误'
+    });
+  }
+});
+
+/**
+ * 添加名单项
+ * 请求体：{ type, value, header, action, expiresAt, note }
+ */
+router.post('/api/sites/:siteKey/access-lists', requireSite, async (req, res) => {
+  try {
+    const { entry, error } = await accessLists.add(req.params.siteKey, req.body || {}, req.adminUser);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    console.error('添加名单项错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '添加名单项时发生错误'
+    });
+  }
+});
+
+/**
+ * 修改名单项（只修改请求体中提供的字段）
+ */
+router.patch('/api/sites/:siteKey/access-lists/:entryId', requireSite, async (req, res) => {
+  try {
+    const result = await accessLists.update(req.params.siteKey, req.params.entryId, req.body || {}, req.adminUser);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: '名单项不存在'
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      entry: result.entry
+    });
+  } catch (error) {
+    console.error('修改名单项错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '修改名单项时发生错误'
+    });
+  }
+});
+
+/**
+ * 删除名单项
+ */
+router.delete('/api/sites/:siteKey/access-lists/:entryId', requireSite, async (req, res) => {
+  try {
+    const removed = await accessLists.remove(req.params.siteKey, req.params.entryId, req.adminUser);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: '名单项不存在'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('删除名单项错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '删除名单项时发生错误'
+    });
+  }
+});
+
+/**
+ * 获取当前IP情报数据的统计
+ */
+router.get('/api/ip-intel', (req, res) => {
+  res.json({
+    success: true,
+    stats: ipIntel.getStats()
+  });
+});
+
+/**
+ * 重新加载IP情报数据，加载失败时继续使用之前的数据
+ */
+router.post('/api/ip-intel/reload', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: ipIntel.reload()
+    });
+  } catch (error) {
+    console.error('重新加载IP情报数据错误:', error);
+    res.status(500).json({
+      success: false,
+      message: `重新加载IP情报数据失败: ${error.message}`
+    });
+  }
+});
+
+/**
+ * 获取时间范围内的会话（可按站点过滤）
+ */
+async function listSessions(query, range) {
+  const since = range.duration ? Date.now() - range.duration : 0;
+
+  return (await sessionStore.list()).filter(session => {
+    return session.createdAt >= since && (!query.siteKey || session.siteKey === query.siteKey);
+  });
+}
+
+module.exports = router;
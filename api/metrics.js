@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+
+const { registry } = require('../utils/metrics');
+const { safeEqual } = require('../utils/token-manager');
+
+// 抓取指标使用的令牌（Authorization: Bearer <令牌>）
+const METRICS_TOKEN = process.env.INKTRUST_METRICS_TOKEN || null;
+
+// 配置了独立端口时，指标只在该端口（默认绑定127.0.0.1）上提供
+const METRICS_PORT = process.env.INKTRUST_METRICS_PORT || null;
+
+/**
+ * 校验抓取权限
+ * 配置了令牌时必须携带令牌；未配置令牌时只允许通过独立端口访问
+ */
+function authorizeScrape(req, res, next) {
+  if (METRICS_TOKEN) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token || !safeEqual(token, METRICS_TOKEN)) {
+      return res.status(401).json({
+        success: false,
+        message: '令牌无效'
+      });
+    }
+  } else if (!METRICS_PORT) {
+    return res.status(404).json({
+      success: false,
+      message: '指标接口未启用'
+    });
+  }
+
+  next();
+}
+
+/**
+ * 获取Prometheus格式的运行指标
+ */
+router.get('/', authorizeScrape, async (req, res) => {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    console.error('获取运行指标错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取运行指标时发生错误'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,36 +3,145 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const UAParser = require('ua-parser-js');
 const rateLimit = require('express-rate-limit');
+const ipaddr = require('ipaddr.js');
 
 // 导入分析模块
 const automationDetector = require('../utils/automation-detector');
 const behaviorAnalyzer = require('../utils/behavior-analyzer');
 const networkAnalyzer = require('../utils/network-analyzer');
 const fingerprintAnalyzer = require('../utils/fingerprint-analyzer');
+const realmConsistency = require('../utils/realm-consistency');
+const tokenManager = require('../utils/token-manager');
+const siteManager = require('../utils/site-manager');
+const policyEngine = require('../utils/policy-engine');
+const powChallenge = require('../utils/pow-challenge');
+const interactiveChallenge = require('../utils/interactive-challenge');
+const sessionBinding = require('../utils/session-binding');
+const telemetryAuth = require('../utils/telemetry-auth');
+const webhookDispatcher = require('../utils/webhook-dispatcher');
+const metrics = require('../utils/metrics');
+const auditLog = require('../utils/audit-log');
+const sessionCapture = require('../utils/session-capture');
+const reputationAnalyzer = require('../utils/reputation-analyzer');
+const accessLists = require('../utils/access-lists');
+const feedbackStore = require('../utils/feedback-store');
+const { verifySession, collectSignals, getSiteThresholds, buildFacts } = require('../utils/session-verifier');
+const { sessionStore } = require('../utils/session-store');
+
+// 触发实时行为分析所需的事件数量
+const EARLY_BEHAVIOR_ANALYSIS_EVENTS = 10;
+
+// 单次批量上报的最大事件数量
+const MAX_EVENT_BATCH_SIZE = 200;
+
+// 事件签名校验失败时的HTTP状态码（未列出的为400）
+const TELEMETRY_ERROR_STATUS = {
+  'unsigned': 401,
+  'invalid-signature': 401,
+  'stale-payload': 409,
+  'duplicate-batch': 409,
+  'out-of-order': 409
+};
+
+// 每个站点独立的速率限制中间件（按站点密钥缓存）
+const siteLimiters = new Map();
 
-// 存储验证会话的内存数据库（在实际生产环境中应使用持久化存储）
-const sessions = {};
+/**
+ * 解析请求所属的站点
+ * 站点密钥可以通过请求体、查询参数或X-InkTrust-Site-Key请求头传递
+ */
+function resolveSite(req, res, next) {
+  const siteKey = (req.body && req.body.siteKey) ||
+    req.query.siteKey ||
+    req.headers['x-inktrust-site-key'];
 
-// 创建速率限制中间件
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15分钟
-  max: 100, // 每个IP在windowMs内最多100个请求
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
-    success: false,
-    message: '请求过于频繁，请稍后再试'
+  if (!siteKey) {
+    return res.status(400).json({
+      success: false,
+      message: '缺少站点密钥'
+    });
   }
-});
 
-// 应用速率限制
-router.use(apiLimiter);
+  const site = siteManager.getSiteByKey(siteKey);
+  if (!site) {
+    return res.status(403).json({
+      success: false,
+      message: '站点密钥无效'
+    });
+  }
+
+  req.site = site;
+  next();
+}
+
+/**
+ * 按站点配置进行速率限制
+ */
+function siteRateLimit(req, res, next) {
+  const { site } = req;
+
+  if (!siteLimiters.has(site.siteKey)) {
+    siteLimiters.set(site.siteKey, rateLimit({
+      windowMs: site.rateLimit.windowMs,
+      max: site.rateLimit.max,
+      // 按解析出的客户端IP计数，客户端填写的转发请求头不会影响计数
+      keyGenerator: req => networkAnalyzer.getClientIp(req) || req.ip,
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: {
+        success: false,
+        message: '请求过于频繁，请稍后再试'
+      },
+      handler: (req, res, next, options) => {
+        metrics.recordRateLimitRejection(site.siteKey);
+        res.status(options.statusCode).json(options.message);
+      }
+    }));
+  }
+
+  return siteLimiters.get(site.siteKey)(req, res, next);
+}
+
+/**
+ * 获取属于当前站点的会话，其他站点的会话视为不存在
+ */
+async function getSiteSession(req, sessionId) {
+  const session = await sessionStore.get(sessionId);
+
+  if (!session || session.siteKey !== req.site.siteKey) {
+    return null;
+  }
+
+  // 检查请求是否来自调用 /init 的客户端，不匹配时记录在会话中作为评分依据
+  req.bindingMismatches = [];
+  if (session.binding) {
+    req.bindingMismatches = sessionBinding.checkBinding(session.binding, req, networkAnalyzer.getClientIp(req));
+
+    if (req.bindingMismatches.length > 0) {
+      sessionBinding.recordViolation(session, req.route.path, req.bindingMismatches);
+      await sessionStore.put(session);
+    }
+  }
+
+  return session;
+}
 
 /**
  * 初始化验证会话
  */
-router.post('/init', async (req, res) => {
+router.post('/init', resolveSite, siteRateLimit, async (req, res) => {
   try {
+    const { site } = req;
+    const hostname = getRequestHostname(req);
+
+    // 检查请求页面是否属于该站点
+    if (!siteManager.isHostnameAllowed(site, hostname)) {
+      return res.status(403).json({
+        success: false,
+        message: '主机名不在站点允许的列表中'
+      });
+    }
+
     const sessionId = uuidv4();
     const timestamp = Date.now();
 
@@ -46,6 +155,9 @@ router.post('/init', async (req, res) => {
     // 收集客户端信息
     const clientInfo = {
       ip,
+      // 连接的对端地址，经过代理时为代理的地址
+      remoteAddress: req.socket ? req.socket.remoteAddress : null,
+      hostname,
       userAgent: req.headers['user-agent'],
       parsedUserAgent: userAgent,
       headers: req.headers,
@@ -55,7 +167,10 @@ router.post('/init', async (req, res) => {
       webglFingerprint: req.body.webglFingerprint || null,
       webglVendor: req.body.webglVendor || null,
       webglRenderer: req.body.webglRenderer || null,
+      webglUnmaskedVendor: req.body.webglUnmaskedVendor || null,
+      webglUnmaskedRenderer: req.body.webglUnmaskedRenderer || null,
       audioFingerprint: req.body.audioFingerprint || null,
+      lies: fingerprintAnalyzer.normalizeLies(req.body.lies),
       // 设备信息
       screenResolution: req.body.screenResolution || null,
       colorDepth: req.body.colorDepth || null,
@@ -82,52 +197,75 @@ router.post('/init', async (req, res) => {
       adBlocker: req.body.adBlocker || false,
       // 浏览器自动化特征
       webdriver: req.body.webdriver || false,
-      automationFlags: req.body.automationFlags || null,
+      automationFlags: automationDetector.normalizeAutomationFlags(req.body.automationFlags),
+      probes: automationDetector.normalizeProbes(req.body.probes),
+      // Worker和iframe中收集的属性
+      realms: realmConsistency.normalizeRealms(req.body.realms),
       // 网络信息
       connectionType: req.body.connectionType || null,
       connectionSpeed: req.body.connectionSpeed || null
     };
 
+    // 将会话绑定到当前客户端，会话密钥只在此处返回一次
+    const { secret: sessionSecret, binding } = sessionBinding.createBinding(ip, clientInfo);
+
+    // 事件签名密钥，SDK用它对每批上报的事件签名
+    const telemetryKey = telemetryAuth.createKey();
+
     // 创建新会话
-    sessions[sessionId] = {
+    const session = {
       id: sessionId,
+      siteKey: site.siteKey,
       createdAt: timestamp,
       status: 'pending',
+      binding,
+      telemetry: { key: telemetryKey },
       clientInfo,
       events: [],
       analysis: {
         automation: null,
         behavior: null,
         network: null,
-        fingerprint: null
+        fingerprint: null,
+        reputation: null
       }
     };
 
-    // 进行初步自动化检测
-    const automationResult = automationDetector.detectAutomation(clientInfo);
-    sessions[sessionId].analysis.automation = automationResult;
+    // 站点名单在所有分析器之前检查：放行和拦截直接决定结果，挑战仍然进行分析
+    const listEntry = accessLists.match(site.siteKey, {
+      ip,
+      userAgent: clientInfo.userAgent,
+      headers: req.headers,
+      fingerprintHash: fingerprintAnalyzer.getFingerprintHash(clientInfo)
+    });
+    session.policyVersion = policyEngine.getPolicyVersion();
 
-    // 进行初步指纹分析
-    const fingerprintResult = fingerprintAnalyzer.analyzeFingerprint(clientInfo);
-    sessions[sessionId].analysis.fingerprint = fingerprintResult;
+    if (listEntry) {
+      session.accessList = accessLists.toSessionMatch(listEntry);
+    }
 
-    // 进行初步网络分析
-    const networkResult = await networkAnalyzer.analyzeNetwork(clientInfo, req);
-    sessions[sessionId].analysis.network = networkResult;
+    if (listEntry && listEntry.action === 'block') {
+      session.status = 'rejected';
+      session.rejectionReason = session.accessList.reason;
+    } else if (!listEntry || listEntry.action === 'challenge') {
+      await analyzeNewSession(session, req, site);
+    }
 
-    // 如果检测到明显的自动化工具，直接标记为机器人
-    if (automationResult.isAutomated && automationResult.automationScore > 80) {
-      sessions[sessionId].status = 'rejected';
-      sessions[sessionId].rejectionReason = `检测到自动化工具: ${automationResult.detectedTools.join(', ')}`;
+    await sessionStore.put(session);
+
+    if (session.status === 'rejected') {
+      recordStatusChange(site, session, 'init');
     }
 
     res.json({
       success: true,
       sessionId,
+      sessionSecret,
+      telemetryKey,
       timestamp,
       // 如果已经被拒绝，返回状态
-      status: sessions[sessionId].status,
-      rejectionReason: sessions[sessionId].rejectionReason || null
+      status: session.status,
+      rejectionReason: session.rejectionReason || null
     });
   } catch (error) {
     console.error('初始化验证会话错误:', error);
@@ -140,122 +278,351 @@ router.post('/init', async (req, res) => {
 
 /**
  * 记录用户行为事件
+ * 请求体为 { seq, type, data }，签名上报时作为payload的内容
  */
-router.post('/event/:sessionId', (req, res) => {
+router.post('/event/:sessionId', resolveSite, siteRateLimit, async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const { type, data } = req.body;
+    await recordEvents(req, res, ({ seq, type, data }) => [{ seq, type, data }]);
+  } catch (error) {
+    console.error('记录用户行为事件错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '记录用户行为事件时发生错误'
+    });
+  }
+});
 
-    if (!sessions[sessionId]) {
-      return res.status(404).json({
-        success: false,
-        message: '会话不存在'
-      });
+/**
+ * 批量记录用户行为事件
+ * 请求体为 { events: [{ seq, type, data }] }，也接受navigator.sendBeacon发送的text/plain请求体
+ */
+router.post('/events/:sessionId', express.text({ type: 'text/plain', limit: '1mb' }), parseBeaconBody, resolveSite, siteRateLimit, async (req, res) => {
+  try {
+    await recordEvents(req, res, ({ events }) => {
+      return Array.isArray(events) ? events.map(({ seq, type, data }) => ({ seq, type, data })) : events;
+    });
+  } catch (error) {
+    console.error('批量记录用户行为事件错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '批量记录用户行为事件时发生错误'
+    });
+  }
+});
+
+/**
+ * 将事件写入会话并在事件足够时进行实时行为分析
+ * 单个事件和批量事件共用此逻辑，保证两种上报方式的分析结果一致
+ * @param {Function} readEvents 从请求体（签名上报时为payload）中读取事件列表
+ */
+async function recordEvents(req, res, readEvents) {
+  const { sessionId } = req.params;
+  const session = await getSiteSession(req, sessionId);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: '会话不存在'
+    });
+  }
+
+  // 如果会话已经被拒绝，不再接受事件
+  if (session.status === 'rejected') {
+    return res.json({
+      success: false,
+      message: '会话已被拒绝',
+      rejectionReason: session.rejectionReason || null,
+      interactiveChallenge: canOfferInteractiveChallenge(session, req.site)
+    });
+  }
+
+  // /init 签发了签名密钥的会话只接受签名的事件批次
+  let source = req.body;
+  let batchSeq;
+
+  if (session.telemetry) {
+    let check = telemetryAuth.verifyBatch(session, req.body);
+
+    // 同一批次并发重放时，只有一个请求能占用批次序列号
+    if (check.valid && !(await sessionStore.claim(`telemetry:${sessionId}:${check.batch.batchSeq}`, telemetryAuth.REPLAY_WINDOW))) {
+      check = { valid: false, error: 'duplicate-batch' };
     }
 
-    // 如果会话已经被拒绝，不再接受事件
-    if (sessions[sessionId].status === 'rejected') {
-      return res.json({
+    if (!check.valid) {
+      // 被拒绝的批次记录在会话中，作为请求模式分析的依据
+      telemetryAuth.recordRejection(session, check.error);
+      await sessionStore.put(session);
+
+      return res.status(TELEMETRY_ERROR_STATUS[check.error] || 400).json({
         success: false,
-        message: '会话已被拒绝',
-        rejectionReason: sessions[sessionId].rejectionReason || null
+        errorCodes: [check.error],
+        message: '事件签名校验失败'
       });
     }
 
-    // 添加事件到会话
-    const event = {
+    source = check.batch;
+    batchSeq = check.batch.batchSeq;
+  }
+
+  const rawEvents = readEvents(source);
+
+  if (!Array.isArray(rawEvents) || rawEvents.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: '缺少事件列表'
+    });
+  }
+
+  if (rawEvents.length > MAX_EVENT_BATCH_SIZE) {
+    return res.status(413).json({
+      success: false,
+      message: `单次最多提交${MAX_EVENT_BATCH_SIZE}个事件`
+    });
+  }
+
+  const receivedAt = Date.now();
+  const newEvents = rawEvents.map(({ seq, type, data }) => {
+    // 使用客户端记录的时间戳，使批量到达的事件保留真实的时间间隔
+    const clientTimestamp = data && typeof data.timestamp === 'number' ? data.timestamp : null;
+    return {
+      seq: Number.isInteger(seq) ? seq : undefined,
       type,
       data,
-      timestamp: Date.now(),
+      timestamp: clientTimestamp || receivedAt,
+      receivedAt,
+      batchSeq,
       headers: req.headers
     };
+  });
+
+  // 按去重后的序列号计算是否触发实时分析，重试重复发送的事件不计入，逐个上报和批量上报的触发时机一致
+  const orderedEvents = behaviorAnalyzer.orderEvents(session.events.concat(newEvents));
+  const events = getContiguousEvents(orderedEvents);
+
+  if (!(await sessionStore.appendEvents(sessionId, newEvents))) {
+    return res.status(404).json({
+      success: false,
+      message: '会话不存在'
+    });
+  }
 
-    sessions[sessionId].events.push(event);
+  // 如果连续的事件数量足够，进行实时行为分析（放行名单中的会话不分析）
+  if (events.length >= EARLY_BEHAVIOR_ANALYSIS_EVENTS && !session.analysis.behavior &&
+      siteManager.isAnalyzerEnabled(req.site, 'behavior') && !isAllowListed(session)) {
+    // 只分析前N个连续事件，与逐个上报时触发分析的时机保持一致
+    const behaviorResult = metrics.timeAnalyzer('behavior', () => {
+      return behaviorAnalyzer.analyzeBehavior(events.slice(0, EARLY_BEHAVIOR_ANALYSIS_EVENTS));
+    });
+    session.analysis.behavior = behaviorResult;
+
+    // 检查策略中event阶段的硬性规则
+    const eventRule = policyEngine.matchRule('event', buildFacts(session, req, req.site));
+    session.policyVersion = policyEngine.getPolicyVersion();
+
+    if (eventRule && eventRule.action === 'block') {
+      session.status = 'rejected';
+      session.rejectionReason = eventRule.reason || `命中拦截规则: ${eventRule.id}`;
+    } else if (!eventRule && !behaviorResult.isHuman &&
+        behaviorResult.score < policyEngine.getThreshold('event')) {
+      // 如果行为分析显示不是人类且分数很低，标记为机器人（真实用户可以通过交互挑战恢复）
+      session.status = 'rejected';
+      session.rejectionReason = '行为模式与机器人相似';
+      session.recoverable = true;
+    }
 
-    // 如果事件数量足够，进行实时行为分析
-    if (sessions[sessionId].events.length >= 10 && !sessions[sessionId].analysis.behavior) {
-      const behaviorResult = behaviorAnalyzer.analyzeBehavior(sessions[sessionId].events);
-      sessions[sessionId].analysis.behavior = behaviorResult;
+    await sessionStore.put(session);
 
-      // 如果行为分析显示不是人类且分数很低，标记为机器人
-      if (!behaviorResult.isHuman && behaviorResult.score < 30) {
-        sessions[sessionId].status = 'rejected';
-        sessions[sessionId].rejectionReason = '行为模式与机器人相似';
+    if (session.status === 'rejected') {
+      recordStatusChange(req.site, session, 'event');
 
-        return res.json({
-          success: false,
-          message: '会话已被拒绝',
-          rejectionReason: sessions[sessionId].rejectionReason
-        });
-      }
+      return res.json({
+        success: false,
+        message: '会话已被拒绝',
+        rejectionReason: session.rejectionReason,
+        interactiveChallenge: canOfferInteractiveChallenge(session, req.site)
+      });
     }
+  }
 
-    res.json({
-      success: true,
-      eventsCount: sessions[sessionId].events.length
-    });
+  res.json({
+    success: true,
+    eventsCount: orderedEvents.length
+  });
+}
+
+/**
+ * 获取从序列号1开始连续的事件前缀
+ * 批量或乱序到达时，前面的事件可能尚未到达，此时不应提前分析后面的事件
+ */
+function getContiguousEvents(events) {
+  const index = events.findIndex((event, i) => typeof event.seq === 'number' && event.seq !== i + 1);
+  return index === -1 ? events : events.slice(0, index);
+}
+
+/**
+ * 对新会话进行初步分析，并检查init阶段的硬性规则和自动化分数
+ */
+async function analyzeNewSession(session, req, site) {
+  const { clientInfo } = session;
+
+  // 进行初步自动化检测
+  const automationResult = siteManager.isAnalyzerEnabled(site, 'automation') ?
+    metrics.timeAnalyzer('automation', () => automationDetector.detectAutomation(clientInfo)) : null;
+  session.analysis.automation = automationResult;
+
+  // 进行初步指纹分析
+  if (siteManager.isAnalyzerEnabled(site, 'fingerprint')) {
+    session.analysis.fingerprint = metrics.timeAnalyzer('fingerprint', () => fingerprintAnalyzer.analyzeFingerprint(clientInfo));
+  }
+
+  // 进行初步网络分析
+  if (siteManager.isAnalyzerEnabled(site, 'network')) {
+    session.analysis.network = await metrics.timeAnalyzer('network', () => networkAnalyzer.analyzeNetwork(clientInfo, req));
+  }
+
+  // 记录设备、IP和网段的历史并分析信誉（依赖指纹分析的结果）
+  if (siteManager.isAnalyzerEnabled(site, 'reputation')) {
+    try {
+      const features = await metrics.timeAnalyzer('reputation', () => reputationAnalyzer.observe(session));
+      session.analysis.reputation = reputationAnalyzer.analyzeReputation(features);
+    } catch (error) {
+      // 信誉存储不可用时跳过信誉分析
+      console.error('信誉分析错误:', error);
+    }
+  }
+
+  // 检查策略中init阶段的硬性规则
+  const initRule = policyEngine.matchRule('init', buildFacts(session, req, site));
+
+  if (initRule && initRule.action === 'block') {
+    session.status = 'rejected';
+    session.rejectionReason = initRule.reason || `命中拦截规则: ${initRule.id}`;
+  } else if (!initRule && automationResult && automationResult.isAutomated &&
+      automationResult.automationScore > policyEngine.getThreshold('init')) {
+    // 如果检测到明显的自动化工具，直接标记为机器人
+    session.status = 'rejected';
+    session.rejectionReason = `检测到自动化工具: ${automationResult.detectedTools.join(', ')}`;
+  }
+}
+
+/**
+ * 会话是否命中了站点的放行名单
+ */
+function isAllowListed(session) {
+  return !!session.accessList && session.accessList.action === 'allow';
+}
+
+/**
+ * 解析navigator.sendBeacon发送的text/plain请求体
+ */
+function parseBeaconBody(req, res, next) {
+  if (typeof req.body !== 'string') {
+    return next();
+  }
+
+  try {
+    req.body = JSON.parse(req.body);
+    next();
   } catch (error) {
-    console.error('记录用户行为事件错误:', error);
-    res.status(500).json({
+    res.status(400).json({
       success: false,
-      message: '记录用户行为事件时发生错误'
+      message: '请求体格式错误'
     });
   }
-});
+}
 
 /**
  * 验证会话
  */
-router.post('/verify/:sessionId', async (req, res) => {
+router.post('/verify/:sessionId', resolveSite, siteRateLimit, async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const session = await getSiteSession(req, sessionId);
 
-    if (!sessions[sessionId]) {
+    if (!session) {
       return res.status(404).json({
         success: false,
         message: '会话不存在'
       });
     }
 
-    const session = sessions[sessionId];
-
-    // 如果会话已经被验证过，直接返回结果
+    // 如果会话已经被验证过，直接返回结果（令牌只在首次验证时签发）
     if (session.status !== 'pending') {
+      const result = {
+        isHuman: session.status === 'verified',
+        outcome: session.status,
+        score: session.verificationScore || 0,
+        policyVersion: session.policyVersion || null,
+        reasons: session.rejectionReason ? [session.rejectionReason] : [],
+        breakdown: session.verificationBreakdown || [],
+        automationDetected: session.analysis.automation?.isAutomated || false,
+        detectedTools: session.analysis.automation?.detectedTools || []
+      };
+
+      // 挑战过期后重新出题
+      if (session.status === 'challenged') {
+        const challengeModule = getChallengeModule(session.challenge);
+        if (challengeModule.isExpired(session.challenge)) {
+          session.challenge = renewChallenge(session.challenge);
+          await sessionStore.put(session);
+        }
+        result.challenge = challengeModule.toPublicChallenge(session.challenge);
+      }
+
+      if (session.status === 'rejected') {
+        result.interactiveChallenge = canOfferInteractiveChallenge(session, req.site);
+      }
+
       return res.json({
         success: true,
-        result: {
-          isHuman: session.status === 'verified',
-          score: session.verificationScore || 0,
-          reasons: session.rejectionReason ? [session.rejectionReason] : [],
-          automationDetected: session.analysis.automation?.isAutomated || false,
-          detectedTools: session.analysis.automation?.detectedTools || []
-        }
+        result
       });
     }
 
     // 如果还没有行为分析，先进行分析
-    if (!session.analysis.behavior && session.events.length > 0) {
-      session.analysis.behavior = behaviorAnalyzer.analyzeBehavior(session.events);
+    if (!session.analysis.behavior && session.events.length > 0 &&
+        siteManager.isAnalyzerEnabled(req.site, 'behavior') && !isAllowListed(session)) {
+      session.analysis.behavior = metrics.timeAnalyzer('behavior', () => {
+        return behaviorAnalyzer.analyzeBehavior(behaviorAnalyzer.orderEvents(session.events));
+      });
     }
 
     // 执行完整验证逻辑
-    const verificationResult = await verifySession(session, req);
+    const verificationResult = await verifySession(session, req, req.site);
 
     // 更新会话状态
-    session.status = verificationResult.isHuman ? 'verified' : 'rejected';
+    session.status = verificationResult.outcome;
     session.verifiedAt = Date.now();
     session.verificationScore = verificationResult.score;
+    session.verificationBreakdown = verificationResult.breakdown;
+    session.verificationReasons = verificationResult.reasons;
+    session.policyVersion = verificationResult.policyVersion;
+
+    metrics.recordVerification(req.site.siteKey, verificationResult.score, session.events.length);
 
-    if (!verificationResult.isHuman) {
+    if (verificationResult.outcome === 'rejected') {
       session.rejectionReason = verificationResult.reasons.join(', ');
+      // 命中拦截规则的会话不能通过交互挑战恢复
+      session.recoverable = !verificationResult.rule;
+      verificationResult.interactiveChallenge = canOfferInteractiveChallenge(session, req.site);
     }
 
-    // 清理会话中的大型数据，减少内存占用
-    if (session.events.length > 50) {
-      // 只保留前50个事件
-      session.events = session.events.slice(0, 50);
+    if (verificationResult.outcome === 'challenged') {
+      // 灰色地带的会话需要完成工作量证明，风险越高难度越大
+      const difficulty = powChallenge.getDifficulty(verificationResult.score, getSiteThresholds(req.site));
+      session.challenge = powChallenge.createChallenge(difficulty);
+      verificationResult.challenge = powChallenge.toPublicChallenge(session.challenge);
+    } else {
+      // 签发一次性验证令牌，由接入方后端通过 /siteverify 兑换
+      const { token, payload } = issueSessionToken(session, verificationResult.isHuman);
+      verificationResult.token = token;
+      verificationResult.tokenExpiresAt = payload.expiresAt;
     }
 
+    await sessionStore.put(session);
+
+    recordStatusChange(req.site, session, 'verify');
+
     res.json({
       success: true,
       result: verificationResult
@@ -270,305 +637,689 @@ router.post('/verify/:sessionId', async (req, res) => {
 });
 
 /**
- * 获取会话状态
+ * 为被动验证未通过的会话获取交互挑战
+ * 请求体为 { type }，type为slider（默认）或text（无障碍文字问答）
  */
-router.get('/status/:sessionId', (req, res) => {
+router.post('/challenge/:sessionId', resolveSite, siteRateLimit, async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const type = req.body.type || 'slider';
+
+    if (!interactiveChallenge.TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: '不支持的挑战类型'
+      });
+    }
+
+    const session = await getSiteSession(req, sessionId);
 
-    if (!sessions[sessionId]) {
+    if (!session) {
       return res.status(404).json({
         success: false,
         message: '会话不存在'
       });
     }
 
-    const session = sessions[sessionId];
+    // 会话被转交给其他客户端时不允许通过挑战升级
+    if (sessionBinding.hasStrongMismatch(req.bindingMismatches)) {
+      return res.status(403).json({
+        success: false,
+        errorCodes: ['session-binding-mismatch'],
+        message: '请求与会话绑定的客户端不一致'
+      });
+    }
+
+    if (!canOfferInteractiveChallenge(session, req.site)) {
+      return res.status(403).json({
+        success: false,
+        errorCodes: ['challenge-not-allowed'],
+        message: '会话不能进行交互挑战',
+        status: session.status
+      });
+    }
+
+    if (type === 'text') {
+      const fingerprint = session.analysis.fingerprint;
+      const limited = await interactiveChallenge.reserveTextChallenge(sessionStore, req.site.siteKey, {
+        ip: networkAnalyzer.getClientIp(req),
+        device: (fingerprint && fingerprint.fingerprint) || (session.binding && session.binding.fingerprintHash)
+      });
+
+      if (limited) {
+        return res.status(429).json({
+          success: false,
+          errorCodes: ['text-challenge-rate-limited'],
+          message: '文字问答请求过于频繁，请稍后再试或使用滑块验证'
+        });
+      }
+    }
+
+    session.status = 'challenged';
+    session.challenge = interactiveChallenge.createChallenge(type);
+    session.interactiveChallengeCount = (session.interactiveChallengeCount || 0) + 1;
+
+    await sessionStore.put(session);
+
+    recordStatusChange(req.site, session, 'challenge');
 
     res.json({
       success: true,
-      status: session.status,
-      createdAt: session.createdAt,
-      verifiedAt: session.verifiedAt || null,
-      eventsCount: session.events.length,
-      rejectionReason: session.rejectionReason || null,
-      automationDetected: session.analysis.automation?.isAutomated || false,
-      detectedTools: session.analysis.automation?.detectedTools || []
+      challenge: interactiveChallenge.toPublicChallenge(session.challenge)
     });
   } catch (error) {
-    console.error('获取会话状态错误:', error);
+    console.error('获取交互挑战错误:', error);
     res.status(500).json({
       success: false,
-      message: '获取会话状态时发生错误'
+      message: '获取交互挑战时发生错误'
     });
   }
 });
 
 /**
- * 清理过期会话
+ * 提交挑战答案，通过后会话升级为已验证
+ * 工作量证明的请求体为 { challengeId, nonce }，
+ * 滑块为 { challengeId, position, trajectory }，文字问答为 { challengeId, answer, nonce, inputs }
  */
-function cleanupSessions() {
-  const now = Date.now();
-  const sessionIds = Object.keys(sessions);
+router.post('/solve/:sessionId', resolveSite, siteRateLimit, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await getSiteSession(req, sessionId);
 
-  for (const sessionId of sessionIds) {
-    const session = sessions[sessionId];
-    const sessionAge = now - session.createdAt;
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: '会话不存在'
+      });
+    }
 
-    // 删除超过24小时的会话
-    if (sessionAge > 24 * 60 * 60 * 1000) {
-      delete sessions[sessionId];
+    // 会话被转交给其他客户端时不允许通过挑战升级
+    if (sessionBinding.hasStrongMismatch(req.bindingMismatches)) {
+      return res.status(403).json({
+        success: false,
+        errorCodes: ['session-binding-mismatch'],
+        message: '请求与会话绑定的客户端不一致'
+      });
+    }
+
+    if (session.status !== 'challenged' || !session.challenge) {
+      return res.status(409).json({
+        success: false,
+        errorCodes: ['no-active-challenge'],
+        message: '会话没有待完成的挑战',
+        status: session.status
+      });
+    }
+
+    const { challenge } = session;
+    const challengeModule = getChallengeModule(challenge);
+    const check = challengeModule.verifySolution(challenge, req.body);
+
+    // 保存滑块拖动轨迹和文字问答输入的分析结果
+    if (check.metrics) {
+      session.analysis.interactive = {
+        type: challenge.type,
+        passed: check.valid,
+        metrics: check.metrics
+      };
+    }
+
+    if (!check.valid) {
+      // 过期不计入失败次数，客户端可以重新获取题目
+      if (check.error !== 'challenge-expired') {
+        challenge.attempts++;
+      }
+
+      if (challenge.attempts >= challengeModule.MAX_ATTEMPTS) {
+        session.status = 'rejected';
+        delete session.challenge;
+
+        if (challenge.type === 'pow') {
+          session.rejectionReason = '挑战失败次数过多';
+          session.recoverable = false;
+        } else {
+          session.rejectionReason = '交互挑战未通过';
+        }
+      }
+
+      await sessionStore.put(session);
+
+      if (session.status === 'rejected') {
+        recordStatusChange(req.site, session, 'challenge');
+      }
+
+      return res.status(400).json({
+        success: false,
+        errorCodes: [check.error],
+        message: '挑战答案无效',
+        status: session.status,
+        interactiveChallenge: canOfferInteractiveChallenge(session, req.site)
+      });
+    }
+
+    // 每道题目只能使用一次（通过会话存储在多实例之间共享使用记录）
+    const firstUse = await sessionStore.claim(`challenge:${challenge.id}`, Math.max(challenge.expiresAt - Date.now(), 1));
+    if (!firstUse) {
+      return res.status(409).json({
+        success: false,
+        errorCodes: ['challenge-already-used'],
+        message: '挑战已被使用'
+      });
     }
+
+    session.status = 'verified';
+    session.verifiedAt = Date.now();
+    session.challengePassed = challenge.type;
+    delete session.challenge;
+    delete session.rejectionReason;
+
+    const { token, payload } = issueSessionToken(session, true);
+
+    await sessionStore.put(session);
+
+    recordStatusChange(req.site, session, 'challenge');
+
+    res.json({
+      success: true,
+      result: {
+        isHuman: true,
+        outcome: 'verified',
+        score: session.verificationScore,
+        policyVersion: session.policyVersion,
+        challengePassed: session.challengePassed,
+        breakdown: session.verificationBreakdown || [],
+        token,
+        tokenExpiresAt: payload.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('提交挑战答案错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '提交挑战答案时发生错误'
+    });
   }
+});
+
+/**
+ * 获取挑战类型对应的模块
+ */
+function getChallengeModule(challenge) {
+  return challenge.type === 'pow' ? powChallenge : interactiveChallenge;
 }
 
-// 每小时清理一次过期会话
-setInterval(cleanupSessions, 60 * 60 * 1000);
+/**
+ * 为过期的挑战重新出题（保持原来的类型和难度）
+ */
+function renewChallenge(challenge) {
+  return challenge.type === 'pow' ?
+    powChallenge.createChallenge(challenge.difficulty) :
+    interactiveChallenge.createChallenge(challenge.type);
+}
 
 /**
- * 验证会话的逻辑
- * 集成了多种高级验证技术
+ * 检查会话是否可以通过交互挑战恢复
+ * 只有被动验证未通过（非拦截规则、非初始化时检测到自动化工具）的会话可以，且次数有限
  */
-async function verifySession(session, req) {
-  // 初始化结果对象
-  const result = {
-    isHuman: false,
-    score: 0,
-    reasons: [],
-    details: {}
-  };
-
-  // 1. 自动化工具检测
-  const automationResult = session.analysis.automation;
-  if (automationResult) {
-    result.details.automation = {
-      score: 100 - automationResult.automationScore, // 转换为人类分数
-      isAutomated: automationResult.isAutomated,
-      detectedTools: automationResult.detectedTools,
-      reasons: automationResult.reasons
-    };
+function canOfferInteractiveChallenge(session, site) {
+  if (site && site.interactiveChallenge === false) return false;
+  if (!session.recoverable) return false;
+  if ((session.interactiveChallengeCount || 0) >= interactiveChallenge.MAX_CHALLENGES) return false;
 
-    // 如果检测到自动化工具，大幅降低分数
-    if (automationResult.isAutomated) {
-      result.score -= 40;
-      result.reasons.push(`检测到自动化工具: ${automationResult.detectedTools.join(', ')}`);
-    } else {
-      result.score += 20;
+  return session.status === 'rejected' ||
+    (session.status === 'challenged' && !!session.challenge && session.challenge.type !== 'pow');
+}
+
+/**
+ * 为会话签发一次性验证令牌
+ */
+function issueSessionToken(session, isHuman) {
+  return tokenManager.issueToken({
+    siteKey: session.siteKey,
+    sessionId: session.id,
+    isHuman,
+    score: session.verificationScore,
+    policyVersion: session.policyVersion,
+    challengePassed: session.challengePassed || null,
+    hostname: session.clientInfo.hostname,
+    ip: session.clientInfo.ip,
+    sessionCreatedAt: session.createdAt
+  });
+}
+
+/**
+ * 记录会话状态变化：写入审计日志、计入运行指标和信誉历史、录制会话并向站点订阅的Webhook推送
+ * @param {Object} site 站点配置
+ * @param {Object} session 会话
+ * @param {string} stage 状态变化发生的阶段：init、event、verify或challenge
+ */
+function recordStatusChange(site, session, stage) {
+  const automation = session.analysis.automation;
+
+  auditLog.record({
+    sessionId: session.id,
+    siteKey: site.siteKey,
+    stage,
+    outcome: session.status,
+    score: typeof session.verificationScore === 'number' ? session.verificationScore : null,
+    policyVersion: session.policyVersion || null,
+    reason: session.status === 'rejected' ? session.rejectionReason || null : null,
+    challengePassed: session.challengePassed || null,
+    signals: collectSignals(session),
+    ip: session.clientInfo.ip
+  });
+
+  metrics.recordVerdict(site.siteKey, session.status, stage);
+
+  // 只有最终结果计入设备和IP的判定历史
+  if (session.analysis.reputation && ['verified', 'rejected'].includes(session.status)) {
+    reputationAnalyzer.recordVerdict(session, session.status);
+  }
+
+  // 挑战阶段的结果取决于用户能否完成挑战，不作为离线评估的样本
+  if (stage !== 'challenge') {
+    sessionCapture.record(session);
+  }
+
+  webhookDispatcher.dispatch(site, `session.${session.status}`, {
+    sessionId: session.id,
+    status: session.status,
+    stage,
+    score: typeof session.verificationScore === 'number' ? session.verificationScore : null,
+    policyVersion: session.policyVersion || null,
+    rejectionReason: session.status === 'rejected' ? session.rejectionReason || null : null,
+    challengeType: session.challenge ? session.challenge.type : null,
+    challengePassed: session.challengePassed || null,
+    automationScore: automation ? automation.automationScore : null,
+    detectedTools: automation ? automation.detectedTools : [],
+    ip: session.clientInfo.ip,
+    hostname: session.clientInfo.hostname,
+    userAgent: session.clientInfo.userAgent || null
+  });
+}
+
+/**
+ * 获取站点的Webhook死信列表（使用密钥认证）
+ */
+router.get('/webhooks/dead-letters', async (req, res) => {
+  try {
+    const site = siteManager.getSiteBySecret(req.headers['x-inktrust-secret']);
+
+    if (!site) {
+      return res.status(401).json({
+        success: false,
+        message: '密钥无效'
+      });
     }
+
+    res.json({
+      success: true,
+      siteKey: site.siteKey,
+      deadLetters: await webhookDispatcher.getDeadLetters(site.siteKey)
+    });
+  } catch (error) {
+    console.error('获取Webhook死信错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取Webhook死信时发生错误'
+    });
   }
+});
 
-  // 2. 行为分析
-  const behaviorResult = session.analysis.behavior;
-  if (behaviorResult) {
-    result.details.behavior = {
-      score: behaviorResult.score,
-      isHuman: behaviorResult.isHuman,
-      reasons: behaviorResult.reasons,
-      metrics: behaviorResult.metrics
-    };
+/**
+ * 重新投递Webhook死信（使用密钥认证）
+ */
+router.post('/webhooks/dead-letters/:deliveryId/replay', async (req, res) => {
+  try {
+    const site = siteManager.getSiteBySecret(req.headers['x-inktrust-secret']);
 
-    // 根据行为分析结果调整分数
-    result.score += behaviorResult.isHuman ? 30 : -30;
+    if (!site) {
+      return res.status(401).json({
+        success: false,
+        message: '密钥无效'
+      });
+    }
 
-    if (!behaviorResult.isHuman) {
-      result.reasons.push(`行为分析: ${behaviorResult.reasons.join(', ')}`);
+    const delivery = await webhookDispatcher.replayDeadLetter(site.siteKey, req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: '死信不存在'
+      });
     }
-  } else if (session.events.length < 5) {
-    // 如果事件太少，可能是机器人
-    result.score -= 20;
-    result.reasons.push('用户交互事件太少');
+
+    res.json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    console.error('重新投递Webhook死信错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '重新投递Webhook死信时发生错误'
+    });
   }
+});
 
-  // 3. 指纹分析
-  const fingerprintResult = session.analysis.fingerprint;
-  if (fingerprintResult) {
-    result.details.fingerprint = {
-      score: fingerprintResult.score,
-      fingerprint: fingerprintResult.fingerprint,
-      anomalies: fingerprintResult.anomalies
-    };
+/**
+ * 兑换验证令牌（服务端之间调用，使用密钥认证）
+ */
+router.post('/siteverify', async (req, res) => {
+  try {
+    const { secret, token, remoteip } = req.body || {};
 
-    // 根据指纹分析结果调整分数
-    result.score += (fingerprintResult.score - 50) / 2; // 归一化影响
+    if (!secret) {
+      return res.status(400).json({
+        success: false,
+        errorCodes: ['missing-input-secret'],
+        message: '缺少密钥'
+      });
+    }
+
+    const site = siteManager.getSiteBySecret(secret);
+    if (!site) {
+      return res.status(401).json({
+        success: false,
+        errorCodes: ['invalid-input-secret'],
+        message: '密钥无效'
+      });
+    }
+
+    if (!remoteip) {
+      return res.status(400).json({
+        success: false,
+        errorCodes: ['missing-input-remoteip'],
+        message: '缺少用户IP地址'
+      });
+    }
 
-    if (fingerprintResult.anomalies.length > 0) {
-      result.reasons.push(`指纹异常: ${fingerprintResult.anomalies.slice(0, 3).join(', ')}${fingerprintResult.anomalies.length > 3 ? '等' : ''}`);
+    const verification = tokenManager.verifyToken(token);
+    if (!verification.valid) {
+      return res.json({
+        success: false,
+        errorCodes: [verification.error],
+        message: '令牌无效或已过期'
+      });
     }
+
+    const { payload } = verification;
+
+    // 令牌只能由签发站点的密钥兑换
+    if (payload.siteKey !== site.siteKey) {
+      return res.json({
+        success: false,
+        errorCodes: ['site-mismatch'],
+        message: '令牌不属于该站点'
+      });
+    }
+
+    // 令牌只能从签发时的客户端IP兑换
+    if (normalizeIp(remoteip) !== normalizeIp(payload.ip)) {
+      return res.json({
+        success: false,
+        errorCodes: ['ip-mismatch'],
+        message: '用户IP地址与令牌不匹配'
+      });
+    }
+
+    // 令牌只能兑换一次（通过会话存储在多实例之间共享兑换记录）
+    const firstRedemption = await sessionStore.claim(`token:${payload.jti}`, Math.max(payload.expiresAt - Date.now(), 1));
+    if (!firstRedemption) {
+      return res.json({
+        success: false,
+        errorCodes: ['token-already-redeemed'],
+        message: '令牌已被兑换'
+      });
+    }
+
+    res.json({
+      success: true,
+      siteKey: payload.siteKey,
+      sessionId: payload.sessionId,
+      isHuman: payload.isHuman,
+      score: payload.score,
+      policyVersion: payload.policyVersion,
+      challengePassed: payload.challengePassed || null,
+      sessionAge: Date.now() - payload.sessionCreatedAt,
+      hostname: payload.hostname,
+      ip: payload.ip,
+      issuedAt: payload.issuedAt
+    });
+  } catch (error) {
+    console.error('兑换验证令牌错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '兑换验证令牌时发生错误'
+    });
   }
+});
+
+/**
+ * 获取站点的会话统计（服务端之间调用，使用密钥认证）
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const site = siteManager.getSiteBySecret(req.headers['x-inktrust-secret']);
 
-  // 4. 网络分析
-  const networkResult = session.analysis.network;
-  if (networkResult) {
-    result.details.network = {
-      score: networkResult.score,
-      proxied: networkResult.proxied,
-      vpnDetected: networkResult.vpnDetected,
-      datacenterIP: networkResult.datacenterIP,
-      ipTimezoneMatch: networkResult.ipTimezoneMatch
+    if (!site) {
+      return res.status(401).json({
+        success: false,
+        message: '密钥无效'
+      });
+    }
+
+    const stats = {
+      total: 0,
+      pending: 0,
+      verified: 0,
+      challenged: 0,
+      rejected: 0
     };
 
-    // 根据网络分析结果调整分数
-    result.score += (networkResult.score - 50) / 2; // 归一化影响
+    for (const session of await sessionStore.list()) {
+      if (session.siteKey !== site.siteKey) continue;
 
-    if (networkResult.reasons.length > 0) {
-      result.reasons.push(`网络分析: ${networkResult.reasons.slice(0, 2).join(', ')}${networkResult.reasons.length > 2 ? '等' : ''}`);
+      stats.total++;
+      if (stats[session.status] !== undefined) {
+        stats[session.status]++;
+      }
     }
-  }
 
-  // 5. 会话年龄检查
-  const sessionAge = Date.now() - session.createdAt;
-  if (sessionAge < 1000) {
-    // 会话太短（小于1秒）
-    result.score -= 30;
-    result.reasons.push('会话时间异常短');
-  } else if (sessionAge < 3000 && session.events.length > 10) {
-    // 短时间内产生大量事件
-    result.score -= 20;
-    result.reasons.push('短时间内产生大量事件');
+    res.json({
+      success: true,
+      siteKey: site.siteKey,
+      stats
+    });
+  } catch (error) {
+    console.error('获取站点统计错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取站点统计时发生错误'
+    });
   }
+});
 
-  // 6. 事件数量检查
-  if (session.events.length === 0) {
-    result.score -= 30;
-    result.reasons.push('没有用户交互事件');
-  }
+/**
+ * 提交会话的真实类型（服务端之间调用，使用密钥认证）
+ * 用于记录客服确认的误拦截用户或风控确认的漏过机器人
+ */
+router.post('/feedback/:sessionId', async (req, res) => {
+  try {
+    const site = siteManager.getSiteBySecret(req.headers['x-inktrust-secret']);
 
-  // 7. 检查是否有屏幕分辨率和时区信息
-  const hasDeviceInfo = session.clientInfo.screenResolution &&
-    session.clientInfo.timezone;
-  if (!hasDeviceInfo) {
-    result.score -= 15;
-    result.reasons.push('缺少关键设备信息');
-  }
+    if (!site) {
+      return res.status(401).json({
+        success: false,
+        message: '密钥无效'
+      });
+    }
 
-  // 8. 检查用户代理一致性
-  if (!session.clientInfo.userAgent ||
-      !session.clientInfo.parsedUserAgent ||
-      !session.clientInfo.parsedUserAgent.browser ||
-      !session.clientInfo.parsedUserAgent.os) {
-    result.score -= 15;
-    result.reasons.push('用户代理信息不完整');
-  }
+    const { label, note = null } = req.body;
 
-  // 9. 检查是否有可疑的请求头
-  const suspiciousHeaders = checkSuspiciousHeaders(req.headers);
-  if (suspiciousHeaders.length > 0) {
-    result.score -= 15;
-    result.reasons.push(`可疑的请求头: ${suspiciousHeaders.join(', ')}`);
-  }
+    if (!sessionCapture.LABELS.includes(label)) {
+      return res.status(400).json({
+        success: false,
+        message: `标注无效，应为: ${sessionCapture.LABELS.join(', ')}`
+      });
+    }
 
-  // 10. 检查是否有异常的请求模式
-  const requestPatternResult = analyzeRequestPattern(session);
-  if (requestPatternResult.suspicious) {
-    result.score -= 20;
-    result.reasons.push(`异常的请求模式: ${requestPatternResult.reason}`);
-  }
+    if (note !== null && (typeof note !== 'string' || note.length > feedbackStore.MAX_NOTE_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        message: `备注必须是不超过${feedbackStore.MAX_NOTE_LENGTH}个字符的字符串`
+      });
+    }
 
-  // 计算最终分数（基础分数为50）
-  result.score = Math.max(0, Math.min(100, result.score + 50));
+    const session = await sessionStore.get(req.params.sessionId);
 
-  // 判断是否为人类用户（分数大于等于60分）
-  result.isHuman = result.score >= 60;
+    if (!session || session.siteKey !== site.siteKey) {
+      return res.status(404).json({
+        success: false,
+        message: '会话不存在或已过期'
+      });
+    }
 
-  return result;
-}
+    const entry = await feedbackStore.record(session, label, note);
+
+    session.feedback = { label, note, labeledAt: entry.labeledAt };
+    await sessionStore.put(session);
+
+    res.json({
+      success: true,
+      sessionId: session.id,
+      label,
+      outcome: session.status,
+      falsePositive: label === 'human' && ['challenged', 'rejected'].includes(session.status),
+      falseNegative: label === 'bot' && session.status === 'verified'
+    });
+  } catch (error) {
+    console.error('提交反馈错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '提交反馈时发生错误'
+    });
+  }
+});
 
 /**
- * 检查可疑的请求头
+ * 以录制格式（JSON Lines）导出站点已标注的会话（使用密钥认证）
  */
-function checkSuspiciousHeaders(headers) {
-  const suspicious = [];
-
-  // 检查常见的自动化工具请求头
-  const automationHeaders = [
-    'x-selenium',
-    'x-selenium-ide-recorder',
-    'x-requested-with',
-    'selenium',
-    'driver',
-    'webdriver',
-    'puppeteer',
-    'playwright',
-    'headless',
-    'cypress'
-  ];
-
-  for (const header in headers) {
-    const headerLower = header.toLowerCase();
-    const value = headers[header];
-
-    // 检查头名
-    if (automationHeaders.some(h => headerLower.includes(h))) {
-      suspicious.push(header);
-      continue;
-    }
-
-    // 检查头值
-    if (value && typeof value === 'string') {
-      const valueLower = value.toLowerCase();
-      if (automationHeaders.some(h => valueLower.includes(h))) {
-        suspicious.push(header);
-      }
+router.get('/feedback/export', async (req, res) => {
+  try {
+    const site = siteManager.getSiteBySecret(req.headers['x-inktrust-secret']);
+
+    if (!site) {
+      return res.status(401).json({
+        success: false,
+        message: '密钥无效'
+      });
     }
+
+    const entries = await feedbackStore.list(site.siteKey);
+
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="inktrust-feedback-${site.siteKey}.jsonl"`);
+    res.send(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  } catch (error) {
+    console.error('导出反馈错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '导出反馈时发生错误'
+    });
   }
+});
 
-  return suspicious;
-}
+/**
+ * 获取站点的误报和漏报统计，按判定原因统计误报率（使用密钥认证）
+ */
+router.get('/feedback/stats', async (req, res) => {
+  try {
+    const site = siteManager.getSiteBySecret(req.headers['x-inktrust-secret']);
+
+    if (!site) {
+      return res.status(401).json({
+        success: false,
+        message: '密钥无效'
+      });
+    }
+
+    res.json({
+      success: true,
+      siteKey: site.siteKey,
+      stats: feedbackStore.getStats(await feedbackStore.list(site.siteKey))
+    });
+  } catch (error) {
+    console.error('获取反馈统计错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取反馈统计时发生错误'
+    });
+  }
+});
 
 /**
- * 分析请求模式
+ * 获取会话状态
  */
-function analyzeRequestPattern(session) {
-  const result = {
-    suspicious: false,
-    reason: ''
-  };
-
-  // 检查事件时间间隔是否过于规律
-  if (session.events.length >= 5) {
-    const timestamps = session.events.map(e => e.timestamp);
-    const intervals = [];
-
-    for (let i = 1; i < timestamps.length; i++) {
-      intervals.push(timestamps[i] - timestamps[i-1]);
-    }
-
-    // 计算平均间隔和标准差
-    const avgInterval = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
-    const stdDev = Math.sqrt(
-      intervals.reduce((sum, interval) => sum + Math.pow(interval - avgInterval, 2), 0) / intervals.length
-    );
-
-    // 计算变异系数（标准差/平均值）
-    const variationCoefficient = stdDev / avgInterval;
-
-    // 如果变异系数小于0.1，说明时间间隔非常规律，可能是自动化工具
-    if (variationCoefficient < 0.1) {
-      result.suspicious = true;
-      result.reason = '事件时间间隔过于规律';
-    }
-  }
-
-  // 检查是否有异常的事件顺序
-  if (session.events.length >= 3) {
-    // 正常用户通常是先有鼠标移动，然后才有点击
-    // 如果有点击事件但之前没有鼠标移动，可能是自动化工具
-    const hasClickWithoutMove = session.events.some((event, index) => {
-      if (event.type === 'click' && index > 0) {
-        // 检查当前点击事件之前是否有鼠标移动
-        const hasPreviousMove = session.events.slice(0, index).some(e => e.type === 'mousemove');
-        return !hasPreviousMove;
-      }
-      return false;
+router.get('/status/:sessionId', resolveSite, siteRateLimit, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await getSiteSession(req, sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: '会话不存在'
+      });
+    }
+
+    res.json({
+      success: true,
+      status: session.status,
+      createdAt: session.createdAt,
+      verifiedAt: session.verifiedAt || null,
+      eventsCount: session.events.length,
+      rejectionReason: session.rejectionReason || null,
+      policyVersion: session.policyVersion || null,
+      challengePassed: session.challengePassed || null,
+      automationDetected: session.analysis.automation?.isAutomated || false,
+      detectedTools: session.analysis.automation?.detectedTools || []
+    });
+  } catch (error) {
+    console.error('获取会话状态错误:', error);
+    res.status(500).json({
+      success: false,
+      message: '获取会话状态时发生错误'
     });
+  }
+});
 
-    if (hasClickWithoutMove) {
-      result.suspicious = true;
-      result.reason = '在没有鼠标移动的情况下进行了点击';
+/**
+ * 获取发起请求的页面主机名
+ */
+function getRequestHostname(req) {
+  const source = req.headers.origin || req.headers.referer;
+
+  if (source) {
+    try {
+      return new URL(source).hostname;
+    } catch (error) {
+      // 无效的Origin/Referer，继续尝试其他来源
     }
   }
 
-  return result;
+  return typeof req.body.hostname === 'string' ? req.body.hostname : null;
+}
+
+/**
+ * 规范化IP地址（将IPv4映射的IPv6地址转换为IPv4）
+ */
+function normalizeIp(ip) {
+  try {
+    return ipaddr.process(String(ip)).toString();
+  } catch (error) {
+    return String(ip);
+  }
 }
 
 module.exports = router;
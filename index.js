@@ -6,6 +6,10 @@ const path = require('path');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 运行指标（需要在其他中间件之前注册，以便统计所有请求）
+const metrics = require('./utils/metrics');
+app.use(metrics.httpMetrics);
+
 // 中间件
 app.use(cors());
 app.use(express.json());
@@ -20,6 +24,24 @@ app.get('/', (req, res) => {
 const verifyRouter = require('./api/verify');
 app.use('/api', verifyRouter);
 
+// 管理后台（需要配置INKTRUST_ADMIN_PASSWORD）
+const adminRouter = require('./api/admin');
+app.use('/admin', adminRouter);
+
+// Prometheus运行指标：配置INKTRUST_METRICS_PORT时在独立端口上提供，否则需要INKTRUST_METRICS_TOKEN
+const metricsRouter = require('./api/metrics');
+if (process.env.INKTRUST_METRICS_PORT) {
+  const metricsApp = express();
+  const metricsHost = process.env.INKTRUST_METRICS_HOST || '127.0.0.1';
+
+  metricsApp.use('/metrics', metricsRouter);
+  metricsApp.listen(process.env.INKTRUST_METRICS_PORT, metricsHost, () => {
+    console.log(`运行指标服务运行在 ${metricsHost}:${process.env.INKTRUST_METRICS_PORT}`);
+  });
+} else {
+  app.use('/metrics', metricsRouter);
+}
+
 // 启动服务器
 app.listen(PORT, () => {
   console.log(`服务器运行在端口 ${PORT}`);
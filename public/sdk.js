@@ -9,9 +9,13 @@
   // 默认配置
   const DEFAULT_CONFIG = {
     apiUrl: 'https://your-vercel-deployment-url.vercel.app/api',
+    siteKey: null, // 站点公开密钥
     autoVerify: true,
     eventSamplingRate: 0.1, // 只发送10%的鼠标移动事件以减少请求数量
+    eventBatchSize: 20, // 缓冲区达到20个事件时批量发送
+    eventFlushInterval: 3000, // 最多每3秒发送一次缓冲的事件
     verifyDelay: 2000, // 2秒后自动验证
+    interactiveChallenge: true, // 被动验证未通过时显示交互挑战（滑块或文字问答）
     fingerprintOptions: {
       enableCanvas: true,
       enableWebGL: true,
@@ -20,6 +24,188 @@
     }
   };
 
+  // 自动化工具探测的属性名称，服务端只接受这些名称
+  const AUTOMATION_PROBES = {
+    // Selenium和WebDriver注入的navigator属性
+    navigator: [
+      '__webdriver_evaluate', '__selenium_evaluate', '__webdriver_script_function', '__webdriver_script_func',
+      '__webdriver_script_fn', '__fxdriver_evaluate', '__driver_unwrapped', '__webdriver_unwrapped',
+      '__driver_evaluate', '__selenium_unwrapped', '__fxdriver_unwrapped', '_Selenium_IDE_Recorder',
+      '_selenium', 'calledSelenium', '_WEBDRIVER_ELEM_CACHE'
+    ],
+    // 自动化工具的window全局变量
+    window: [
+      'SeleniumWebDriverRequest', '_selenium', 'selenium', 'Selenium', '_Selenium_IDE_Recorder', 'callSelenium',
+      'calledSelenium', 'domAutomation', 'domAutomationController', '__playwright__binding__', '__pwInitScripts',
+      '__nightmare', '_phantom', 'callPhantom', '__lastWatirAlert', '__lastWatirConfirm', '__lastWatirPrompt'
+    ],
+    // ChromeDriver和Selenium留下的document属性
+    document: [
+      '$cdc_asdjflasutopfhvcZLmcfl_', '$chrome_asyncScriptInfo', '__webdriver_evaluate', '__selenium_evaluate',
+      '__webdriver_script_fn', '__driver_evaluate', '__fxdriver_evaluate', '__driver_unwrapped',
+      '__webdriver_unwrapped', '__selenium_unwrapped', '__fxdriver_unwrapped'
+    ],
+    // documentElement上的属性
+    attributes: ['webdriver', 'selenium', 'driver'],
+    // 检查是否被包装的navigator属性getter
+    getters: [
+      'webdriver', 'plugins', 'mimeTypes', 'languages', 'hardwareConcurrency', 'deviceMemory', 'userAgent', 'platform',
+      'vendor'
+    ],
+    // Puppeteer和Playwright注入脚本的sourceURL
+    stackMarkers: ['pptr:', '__puppeteer_evaluation_script__', '__playwright_evaluation_script__', 'UtilityScript']
+  };
+
+  // 检查是否被篡改的原生API（接口.属性），服务端只接受这些名称
+  const LIE_TARGETS = {
+    // 属性getter
+    get: [
+      'Navigator.hardwareConcurrency', 'Navigator.deviceMemory', 'Navigator.webdriver', 'Navigator.plugins',
+      'Navigator.mimeTypes', 'Navigator.languages', 'Navigator.platform', 'Navigator.userAgent',
+      'Navigator.maxTouchPoints', 'Screen.width', 'Screen.height', 'Screen.colorDepth'
+    ],
+    // 方法
+    method: [
+      'Function.toString', 'HTMLCanvasElement.toDataURL', 'HTMLCanvasElement.getContext',
+      'CanvasRenderingContext2D.getImageData', 'CanvasRenderingContext2D.measureText',
+      'WebGLRenderingContext.getParameter', 'WebGL2RenderingContext.getParameter',
+      'AnalyserNode.getByteFrequencyData', 'AnalyserNode.getFloatFrequencyData', 'AudioBuffer.getChannelData',
+      'Date.getTimezoneOffset', 'Intl.DateTimeFormat.resolvedOptions'
+    ]
+  };
+
+  // 等待Worker返回跨环境属性的最长时间（毫秒）
+  const REALM_TIMEOUT = 1000;
+
+  /**
+   * 收集一个执行环境（Worker、iframe）中的浏览器属性，用于与主线程比较
+   * 只通过参数scope访问全局对象，Worker中使用的是它的源码
+   */
+  function collectRealmSnapshot(scope) {
+    const nav = scope.navigator || {};
+    const snapshot = {
+      userAgent: nav.userAgent || null,
+      platform: nav.platform || null,
+      hardwareConcurrency: nav.hardwareConcurrency || null,
+      languages: nav.languages ? Array.from(nav.languages) : null,
+      timezone: null,
+      webglRenderer: null
+    };
+
+    try {
+      snapshot.timezone = scope.Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } catch (e) {
+      // 忽略错误
+    }
+
+    // Worker中没有document，通过OffscreenCanvas获取WebGL渲染器
+    try {
+      const canvas = scope.OffscreenCanvas ? new scope.OffscreenCanvas(1, 1) : scope.document.createElement('canvas');
+      const gl = canvas.getContext('webgl');
+
+      if (gl) {
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        snapshot.webglRenderer = gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+      }
+    } catch (e) {
+      // 忽略错误
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * 查找满足难度要求的nonce：SHA-256(prefix + ':' + nonce)至少有difficulty个前导零比特
+   * 使用同步的SHA-256实现，每计算一批让出一次事件循环；SHA-256常量也定义在函数内，以便作为Worker的源码
+   */
+  async function findNonce(prefix, difficulty) {
+    const BATCH_SIZE = 50000;
+    const K = new Uint32Array([
+      0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+      0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+      0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+      0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+      0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+      0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+      0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+      0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+    const W = new Uint32Array(64);
+    const head = new TextEncoder().encode(prefix + ':');
+
+    // 计算 head + nonce 的SHA-256，返回前两个32位字（足以判断不超过64个前导零比特）
+    function hash(nonce) {
+      const length = head.length + nonce.length;
+      const data = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+      data.set(head);
+      for (let i = 0; i < nonce.length; i++) data[head.length + i] = nonce.charCodeAt(i);
+      data[length] = 0x80;
+
+      const bitLength = length * 8;
+      data[data.length - 4] = bitLength >>> 24;
+      data[data.length - 3] = bitLength >>> 16;
+      data[data.length - 2] = bitLength >>> 8;
+      data[data.length - 1] = bitLength;
+
+      let h0 = 0x6a09e667, h1 = 0xbb67ae85, h2 = 0x3c6ef372, h3 = 0xa54ff53a;
+      let h4 = 0x510e527f, h5 = 0x9b05688c, h6 = 0x1f83d9ab, h7 = 0x5be0cd19;
+
+      for (let offset = 0; offset < data.length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+          const j = offset + i * 4;
+          W[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+          const w15 = W[i - 15];
+          const w2 = W[i - 2];
+          const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+          const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+          W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+        }
+
+        let a = h0, b = h1, c = h2, d = h3, e = h4, f = h5, g = h6, h = h7;
+
+        for (let i = 0; i < 64; i++) {
+          const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+          const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+          const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+          const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+
+          h = g;
+          g = f;
+          f = e;
+          e = (d + t1) | 0;
+          d = c;
+          c = b;
+          b = a;
+          a = (t1 + t2) | 0;
+        }
+
+        h0 = (h0 + a) | 0;
+        h1 = (h1 + b) | 0;
+        h2 = (h2 + c) | 0;
+        h3 = (h3 + d) | 0;
+        h4 = (h4 + e) | 0;
+        h5 = (h5 + f) | 0;
+        h6 = (h6 + g) | 0;
+        h7 = (h7 + h) | 0;
+      }
+
+      return [h0, h1];
+    }
+
+    for (let nonce = 0; ; nonce++) {
+      const [first, second] = hash(String(nonce));
+      const bits = first === 0 ? 32 + Math.clz32(second) : Math.clz32(first);
+
+      if (bits >= difficulty) return String(nonce);
+
+      if ((nonce + 1) % BATCH_SIZE === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+  }
+
   class InkTrust {
     constructor(config = {}) {
       // 合并配置
@@ -36,7 +222,12 @@
       // 初始化状态
       this.state = {
         sessionId: null,
+        sessionSecret: null,
+        telemetryKey: null,
         events: [],
+        eventQueue: [],
+        eventSeq: 0,
+        batchSeq: 0,
         verified: false,
         result: null,
         fingerprints: {},
@@ -52,6 +243,16 @@
       this._onTouchMove = this._onTouchMove.bind(this);
       this._onTouchEnd = this._onTouchEnd.bind(this);
       this._onVisibilityChange = this._onVisibilityChange.bind(this);
+      this._onPageHide = this._onPageHide.bind(this);
+
+      // 事件缓冲区定时器
+      this.flushTimer = null;
+
+      // 正在进行的事件发送，用于保证各批次按序列号顺序到达服务端
+      this.flushPromise = Promise.resolve();
+
+      // 交互挑战浮层
+      this.challengeOverlay = null;
 
       // 初始化
       this._init();
@@ -65,18 +266,22 @@
         // 检测自动化工具
         this._detectAutomation();
 
+        // 检查指纹相关的原生API是否被篡改，需要在生成指纹之前进行
+        this.state.lies = this._detectLies();
+
         // 生成指纹
         await this._generateFingerprints();
 
+        // 在Worker和iframe中收集相同的属性，检查是否只在主线程中被伪造
+        this.state.realms = await this._collectRealms();
+
         // 收集设备和环境信息
         const clientInfo = this._collectClientInfo();
 
         // 初始化会话
         const response = await fetch(`${this.config.apiUrl}/init`, {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
+          headers: this._getHeaders(),
           body: JSON.stringify(clientInfo)
         });
 
@@ -84,6 +289,8 @@
 
         if (data.success) {
           this.state.sessionId = data.sessionId;
+          this.state.sessionSecret = data.sessionSecret || null;
+          this.state.telemetryKey = await this._importTelemetryKey(data.telemetryKey);
 
           // 如果会话已被拒绝，不添加事件监听器
           if (data.status === 'rejected') {
@@ -165,8 +372,8 @@
         automationFlags.headless = true;
       }
 
-      // 检测Puppeteer/Playwright特征
-      if (window.chrome && (!window.chrome.app || !window.chrome.runtime)) {
+      // 检测Puppeteer/Playwright特征：Chrome和基于Chromium的浏览器都有window.chrome
+      if (/Chrome\//.test(navigator.userAgent) && !window.chrome) {
         automationFlags.puppeteerOrPlaywright = true;
       }
 
@@ -211,6 +418,245 @@
       // 保存检测结果
       this.state.automationFlags = automationFlags;
       this.state.automationDetected = Object.keys(automationFlags).length > 0;
+      this.state.probes = this._collectProbes();
+    }
+
+    /**
+     * 收集自动化检测的探测数据，由服务端统一判断
+     * 结构：navigator（属性和存在的自动化属性）、window（存在的自动化全局变量和窗口尺寸）、
+     * chrome（window.chrome是否存在及其属性名）、document（存在的自动化标记）、runtime（运行时插桩的痕迹）
+     */
+    _collectProbes() {
+      const has = (target, prop) => {
+        try {
+          return !!target && prop in target;
+        } catch (e) {
+          return false;
+        }
+      };
+      const chrome = window.chrome;
+      const globals = AUTOMATION_PROBES.window.filter(prop => has(window, prop));
+
+      // ChromeDriver会注入以cdc_开头的全局变量，名称随版本变化
+      try {
+        if (Object.keys(window).some(key => /^\$?cdc_/.test(key))) {
+          globals.push('cdc_');
+        }
+      } catch (e) {
+        // 忽略错误
+      }
+
+      return {
+        navigator: {
+          webdriver: typeof navigator.webdriver === 'boolean' ? navigator.webdriver : null,
+          userAgent: navigator.userAgent,
+          platform: navigator.platform || null,
+          vendor: navigator.vendor || null,
+          language: navigator.language || null,
+          languages: navigator.languages ? Array.from(navigator.languages) : null,
+          pluginCount: navigator.plugins ? navigator.plugins.length : null,
+          mimeTypeCount: navigator.mimeTypes ? navigator.mimeTypes.length : null,
+          hardwareConcurrency: navigator.hardwareConcurrency || null,
+          deviceMemory: navigator.deviceMemory || null,
+          maxTouchPoints: navigator.maxTouchPoints || 0,
+          properties: AUTOMATION_PROBES.navigator.filter(prop => has(navigator, prop))
+        },
+        window: {
+          globals,
+          outerWidth: window.outerWidth,
+          outerHeight: window.outerHeight,
+          innerWidth: window.innerWidth,
+          innerHeight: window.innerHeight
+        },
+        chrome: {
+          present: !!chrome,
+          keys: chrome ? Object.keys(chrome) : []
+        },
+        document: {
+          markers: AUTOMATION_PROBES.document.filter(prop => has(document, prop)),
+          attributes: AUTOMATION_PROBES.attributes.filter(attr => {
+            return !!document.documentElement && document.documentElement.getAttribute(attr) !== null;
+          })
+        },
+        runtime: this._collectRuntimeProbes()
+      };
+    }
+
+    /**
+     * 收集运行时插桩的痕迹：CDP的Runtime域是否启用、调用栈格式和注入脚本标记、被包装的navigator属性getter
+     */
+    _collectRuntimeProbes() {
+      const runtime = {
+        consoleSerialization: null,
+        prepareStackTrace: typeof Error.prepareStackTrace === 'function',
+        v8StackFormat: null,
+        stackMarkers: [],
+        wrappedGetters: []
+      };
+
+      // 调试客户端启用Runtime域后，console.debug的参数会被立即序列化，Error对象的stack getter随之被调用
+      if (/(Chrome|Chromium)\//.test(navigator.userAgent)) {
+        try {
+          let serialized = false;
+          const error = new Error();
+          Object.defineProperty(error, 'stack', {
+            configurable: true,
+            get() {
+              serialized = true;
+              return '';
+            }
+          });
+          console.debug(error);
+          runtime.consoleSerialization = serialized;
+        } catch (e) {
+          // 忽略错误
+        }
+      }
+
+      const stacks = [];
+      // 只计算有源码位置的帧，原生函数的帧（例如 at get size (<anonymous>)）没有行列号
+      const countFrames = stack => stack.split('\n').filter(line => /^\s+at .*:\d+:\d+\)?$/.test(line)).length;
+      const originalLimit = Error.stackTraceLimit;
+
+      try {
+        Error.stackTraceLimit = 50;
+        const reference = new Error().stack;
+
+        if (typeof reference === 'string') {
+          stacks.push(reference);
+          runtime.v8StackFormat = /^\s+at /m.test(reference);
+        }
+
+        // 用错误的this调用原生getter会在getter内部抛出异常，调用栈深度与上面的reference相同；
+        // 被Proxy或JavaScript函数包装后，异常的调用栈中会多出包装函数的帧
+        if (runtime.v8StackFormat && window.Navigator) {
+          const depth = countFrames(reference);
+
+          for (const prop of AUTOMATION_PROBES.getters) {
+            const descriptor = Object.getOwnPropertyDescriptor(Navigator.prototype, prop);
+            if (!descriptor || typeof descriptor.get !== 'function') continue;
+
+            try {
+              descriptor.get.call(Object.create(Navigator.prototype));
+            } catch (e) {
+              if (e && typeof e.stack === 'string') {
+                stacks.push(e.stack);
+                if (countFrames(e.stack) > depth) runtime.wrappedGetters.push(prop);
+              }
+            }
+          }
+        }
+      } catch (e) {
+        // 忽略错误
+      } finally {
+        Error.stackTraceLimit = originalLimit;
+      }
+
+      runtime.stackMarkers = AUTOMATION_PROBES.stackMarkers.filter(marker => {
+        return stacks.some(stack => stack.includes(marker));
+      });
+
+      return runtime;
+    }
+
+    /**
+     * 检查原生API是否被篡改（反检测浏览器和隐身插件会覆盖getter和方法来伪造指纹）
+     * @returns {Object|null} 被篡改的API及未通过的检查，例如 { 'Navigator.hardwareConcurrency': ['to_string'] }
+     */
+    _detectLies() {
+      const lies = {};
+      const nativeToString = Function.prototype.toString;
+      // 只有navigator和screen有全局实例
+      const instances = { Navigator: window.navigator, Screen: window.screen };
+
+      // 原生函数的源码为 function name() { [native code] }，getter带有get前缀（Firefox和Safari的空白不同）
+      const isNative = (fn, name) => {
+        try {
+          const pattern = new RegExp(`^function (get )?${name}\\(\\) \\{\\s*\\[native code\\]\\s*\\}$`);
+          return pattern.test(nativeToString.call(fn));
+        } catch (e) {
+          return false;
+        }
+      };
+
+      // 原生方法和getter只有length和name属性，也不能作为构造函数
+      const hasFunctionShape = fn => {
+        if (Object.getOwnPropertyNames(fn).some(name => name !== 'length' && name !== 'name')) return false;
+
+        try {
+          Reflect.construct(Object, [], fn);
+          return false;
+        } catch (e) {
+          return true;
+        }
+      };
+
+      // 把函数的原型设为以它自己为原型的对象：原生函数会因为循环原型链抛出TypeError，
+      // Proxy不参与循环检测，设置成功后查找toString会无限递归
+      const isProxy = fn => {
+        const original = Object.getPrototypeOf(fn);
+
+        try {
+          Object.setPrototypeOf(fn, Object.create(fn)).toString();
+          return true;
+        } catch (e) {
+          return !(e instanceof TypeError);
+        } finally {
+          try {
+            Object.setPrototypeOf(fn, original);
+          } catch (e) {
+            // 忽略错误
+          }
+        }
+      };
+
+      for (const kind of Object.keys(LIE_TARGETS)) {
+        for (const api of LIE_TARGETS[kind]) {
+          const separator = api.lastIndexOf('.');
+          const name = api.slice(separator + 1);
+          const failed = [];
+
+          try {
+            const Interface = api.slice(0, separator).split('.').reduce((target, key) => target && target[key], window);
+            if (typeof Interface !== 'function' || !Interface.prototype) continue;
+
+            const proto = Interface.prototype;
+            const instance = instances[api.slice(0, separator)];
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+
+            // 伪造的值直接定义在实例上
+            if (instance && Object.prototype.hasOwnProperty.call(instance, name)) failed.push('own_property');
+            if (instance && Object.getPrototypeOf(instance) !== proto) failed.push('prototype_chain');
+
+            const fn = descriptor && (kind === 'get' ? descriptor.get : descriptor.value);
+
+            if (!descriptor) {
+              // 浏览器不支持该API
+              if (failed.length === 0) continue;
+            } else if (typeof fn !== 'function') {
+              failed.push('descriptor');
+            } else {
+              if (!isNative(fn, name)) failed.push('to_string');
+              if (!hasFunctionShape(fn)) failed.push('function_shape');
+              if (isProxy(fn)) failed.push('proxy');
+
+              // 用错误的this调用原生API会抛出TypeError，伪造的实现往往直接返回值
+              try {
+                fn.call(Object.create(proto));
+                failed.push('illegal_invocation');
+              } catch (e) {
+                if (!(e instanceof TypeError)) failed.push('illegal_invocation');
+              }
+            }
+          } catch (e) {
+            // 忽略错误
+          }
+
+          if (failed.length > 0) lies[api] = failed;
+        }
+      }
+
+      return Object.keys(lies).length > 0 ? lies : null;
     }
 
     /**
@@ -233,6 +679,8 @@
         fingerprints.webgl = webglResult.fingerprint;
         fingerprints.webglVendor = webglResult.vendor;
         fingerprints.webglRenderer = webglResult.renderer;
+        fingerprints.webglUnmaskedVendor = webglResult.unmaskedVendor;
+        fingerprints.webglUnmaskedRenderer = webglResult.unmaskedRenderer;
       }
 
       // 音频指纹
@@ -335,7 +783,9 @@
           return {
             fingerprint: null,
             vendor: null,
-            renderer: null
+            renderer: null,
+            unmaskedVendor: null,
+            unmaskedRenderer: null
           };
         }
 
@@ -381,24 +831,126 @@
         const vendor = gl.getParameter(gl.VENDOR);
         const renderer = gl.getParameter(gl.RENDERER);
 
+        // 实际的GPU供应商和渲染器（Chrome的RENDERER固定为WebKit WebGL）
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        const unmaskedVendor = debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : null;
+        const unmaskedRenderer = debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null;
+
         // 计算哈希
         const fingerprint = this._hashString(paramValues.join('###'));
 
         return {
           fingerprint,
           vendor,
-          renderer
+          renderer,
+          unmaskedVendor,
+          unmaskedRenderer
         };
       } catch (error) {
         console.error('WebGL指纹生成错误:', error);
         return {
           fingerprint: null,
           vendor: null,
-          renderer: null
+          renderer: null,
+          unmaskedVendor: null,
+          unmaskedRenderer: null
         };
       }
     }
 
+    /**
+     * 在专用Worker、共享Worker和沙箱iframe中收集与主线程相同的属性
+     * Service Worker需要同源的脚本文件，SDK无法自行注册，因此不使用
+     * @returns {Object} { worker, sharedWorker, iframe }，无法收集的环境为null
+     */
+    async _collectRealms() {
+      const [worker, sharedWorker] = await Promise.all([
+        this._collectWorkerSnapshot(false),
+        this._collectWorkerSnapshot(true)
+      ]);
+
+      return {
+        worker,
+        sharedWorker,
+        iframe: this._collectIframeSnapshot()
+      };
+    }
+
+    /**
+     * 在Worker中收集属性，超时、被CSP阻止或浏览器不支持时返回null
+     * @param {boolean} shared 是否使用共享Worker
+     */
+    _collectWorkerSnapshot(shared) {
+      return new Promise((resolve) => {
+        const WorkerClass = shared ? window.SharedWorker : window.Worker;
+        if (!WorkerClass || !window.Blob || !window.URL) {
+          resolve(null);
+          return;
+        }
+
+        const collect = `(${collectRealmSnapshot.toString()})(self)`;
+        const source = shared ?
+          `self.onconnect = function(e) { e.ports[0].postMessage(${collect}); };` :
+          `self.postMessage(${collect});`;
+        let url = null;
+        let worker = null;
+        let timer = null;
+
+        const finish = (snapshot) => {
+          clearTimeout(timer);
+          try {
+            if (shared) {
+              worker.port.close();
+            } else {
+              worker.terminate();
+            }
+          } catch (e) {
+            // 忽略错误
+          }
+          if (url) URL.revokeObjectURL(url);
+          resolve(snapshot);
+        };
+
+        try {
+          url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+          worker = new WorkerClass(url);
+          timer = setTimeout(() => finish(null), REALM_TIMEOUT);
+          worker.onerror = () => finish(null);
+
+          if (shared) {
+            worker.port.onmessage = (event) => finish(event.data);
+            worker.port.start();
+          } else {
+            worker.onmessage = (event) => finish(event.data);
+          }
+        } catch (e) {
+          finish(null);
+        }
+      });
+    }
+
+    /**
+     * 在沙箱iframe中收集属性：iframe有独立的Navigator和Intl，只修补主窗口的伪造工具无法影响它
+     * 不允许iframe执行脚本，由主线程直接读取iframe的对象
+     */
+    _collectIframeSnapshot() {
+      let iframe = null;
+
+      try {
+        iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-same-origin');
+        iframe.setAttribute('aria-hidden', 'true');
+        iframe.style.display = 'none';
+        (document.body || document.documentElement).appendChild(iframe);
+
+        return iframe.contentWindow ? collectRealmSnapshot(iframe.contentWindow) : null;
+      } catch (e) {
+        return null;
+      } finally {
+        if (iframe && iframe.parentNode) iframe.parentNode.removeChild(iframe);
+      }
+    }
+
     /**
      * 生成音频指纹
      */
@@ -518,14 +1070,23 @@
     _collectClientInfo() {
       // 基本信息
       const clientInfo = {
+        // 站点信息
+        siteKey: this.config.siteKey,
+
+        // 页面信息
+        hostname: window.location.hostname,
+
         // 指纹信息
         fingerprint: this.state.fingerprints.basic,
         canvasFingerprint: this.state.fingerprints.canvas,
         webglFingerprint: this.state.fingerprints.webgl,
         webglVendor: this.state.fingerprints.webglVendor,
         webglRenderer: this.state.fingerprints.webglRenderer,
+        webglUnmaskedVendor: this.state.fingerprints.webglUnmaskedVendor,
+        webglUnmaskedRenderer: this.state.fingerprints.webglUnmaskedRenderer,
         audioFingerprint: this.state.fingerprints.audio,
         fonts: this.state.fingerprints.fonts,
+        lies: this.state.lies || null,
 
         // 设备信息
         screenResolution: `${window.screen.width}x${window.screen.height}`,
@@ -558,6 +1119,8 @@
         // 浏览器自动化特征
         webdriver: navigator.webdriver || false,
         automationFlags: this.state.automationFlags || null,
+        probes: this.state.probes || null,
+        realms: this.state.realms || null,
 
         // 网络信息
         connectionType: this._getConnectionType(),
@@ -638,6 +1201,7 @@
       document.addEventListener('touchmove', this._onTouchMove, { passive: true });
       document.addEventListener('touchend', this._onTouchEnd, { passive: true });
       document.addEventListener('visibilitychange', this._onVisibilityChange);
+      window.addEventListener('pagehide', this._onPageHide);
     }
 
     /**
@@ -652,6 +1216,12 @@
       document.removeEventListener('touchmove', this._onTouchMove);
       document.removeEventListener('touchend', this._onTouchEnd);
       document.removeEventListener('visibilitychange', this._onVisibilityChange);
+      window.removeEventListener('pagehide', this._onPageHide);
+
+      if (this.flushTimer) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+      }
     }
 
     /**
@@ -753,47 +1323,171 @@
         visibilityState: document.visibilityState,
         timestamp: Date.now()
       });
+
+      // 页面被隐藏后可能不会再有机会发送，立即通过sendBeacon发送缓冲的事件
+      if (document.visibilityState === 'hidden') {
+        this._flushEvents({ beacon: true });
+      }
     }
 
     /**
-     * 记录事件
+     * 页面隐藏（离开、进入往返缓存）事件处理
      */
-    async _recordEvent(type, data) {
+    _onPageHide() {
+      this._flushEvents({ beacon: true });
+    }
+
+    /**
+     * 记录事件（先写入缓冲区，按数量或时间阈值批量发送）
+     */
+    _recordEvent(type, data) {
       if (!this.state.sessionId || this.state.verified) return;
 
       // 添加到本地事件队列
       this.state.events.push({ type, data });
 
-      // 发送到服务器
+      // 添加到待发送缓冲区，序列号用于服务端排序和去重
+      this.state.eventQueue.push({
+        seq: ++this.state.eventSeq,
+        type,
+        data
+      });
+
+      if (this.state.eventQueue.length >= this.config.eventBatchSize) {
+        this._flushEvents();
+      } else if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this._flushEvents(), this.config.eventFlushInterval);
+      }
+    }
+
+    /**
+     * 发送缓冲区中的事件
+     * 服务端拒绝乱序到达的批次，每次发送都排在上一次发送完成之后
+     * @param {Object} options 发送选项
+     * @param {boolean} options.beacon 是否使用navigator.sendBeacon（页面隐藏时使用）
+     */
+    _flushEvents(options = {}) {
+      if (this.flushTimer) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+      }
+
+      this.flushPromise = this.flushPromise
+        .then(() => this._sendEvents(options))
+        .catch(error => console.error('发送事件错误:', error));
+      return this.flushPromise;
+    }
+
+    /**
+     * 签名并发送缓冲区中的事件
+     */
+    async _sendEvents(options) {
+      if (!this.state.sessionId || this.state.eventQueue.length === 0) return;
+
+      const events = this.state.eventQueue;
+      this.state.eventQueue = [];
+
+      const url = `${this.config.apiUrl}/events/${this.state.sessionId}`;
+      let body;
+
       try {
-        const response = await fetch(`${this.config.apiUrl}/event/${this.state.sessionId}`, {
+        body = JSON.stringify({
+          siteKey: this.config.siteKey,
+          sessionSecret: this.state.sessionSecret,
+          fingerprint: this.state.fingerprints.basic,
+          ...await this._signEvents(events)
+        });
+      } catch (error) {
+        console.error('事件签名错误:', error);
+        this.state.eventQueue = events.concat(this.state.eventQueue);
+        return;
+      }
+
+      // sendBeacon不能设置请求头，使用text/plain避免跨域预检，站点密钥和会话密钥放在请求体中
+      if (options.beacon && navigator.sendBeacon) {
+        const queued = navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }));
+        if (queued) return;
+      }
+
+      try {
+        const response = await fetch(url, {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ type, data })
+          headers: this._getHeaders(),
+          body,
+          keepalive: !!options.beacon
         });
 
         const responseData = await response.json();
 
         // 如果会话被拒绝，停止收集事件并触发验证完成回调
-        if (responseData.success === false && responseData.message === '会话已被拒绝') {
+        if (responseData.success === false && responseData.message === '会话已被拒绝' && !this.state.verified) {
           this.state.verified = true;
-          this.state.result = {
+
+          // 移除事件监听器
+          this._removeEventListeners();
+
+          let result = {
             isHuman: false,
+            outcome: 'rejected',
             score: 0,
             reasons: [responseData.rejectionReason || '行为模式异常']
           };
 
-          // 移除事件监听器
-          this._removeEventListeners();
+          // 真实用户可以通过交互挑战恢复
+          if (responseData.interactiveChallenge && this.config.interactiveChallenge) {
+            result = await this._runInteractiveChallenge() || result;
+          }
+
+          this.state.result = result;
 
           // 触发验证完成回调
-          this._triggerCallback('onVerified', this.state.result);
+          this._triggerCallback('onVerified', result);
         }
       } catch (error) {
         console.error('发送事件错误:', error);
+
+        // 放回缓冲区等待下次发送（重新签名并使用新的批次序列号），服务端按事件序列号去重
+        this.state.eventQueue = events.concat(this.state.eventQueue);
+      }
+    }
+
+    /**
+     * 导入 /init 返回的事件签名密钥
+     * @param {string} key base64url编码的密钥
+     * @returns {CryptoKey|null} 服务端未返回密钥时为null
+     */
+    async _importTelemetryKey(key) {
+      if (!key) return null;
+
+      const raw = atob(key.replace(/-/g, '+').replace(/_/g, '/'));
+      const bytes = Uint8Array.from(raw, char => char.charCodeAt(0));
+
+      return crypto.subtle.importKey('raw', bytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    }
+
+    /**
+     * 对事件批次签名
+     * payload包含单调递增的批次序列号和发送时间，签名内容为"<会话ID>.<payload>"
+     * @returns {Object} 签名后的 { payload, signature }，没有签名密钥时为 { events }
+     */
+    async _signEvents(events) {
+      if (!this.state.telemetryKey) {
+        return { events };
       }
+
+      const payload = JSON.stringify({
+        batchSeq: ++this.state.batchSeq,
+        sentAt: Date.now(),
+        events
+      });
+      const data = new TextEncoder().encode(`${this.state.sessionId}.${payload}`);
+      const signature = await crypto.subtle.sign('HMAC', this.state.telemetryKey, data);
+      const encoded = btoa(String.fromCharCode(...new Uint8Array(signature)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+      return { payload, signature: encoded };
     }
 
     /**
@@ -802,27 +1496,45 @@
     async verify() {
       if (!this.state.sessionId || this.state.verified) return;
 
+      // 先发送缓冲区中尚未上报的事件
+      await this._flushEvents();
+
+      // 发送事件时会话可能已被拒绝
+      if (this.state.verified) return this.state.result;
+
       try {
         const response = await fetch(`${this.config.apiUrl}/verify/${this.state.sessionId}`, {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          }
+          headers: this._getHeaders()
         });
 
         const data = await response.json();
 
         if (data.success) {
+          let result = data.result;
+
           this.state.verified = true;
-          this.state.result = data.result;
 
           // 移除事件监听器，不再需要收集事件
           this._removeEventListeners();
 
+          // 分数处于灰色地带时需要先完成工作量证明挑战
+          if (result.outcome === 'challenged' && result.challenge) {
+            this._triggerCallback('onChallenge', result.challenge);
+            result = await this._solveChallenge(result.challenge) || result;
+          }
+
+          // 被动验证未通过时，真实用户可以通过交互挑战恢复
+          if (result.outcome === 'rejected' && result.interactiveChallenge && this.config.interactiveChallenge) {
+            result = await this._runInteractiveChallenge() || result;
+          }
+
+          this.state.result = result;
+
           // 触发验证完成回调
-          this._triggerCallback('onVerified', data.result);
+          this._triggerCallback('onVerified', result);
 
-          return data.result;
+          return result;
         } else {
           this._triggerCallback('onError', { message: data.message || '验证失败' });
           return null;
@@ -834,6 +1546,345 @@
       }
     }
 
+    /**
+     * 完成工作量证明挑战并提交答案
+     * @returns {Object|null} 升级后的验证结果，失败时返回null
+     */
+    async _solveChallenge(challenge) {
+      try {
+        const nonce = await this._computeNonce(challenge);
+
+        const response = await fetch(`${this.config.apiUrl}/solve/${this.state.sessionId}`, {
+          method: 'POST',
+          headers: this._getHeaders(),
+          body: JSON.stringify({ challengeId: challenge.id, nonce })
+        });
+
+        const data = await response.json();
+
+        if (data.success) return data.result;
+
+        this._triggerCallback('onError', { message: data.message || '挑战失败' });
+        return null;
+      } catch (error) {
+        console.error('挑战错误:', error);
+        this._triggerCallback('onError', { message: '挑战错误', error });
+        return null;
+      }
+    }
+
+    /**
+     * 计算工作量证明的nonce
+     * @param {Object} work 题目 { prefix, difficulty }
+     */
+    async _computeNonce(work) {
+      try {
+        return await this._solveInWorker(work);
+      } catch (error) {
+        // Web Worker不可用（如被CSP禁止）时在主线程计算
+        return findNonce(work.prefix, work.difficulty);
+      }
+    }
+
+    /**
+     * 在Web Worker中计算工作量证明，避免阻塞页面
+     */
+    _solveInWorker(challenge) {
+      return new Promise((resolve, reject) => {
+        const source = `${findNonce.toString()}
+self.onmessage = function(e) {
+  findNonce(e.data.prefix, e.data.difficulty).then(function(nonce) { self.postMessage(nonce); });
+};`;
+        const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        const worker = new Worker(url);
+
+        const cleanup = () => {
+          worker.terminate();
+          URL.revokeObjectURL(url);
+        };
+
+        worker.onmessage = (event) => {
+          cleanup();
+          resolve(event.data);
+        };
+
+        worker.onerror = (error) => {
+          cleanup();
+          reject(error);
+        };
+
+        worker.postMessage({ prefix: challenge.prefix, difficulty: challenge.difficulty });
+      });
+    }
+
+    /**
+     * 显示交互挑战浮层，默认使用滑块，可以切换为文字问答
+     * @returns {Promise<Object|null>} 通过后的验证结果，用户关闭或无法继续挑战时返回null
+     */
+    _runInteractiveChallenge() {
+      return new Promise((resolve) => {
+        const ui = this._createChallengeOverlay();
+        let currentType = 'slider';
+        let finished = false;
+
+        const finish = (result) => {
+          if (finished) return;
+          finished = true;
+          ui.overlay.remove();
+          document.removeEventListener('keydown', onKeyDown);
+          this.challengeOverlay = null;
+          resolve(result);
+        };
+
+        const onKeyDown = (event) => {
+          if (event.key === 'Escape') finish(null);
+        };
+
+        const submit = async (solution) => {
+          ui.setMessage('正在验证...');
+          const data = await this._postChallenge(`/solve/${this.state.sessionId}`, solution);
+
+          if (data.success) {
+            finish(data.result);
+          } else if (data.interactiveChallenge) {
+            load(currentType, '验证未通过，请重试');
+          } else {
+            finish(null);
+          }
+        };
+
+        const load = async (type, message) => {
+          currentType = type;
+          ui.switchButton.textContent = type === 'slider' ? '使用文字验证' : '使用滑块验证';
+          ui.setMessage(message || '');
+
+          const data = await this._postChallenge(`/challenge/${this.state.sessionId}`, { type });
+          if (!data.success) {
+            // 文字问答获取过于频繁时改用滑块
+            if (type === 'text' && data.errorCodes && data.errorCodes.includes('text-challenge-rate-limited')) {
+              load('slider', data.message);
+            } else {
+              finish(null);
+            }
+            return;
+          }
+
+          if (type === 'slider') {
+            this._renderSliderChallenge(ui, data.challenge, submit);
+          } else {
+            this._renderTextChallenge(ui, data.challenge, submit);
+          }
+        };
+
+        ui.closeButton.addEventListener('click', () => finish(null));
+        ui.switchButton.addEventListener('click', () => load(currentType === 'slider' ? 'text' : 'slider'));
+        document.addEventListener('keydown', onKeyDown);
+
+        this._triggerCallback('onChallenge', { type: 'interactive' });
+        load('slider');
+      });
+    }
+
+    /**
+     * 发送挑战相关的请求
+     */
+    async _postChallenge(path, body) {
+      try {
+        const response = await fetch(`${this.config.apiUrl}${path}`, {
+          method: 'POST',
+          headers: this._getHeaders(),
+          body: JSON.stringify(body)
+        });
+
+        return await response.json();
+      } catch (error) {
+        console.error('挑战请求错误:', error);
+        return { success: false };
+      }
+    }
+
+    /**
+     * 创建挑战浮层
+     */
+    _createChallengeOverlay() {
+      const overlay = document.createElement('div');
+      overlay.style.cssText = 'position:fixed;top:0;left:0;right:0;bottom:0;z-index:2147483647;' +
+        'background:rgba(0,0,0,0.5);display:flex;align-items:center;justify-content:center;';
+
+      const dialog = document.createElement('div');
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', 'inktrust-challenge-title');
+      dialog.style.cssText = 'background:#fff;border-radius:8px;padding:16px;width:332px;' +
+        'font-family:sans-serif;font-size:14px;color:#333;box-shadow:0 4px 16px rgba(0,0,0,0.3);';
+
+      const title = document.createElement('h2');
+      title.id = 'inktrust-challenge-title';
+      title.textContent = '请完成安全验证';
+      title.style.cssText = 'font-size:16px;margin:0 0 12px;';
+
+      const content = document.createElement('div');
+
+      const message = document.createElement('p');
+      message.setAttribute('aria-live', 'polite');
+      message.style.cssText = 'min-height:20px;margin:8px 0;color:#d9534f;';
+
+      const actions = document.createElement('div');
+      actions.style.cssText = 'display:flex;justify-content:space-between;';
+
+      const switchButton = document.createElement('button');
+      switchButton.type = 'button';
+
+      const closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.textContent = '关闭';
+
+      actions.appendChild(switchButton);
+      actions.appendChild(closeButton);
+      dialog.appendChild(title);
+      dialog.appendChild(content);
+      dialog.appendChild(message);
+      dialog.appendChild(actions);
+      overlay.appendChild(dialog);
+      document.body.appendChild(overlay);
+
+      this.challengeOverlay = overlay;
+
+      return {
+        overlay,
+        content,
+        switchButton,
+        closeButton,
+        setMessage: (text) => {
+          message.textContent = text;
+        }
+      };
+    }
+
+    /**
+     * 渲染滑块拼图，拖动轨迹随答案一起提交
+     */
+    _renderSliderChallenge(ui, challenge, submit) {
+      ui.content.innerHTML = '';
+
+      const stage = document.createElement('div');
+      stage.style.cssText = `position:relative;width:${challenge.width}px;height:${challenge.height}px;`;
+
+      const background = document.createElement('img');
+      background.src = challenge.background;
+      background.alt = '';
+      background.draggable = false;
+      background.style.cssText = 'display:block;';
+
+      const piece = document.createElement('img');
+      piece.src = challenge.piece;
+      piece.alt = '';
+      piece.draggable = false;
+      piece.style.cssText = `position:absolute;left:0;top:${challenge.y}px;` +
+        'box-shadow:0 0 4px rgba(0,0,0,0.6);';
+
+      const track = document.createElement('div');
+      track.style.cssText = `position:relative;width:${challenge.width}px;height:36px;margin-top:10px;` +
+        'background:#eee;border-radius:18px;touch-action:none;user-select:none;';
+
+      const handle = document.createElement('div');
+      handle.textContent = '→';
+      handle.setAttribute('aria-label', '拖动滑块使拼图与缺口对齐');
+      handle.style.cssText = `position:absolute;left:0;top:0;width:${challenge.pieceSize}px;height:36px;` +
+        'line-height:36px;text-align:center;background:#4a90e2;color:#fff;border-radius:18px;cursor:grab;';
+
+      const maxLeft = challenge.width - challenge.pieceSize;
+      let dragging = false;
+      let startX = 0;
+      let left = 0;
+      let trajectory = [];
+
+      handle.addEventListener('pointerdown', (event) => {
+        dragging = true;
+        startX = event.clientX - left;
+        trajectory = [{ x: event.clientX, y: event.clientY, t: Date.now() }];
+        handle.setPointerCapture(event.pointerId);
+      });
+
+      handle.addEventListener('pointermove', (event) => {
+        if (!dragging) return;
+
+        left = Math.max(0, Math.min(maxLeft, event.clientX - startX));
+        handle.style.left = `${left}px`;
+        piece.style.left = `${left}px`;
+
+        if (trajectory.length < 500) {
+          trajectory.push({ x: event.clientX, y: event.clientY, t: Date.now() });
+        }
+      });
+
+      handle.addEventListener('pointerup', () => {
+        if (!dragging) return;
+        dragging = false;
+
+        submit({ challengeId: challenge.id, position: Math.round(left), trajectory });
+      });
+
+      stage.appendChild(background);
+      stage.appendChild(piece);
+      track.appendChild(handle);
+      ui.content.appendChild(stage);
+      ui.content.appendChild(track);
+
+      // 无法拖动滑块的用户可以通过键盘切换到文字问答
+      ui.switchButton.focus();
+    }
+
+    /**
+     * 渲染文字问答（无障碍替代方案，可以完全通过键盘和读屏软件完成）
+     * 题目附带的工作量证明在用户阅读题目时计算，同时记录答案的输入时间
+     */
+    _renderTextChallenge(ui, challenge, submit) {
+      ui.content.innerHTML = '';
+
+      const shownAt = performance.now();
+      const inputs = [];
+      const noncePromise = this._computeNonce(challenge.pow);
+
+      const form = document.createElement('form');
+
+      const label = document.createElement('label');
+      label.htmlFor = 'inktrust-challenge-answer';
+      label.textContent = challenge.question;
+      label.style.cssText = 'display:block;margin-bottom:8px;';
+
+      const input = document.createElement('input');
+      input.id = 'inktrust-challenge-answer';
+      input.type = 'text';
+      input.inputMode = 'numeric';
+      input.autocomplete = 'off';
+      input.style.cssText = 'width:200px;padding:4px;margin-right:8px;';
+
+      const button = document.createElement('button');
+      button.type = 'submit';
+      button.textContent = '提交';
+
+      input.addEventListener('input', () => {
+        if (inputs.length < 50) inputs.push({ t: Math.round(performance.now() - shownAt) });
+      });
+
+      form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        button.disabled = true;
+        ui.setMessage('正在验证...');
+
+        const nonce = await noncePromise;
+        submit({ challengeId: challenge.id, answer: input.value, nonce, inputs });
+      });
+
+      form.appendChild(label);
+      form.appendChild(input);
+      form.appendChild(button);
+      ui.content.appendChild(form);
+
+      input.focus();
+    }
+
     /**
      * 获取验证结果
      */
@@ -841,6 +1892,13 @@
       return this.state.result;
     }
 
+    /**
+     * 获取验证令牌（交给接入方后端通过 /siteverify 兑换）
+     */
+    getToken() {
+      return this.state.result ? this.state.result.token || null : null;
+    }
+
     /**
      * 获取会话状态
      */
@@ -850,9 +1908,7 @@
       try {
         const response = await fetch(`${this.config.apiUrl}/status/${this.state.sessionId}`, {
           method: 'GET',
-          headers: {
-            'Content-Type': 'application/json'
-          }
+          headers: this._getHeaders()
         });
 
         return await response.json();
@@ -862,6 +1918,26 @@
       }
     }
 
+    /**
+     * 获取请求头（携带站点密钥，以及用于会话绑定检查的会话密钥和基础指纹）
+     */
+    _getHeaders() {
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-InkTrust-Site-Key': this.config.siteKey || ''
+      };
+
+      if (this.state.sessionSecret) {
+        headers['X-InkTrust-Session-Secret'] = this.state.sessionSecret;
+      }
+
+      if (this.state.fingerprints.basic) {
+        headers['X-InkTrust-Fingerprint'] = this.state.fingerprints.basic;
+      }
+
+      return headers;
+    }
+
     /**
      * 触发回调函数
      */
@@ -876,9 +1952,20 @@
      */
     destroy() {
       this._removeEventListeners();
+
+      if (this.challengeOverlay) {
+        this.challengeOverlay.remove();
+        this.challengeOverlay = null;
+      }
+
       this.state = {
         sessionId: null,
+        sessionSecret: null,
+        telemetryKey: null,
         events: [],
+        eventQueue: [],
+        eventSeq: 0,
+        batchSeq: 0,
         verified: false,
         result: null,
         fingerprints: {},
@@ -0,0 +1,65 @@
+/**
+ * 审计日志查询工具
+ * 按会话、站点、结果、IP或时间范围过滤审计日志，结果以JSON Lines格式输出
+ *
+ * 用法：
+ *   node scripts/audit-query.js --session <会话ID>
+ *   node scripts/audit-query.js --ip 203.0.113.7 --outcome rejected --limit 20
+ *   node scripts/audit-query.js --ip-hash <IP哈希> --since 2024-01-01T00:00:00Z
+ *
+ * 日志目录由INKTRUST_AUDIT_LOG_DIR指定；按IP查询时需要使用与写入时相同的INKTRUST_AUDIT_IP_SECRET
+ */
+const auditLog = require('../utils/audit-log');
+
+// 命令行参数与过滤条件的对应关系
+const OPTIONS = {
+  '--session': 'sessionId',
+  '--site': 'siteKey',
+  '--outcome': 'outcome',
+  '--ip': 'ip',
+  '--ip-hash': 'ipHash',
+  '--since': 'since',
+  '--until': 'until',
+  '--limit': 'limit'
+};
+
+function parseArgs(args) {
+  const filter = {};
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = OPTIONS[args[i]];
+
+    if (!key || args[i + 1] === undefined) {
+      throw new Error(`未知参数或缺少参数值: ${args[i]}`);
+    }
+
+    filter[key] = key === 'limit' ? parseInt(args[i + 1], 10) : args[i + 1];
+  }
+
+  return filter;
+}
+
+async function main() {
+  let filter;
+
+  try {
+    filter = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(`可用参数: ${Object.keys(OPTIONS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const entries = await auditLog.query(filter);
+
+  for (const entry of entries) {
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  console.error(`共 ${entries.length} 条记录（${auditLog.AUDIT_LOG_DIR}）`);
+}
+
+main().catch(error => {
+  console.error('查询审计日志错误:', error);
+  process.exit(1);
+});
@@ -0,0 +1,388 @@
+/**
+ * 离线评估工具
+ * 将标注过的录制会话重新送入各分析器和会话验证逻辑，评估当前规则和策略的效果
+ *
+ * 用法：
+ *   node scripts/evaluate.js run <录制文件.jsonl> [--out run.json] [--thresholds 30,40,50]
+ *   node scripts/evaluate.js diff <运行结果A.json> <运行结果B.json>
+ *
+ * run 输出按标注和判定结果统计的混淆矩阵、各阈值下的精确率和召回率、ROC曲线和AUC，
+ * 以及各信号在人类和机器人会话中的触发率。以机器人为正类，分数低于阈值视为判定为机器人。
+ * diff 比较两次运行的指标和信号触发率，并列出判定结果或分数发生变化的会话
+ */
+const fs = require('fs');
+const automationDetector = require('../utils/automation-detector');
+const behaviorAnalyzer = require('../utils/behavior-analyzer');
+const networkAnalyzer = require('../utils/network-analyzer');
+const fingerprintAnalyzer = require('../utils/fingerprint-analyzer');
+const reputationAnalyzer = require('../utils/reputation-analyzer');
+const siteManager = require('../utils/site-manager');
+const policyEngine = require('../utils/policy-engine');
+const sessionCapture = require('../utils/session-capture');
+const { verifySession } = require('../utils/session-verifier');
+
+// 默认评估的阈值
+const DEFAULT_THRESHOLDS = [10, 20, 30, 40, 50, 60, 70, 80, 90];
+
+// 判定结果
+const OUTCOMES = ['verified', 'challenged', 'rejected'];
+
+// diff 中列出的会话数上限
+const MAX_LISTED_CHANGES = 50;
+
+/**
+ * 回放一个录制会话
+ * 与线上流程一致：/init 时分析自动化特征、指纹和网络，/verify 时分析完整事件流并计算分数
+ */
+async function replay(record) {
+  const { session, req } = sessionCapture.fromCaptureRecord(record);
+  const site = siteManager.getSiteByKey(record.siteKey) || null;
+  const { clientInfo } = session;
+
+  if (siteManager.isAnalyzerEnabled(site, 'automation')) {
+    session.analysis.automation = automationDetector.detectAutomation(clientInfo);
+  }
+
+  if (siteManager.isAnalyzerEnabled(site, 'fingerprint')) {
+    session.analysis.fingerprint = fingerprintAnalyzer.analyzeFingerprint(clientInfo);
+  }
+
+  if (siteManager.isAnalyzerEnabled(site, 'network')) {
+    session.analysis.network = await networkAnalyzer.analyzeNetwork(clientInfo, req);
+  }
+
+  // 信誉特征依赖线上的历史数据，使用录制时的特征重新评分
+  if (record.reputation && siteManager.isAnalyzerEnabled(site, 'reputation')) {
+    session.analysis.reputation = reputationAnalyzer.analyzeReputation(record.reputation);
+  }
+
+  if (session.events.length > 0 && siteManager.isAnalyzerEnabled(site, 'behavior')) {
+    session.analysis.behavior = behaviorAnalyzer.analyzeBehavior(behaviorAnalyzer.orderEvents(session.events));
+  }
+
+  const result = await verifySession(session, req, site, record.capturedAt);
+
+  return {
+    sessionId: record.sessionId,
+    siteKey: record.siteKey,
+    label: record.label,
+    outcome: result.outcome,
+    score: result.score,
+    rule: result.rule || null,
+    signals: [...new Set(result.signals.map(signal => signal.id))],
+    recordedOutcome: record.outcome || null,
+    recordedScore: typeof record.score === 'number' ? record.score : null
+  };
+}
+
+/**
+ * 按标注和判定结果统计混淆矩阵
+ */
+function buildConfusionMatrix(sessions) {
+  const matrix = {};
+
+  for (const label of sessionCapture.LABELS) {
+    matrix[label] = Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0]));
+  }
+
+  for (const session of sessions) {
+    matrix[session.label][session.outcome]++;
+  }
+
+  return matrix;
+}
+
+/**
+ * 统计分数低于阈值时判定为机器人的效果
+ */
+function evaluateThreshold(sessions, threshold) {
+  let tp = 0, fp = 0, tn = 0, fn = 0;
+
+  for (const session of sessions) {
+    const predictedBot = session.score < threshold;
+    const isBot = session.label === 'bot';
+
+    if (predictedBot && isBot) tp++;
+    else if (predictedBot) fp++;
+    else if (isBot) fn++;
+    else tn++;
+  }
+
+  return {
+    threshold,
+    tp, fp, tn, fn,
+    precision: ratio(tp, tp + fp),
+    recall: ratio(tp, tp + fn),
+    falsePositiveRate: ratio(fp, fp + tn)
+  };
+}
+
+/**
+ * 计算ROC曲线（依次以每个出现过的分数作为阈值）和曲线下面积
+ */
+function buildRoc(sessions) {
+  const bots = sessions.filter(session => session.label === 'bot').length;
+  const humans = sessions.length - bots;
+
+  if (bots === 0 || humans === 0) {
+    return { points: [], auc: null };
+  }
+
+  const cutoffs = [...new Set(sessions.map(session => session.score))].sort((a, b) => a - b);
+  const points = [{ threshold: null, fpr: 0, tpr: 0 }];
+
+  // 阈值取分数本身时，分数小于等于该值的会话判定为机器人
+  for (const cutoff of cutoffs) {
+    const predicted = sessions.filter(session => session.score <= cutoff);
+    const tp = predicted.filter(session => session.label === 'bot').length;
+
+    points.push({
+      threshold: cutoff,
+      fpr: round((predicted.length - tp) / humans),
+      tpr: round(tp / bots)
+    });
+  }
+
+  let auc = 0;
+  for (let i = 1; i < points.length; i++) {
+    auc += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+  }
+
+  return { points, auc: round(auc) };
+}
+
+/**
+ * 统计各信号在人类和机器人会话中的触发率
+ */
+function buildSignalRates(sessions) {
+  const totals = { human: 0, bot: 0 };
+  const counts = new Map();
+
+  for (const session of sessions) {
+    totals[session.label]++;
+
+    for (const signalId of session.signals) {
+      if (!counts.has(signalId)) {
+        counts.set(signalId, { human: 0, bot: 0 });
+      }
+      counts.get(signalId)[session.label]++;
+    }
+  }
+
+  return Array.from(counts.entries())
+    .map(([id, count]) => ({
+      id,
+      human: ratio(count.human, totals.human),
+      bot: ratio(count.bot, totals.bot)
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? round(numerator / denominator) : null;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function formatRate(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatDelta(before, after) {
+  const text = `${formatRate(before)} -> ${formatRate(after)}`;
+
+  if (before === null || after === null) return text;
+
+  const delta = (after - before) * 100;
+  return `${text} (${delta >= 0 ? '+' : ''}${delta.toFixed(1)})`;
+}
+
+/**
+ * 回放录制文件并汇总评估结果
+ */
+async function run(corpusPath, options) {
+  const sessions = [];
+  let unlabeled = 0;
+  let failed = 0;
+
+  for await (const record of sessionCapture.readCaptures(corpusPath)) {
+    if (!sessionCapture.LABELS.includes(record.label)) {
+      unlabeled++;
+      continue;
+    }
+
+    try {
+      sessions.push(await replay(record));
+    } catch (error) {
+      failed++;
+      console.error(`回放会话 ${record.sessionId} 错误:`, error.message);
+    }
+  }
+
+  return {
+    corpus: corpusPath,
+    createdAt: new Date().toISOString(),
+    policyVersion: policyEngine.getPolicyVersion(),
+    counts: {
+      human: sessions.filter(session => session.label === 'human').length,
+      bot: sessions.filter(session => session.label === 'bot').length,
+      unlabeled,
+      failed
+    },
+    confusionMatrix: buildConfusionMatrix(sessions),
+    thresholds: options.thresholds.map(threshold => evaluateThreshold(sessions, threshold)),
+    roc: buildRoc(sessions),
+    signals: buildSignalRates(sessions),
+    sessions
+  };
+}
+
+function printRun(result) {
+  const { counts } = result;
+
+  console.log(`录制文件: ${result.corpus}`);
+  console.log(`策略版本: ${result.policyVersion}`);
+  console.log(`会话: 人类 ${counts.human}，机器人 ${counts.bot}（跳过未标注 ${counts.unlabeled}，回放失败 ${counts.failed}）`);
+
+  console.log('\n混淆矩阵（标注 \\ 判定结果）:');
+  console.log(['', ...OUTCOMES].map(cell => cell.padEnd(12)).join(''));
+  for (const [label, row] of Object.entries(result.confusionMatrix)) {
+    console.log([label, ...OUTCOMES.map(outcome => String(row[outcome]))].map(cell => cell.padEnd(12)).join(''));
+  }
+
+  console.log('\n阈值评估（分数低于阈值判定为机器人）:');
+  console.log(['阈值', '精确率', '召回率', '误报率', 'TP/FP/TN/FN'].map(cell => cell.padEnd(12)).join(''));
+  for (const row of result.thresholds) {
+    console.log([
+      String(row.threshold),
+      formatRate(row.precision),
+      formatRate(row.recall),
+      formatRate(row.falsePositiveRate),
+      `${row.tp}/${row.fp}/${row.tn}/${row.fn}`
+    ].map(cell => cell.padEnd(12)).join(''));
+  }
+
+  console.log(`\nAUC: ${result.roc.auc === null ? '-（需要同时包含人类和机器人会话）' : result.roc.auc}`);
+
+  console.log('\n信号触发率（人类 / 机器人）:');
+  for (const signal of result.signals) {
+    console.log(`  ${signal.id.padEnd(40)}${formatRate(signal.human).padEnd(10)}${formatRate(signal.bot)}`);
+  }
+}
+
+/**
+ * 比较两次运行的结果
+ */
+function printDiff(before, after) {
+  console.log(`A: ${before.corpus}（${before.policyVersion}，${before.createdAt}）`);
+  console.log(`B: ${after.corpus}（${after.policyVersion}，${after.createdAt}）`);
+  console.log(`\nAUC: ${before.roc.auc === null ? '-' : before.roc.auc} -> ${after.roc.auc === null ? '-' : after.roc.auc}`);
+
+  console.log('\n阈值评估（A -> B）:');
+  for (const row of after.thresholds) {
+    const previous = before.thresholds.find(item => item.threshold === row.threshold);
+    if (!previous) continue;
+
+    console.log(`  ${String(row.threshold).padEnd(6)}精确率 ${formatDelta(previous.precision, row.precision)}  召回率 ${formatDelta(previous.recall, row.recall)}`);
+  }
+
+  console.log('\n信号触发率变化（人类 / 机器人）:');
+  const signalIds = new Set([...before.signals, ...after.signals].map(signal => signal.id));
+  let changedSignals = 0;
+
+  for (const id of Array.from(signalIds).sort()) {
+    const a = before.signals.find(signal => signal.id === id) || { human: null, bot: null };
+    const b = after.signals.find(signal => signal.id === id) || { human: null, bot: null };
+
+    if (a.human === b.human && a.bot === b.bot) continue;
+
+    changedSignals++;
+    console.log(`  ${id.padEnd(40)}${formatDelta(a.human, b.human)}  /  ${formatDelta(a.bot, b.bot)}`);
+  }
+
+  if (changedSignals === 0) {
+    console.log('  无变化');
+  }
+
+  const previousSessions = new Map(before.sessions.map(session => [session.sessionId, session]));
+  const changes = after.sessions.filter(session => {
+    const previous = previousSessions.get(session.sessionId);
+    return previous && (previous.outcome !== session.outcome || previous.score !== session.score);
+  });
+
+  console.log(`\n判定结果或分数变化的会话: ${changes.length}`);
+  for (const session of changes.slice(0, MAX_LISTED_CHANGES)) {
+    const previous = previousSessions.get(session.sessionId);
+    console.log(`  ${session.sessionId} [${session.label}] ${previous.outcome} ${previous.score} -> ${session.outcome} ${session.score}`);
+  }
+
+  if (changes.length > MAX_LISTED_CHANGES) {
+    console.log(`  ……另有 ${changes.length - MAX_LISTED_CHANGES} 个会话`);
+  }
+}
+
+function parseOptions(args) {
+  const options = { out: null, thresholds: DEFAULT_THRESHOLDS };
+
+  for (let i = 0; i < args.length; i += 2) {
+    if (args[i] === '--out' && args[i + 1]) {
+      options.out = args[i + 1];
+    } else if (args[i] === '--thresholds' && args[i + 1]) {
+      options.thresholds = args[i + 1].split(',').map(Number);
+
+      if (options.thresholds.some(threshold => !Number.isFinite(threshold))) {
+        throw new Error(`无效的阈值列表: ${args[i + 1]}`);
+      }
+    } else {
+      throw new Error(`未知参数或缺少参数值: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+function printUsage() {
+  console.error('用法:');
+  console.error('  node scripts/evaluate.js run <录制文件.jsonl> [--out run.json] [--thresholds 30,40,50]');
+  console.error('  node scripts/evaluate.js diff <运行结果A.json> <运行结果B.json>');
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'run' && args[0]) {
+    let options;
+
+    try {
+      options = parseOptions(args.slice(1));
+    } catch (error) {
+      console.error(error.message);
+      printUsage();
+      process.exit(1);
+    }
+
+    const result = await run(args[0], options);
+    printRun(result);
+
+    if (options.out) {
+      await fs.promises.writeFile(options.out, JSON.stringify(result, null, 2));
+      console.log(`\n运行结果已保存到 ${options.out}`);
+    }
+  } else if (command === 'diff' && args[0] && args[1]) {
+    const [before, after] = await Promise.all(args.slice(0, 2).map(async filePath => {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    }));
+
+    printDiff(before, after);
+  } else {
+    printUsage();
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('离线评估错误:', error);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+/**
+ * IP情报数据工具
+ * 检查数据文件、查询IP，以及通知运行中的服务重新加载数据（无需重启）
+ *
+ * 用法：
+ *   node scripts/ip-intel.js check [数据目录]
+ *   node scripts/ip-intel.js lookup <IP> [IP...]
+ *   node scripts/ip-intel.js reload [--url http://localhost:3000]
+ *
+ * 数据目录默认为INKTRUST_IP_INTEL_DIR；reload使用INKTRUST_ADMIN_USERNAME和INKTRUST_ADMIN_PASSWORD认证
+ */
+const axios = require('axios');
+const ipIntel = require('../utils/ip-intel');
+
+function printStats(stats) {
+  for (const file of stats.files) {
+    console.log(`${file.file}: ${file.ranges} 个范围${file.skipped ? `，跳过 ${file.skipped} 行无效数据` : ''}`);
+  }
+
+  console.log(`共 ${stats.ranges} 个范围（${stats.dir}）`);
+}
+
+async function reload(args) {
+  const url = args[0] === '--url' && args[1] ? args[1] : 'http://localhost:3000';
+  const password = process.env.INKTRUST_ADMIN_PASSWORD;
+
+  if (!password) {
+    throw new Error('需要设置INKTRUST_ADMIN_PASSWORD');
+  }
+
+  const response = await axios.post(`${url.replace(/\/$/, '')}/admin/api/ip-intel/reload`, null, {
+    auth: { username: process.env.INKTRUST_ADMIN_USERNAME || 'admin', password },
+    validateStatus: () => true
+  });
+
+  if (!response.data || !response.data.success) {
+    throw new Error((response.data && response.data.message) || `请求失败: HTTP ${response.status}`);
+  }
+
+  printStats(response.data.stats);
+}
+
+function printUsage() {
+  console.error('用法:');
+  console.error('  node scripts/ip-intel.js check [数据目录]');
+  console.error('  node scripts/ip-intel.js lookup <IP> [IP...]');
+  console.error('  node scripts/ip-intel.js reload [--url http://localhost:3000]');
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'check') {
+    printStats(ipIntel.loadDataset(args[0] || ipIntel.INTEL_DIR).stats);
+  } else if (command === 'lookup' && args.length > 0) {
+    for (const ip of args) {
+      const matches = ipIntel.lookup(ip);
+      const description = matches.map(match => {
+        return `${ipIntel.CATEGORIES[match.category]} ${match.provider || '-'} ${match.range} (${match.source})`;
+      });
+
+      console.log(`${ip}: ${description.length > 0 ? description.join('; ') : '无匹配'}`);
+    }
+  } else if (command === 'reload') {
+    await reload(args);
+  } else {
+    printUsage();
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('IP情报数据工具错误:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+/**
+ * 本地Webhook接收器
+ * 用于在开发环境中测试Webhook投递：校验签名并打印收到的事件
+ *
+ * 用法：
+ *   INKTRUST_WEBHOOK_SECRET=whsec_test node scripts/webhook-receiver.js
+ *
+ * 环境变量：
+ * - INKTRUST_WEBHOOK_SECRET: 站点配置中该订阅的secret
+ * - WEBHOOK_RECEIVER_PORT: 监听端口 (默认: 4000)
+ * - WEBHOOK_RECEIVER_FAIL_FIRST: 每个投递的前N次请求返回500，用于测试重试和死信 (默认: 0)
+ */
+const http = require('http');
+const { verifySignature } = require('../utils/webhook-dispatcher');
+
+const SECRET = process.env.INKTRUST_WEBHOOK_SECRET;
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 4000;
+const FAIL_FIRST = parseInt(process.env.WEBHOOK_RECEIVER_FAIL_FIRST, 10) || 0;
+
+if (!SECRET) {
+  console.error('请通过INKTRUST_WEBHOOK_SECRET环境变量指定订阅密钥');
+  process.exit(1);
+}
+
+// 按投递ID记录收到的请求次数
+const attempts = new Map();
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    return res.end();
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const deliveryId = req.headers['x-inktrust-delivery'];
+    const count = (attempts.get(deliveryId) || 0) + 1;
+    attempts.set(deliveryId, count);
+
+    // 签名必须基于原始请求体校验，不能先解析再序列化
+    if (!verifySignature(SECRET, req.headers['x-inktrust-signature'], body)) {
+      console.log(`[${deliveryId}] 签名无效`);
+      res.writeHead(401);
+      return res.end();
+    }
+
+    if (count <= FAIL_FIRST) {
+      console.log(`[${deliveryId}] 第${count}次请求，模拟失败`);
+      res.writeHead(500);
+      return res.end();
+    }
+
+    const event = JSON.parse(body);
+    console.log(`[${deliveryId}] 第${count}次请求 ${event.type}`, JSON.stringify(event.data));
+
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook接收器运行在端口 ${PORT}`);
+});
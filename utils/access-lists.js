@@ -0,0 +1,495 @@
+/**
+ * 站点名单模块
+ * 按站点管理放行、拦截和挑战名单，在 /init 的所有分析器之前检查。
+ * 名单保存在JSON文件中，文件被其他进程修改后自动重新加载；每次修改追加到JSON Lines格式的变更记录
+ *
+ * 名单项结构：
+ * - id: 名单项ID
+ * - siteKey: 站点密钥
+ * - type: ip（IP或CIDR，支持IPv4和IPv6）、fingerprint（指纹哈希）、userAgent（正则表达式）、
+ *   country（国家代码）或header（请求头正则表达式，header字段为请求头名称）
+ * - value: 匹配的值
+ * - action: allow、block或challenge
+ * - expiresAt: 过期时间（时间戳），为null时不过期
+ * - note: 备注
+ * - createdAt / createdBy / updatedAt / updatedBy: 创建和最后修改的时间及操作人
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const geoip = require('geoip-lite');
+const ipaddr = require('ipaddr.js');
+
+// 名单文件和变更记录文件，默认保存在config目录（已加入.gitignore，仓库中不包含名单文件）
+const LISTS_FILE = process.env.INKTRUST_ACCESS_LISTS_FILE || path.join(__dirname, '..', 'config', 'access-lists.json');
+const CHANGES_FILE = `${LISTS_FILE.replace(/\.json$/, '')}.changes.jsonl`;
+
+// 检查名单文件是否被修改的最小间隔（毫秒）
+const RELOAD_INTERVAL = 5000;
+
+const TYPES = ['ip', 'fingerprint', 'userAgent', 'country', 'header'];
+const ACTIONS = ['allow', 'block', 'challenge'];
+
+// 同时命中多个名单项时的优先级：放行优先（例如监控探针），其次拦截，最后挑战
+const ACTION_PRIORITY = ['allow', 'block', 'challenge'];
+
+// 动作的名称，用于判定原因
+const ACTION_NAMES = { allow: '放行', block: '拦截', challenge: '挑战' };
+
+// 正则表达式和备注的最大长度
+const MAX_PATTERN_LENGTH = 500;
+const MAX_NOTE_LENGTH = 1000;
+
+let entries = [];
+let compiled = [];
+let listsMtime = null;
+let lastCheckedAt = 0;
+
+// 写入队列，保证同一进程内的修改按顺序进行
+let writeQueue = Promise.resolve();
+
+load();
+
+/**
+ * 加载名单文件，文件不存在时为空名单
+ */
+function load() {
+  try {
+    const data = JSON.parse(fs.readFileSync(LISTS_FILE, 'utf8'));
+    setEntries(data.entries || []);
+    listsMtime = getMtime();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('加载站点名单错误，继续使用之前的名单:', error.message);
+    }
+  }
+
+  lastCheckedAt = Date.now();
+}
+
+/**
+ * 名单文件被其他进程修改时重新加载
+ */
+function refresh() {
+  const now = Date.now();
+
+  if (now - lastCheckedAt < RELOAD_INTERVAL) return;
+
+  lastCheckedAt = now;
+  const mtime = getMtime();
+
+  if (mtime && mtime !== listsMtime) {
+    load();
+  }
+}
+
+function getMtime() {
+  try {
+    return fs.statSync(LISTS_FILE).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 替换名单并预编译匹配条件
+ */
+function setEntries(newEntries) {
+  compiled = newEntries.map(entry => ({ entry, test: compile(entry) }));
+  entries = newEntries;
+}
+
+/**
+ * 将名单项编译为匹配函数
+ */
+function compile(entry) {
+  switch (entry.type) {
+    case 'ip': {
+      const range = parseRange(entry.value);
+      return subject => {
+        const address = parseAddress(subject.ip);
+        return !!address && address.kind() === range[0].kind() && address.match(range);
+      };
+    }
+    case 'fingerprint':
+      return subject => subject.fingerprintHash === entry.value;
+    case 'userAgent': {
+      const pattern = new RegExp(entry.value, 'i');
+      return subject => !!subject.userAgent && pattern.test(subject.userAgent);
+    }
+    case 'country':
+      return subject => subject.country === entry.value;
+    case 'header': {
+      const pattern = new RegExp(entry.value, 'i');
+      return subject => {
+        const value = subject.headers[entry.header];
+        return value !== undefined && pattern.test(Array.isArray(value) ? value.join(', ') : String(value));
+      };
+    }
+    default:
+      return () => false;
+  }
+}
+
+/**
+ * 解析IP或CIDR，单个IP视为/32或/128，IPv4映射的IPv6地址按IPv4处理
+ * @returns {Array} [网络地址, 前缀长度]
+ */
+function parseRange(value) {
+  let [address, prefixLength] = value.includes('/') ? ipaddr.parseCIDR(value) : [ipaddr.parse(value), null];
+
+  if (address.kind() === 'ipv6' && address.isIPv4MappedAddress()) {
+    address = address.toIPv4Address();
+    prefixLength = prefixLength === null ? null : Math.max(0, prefixLength - 96);
+  }
+
+  if (prefixLength === null) {
+    prefixLength = address.kind() === 'ipv4' ? 32 : 128;
+  }
+
+  const Address = address.kind() === 'ipv4' ? ipaddr.IPv4 : ipaddr.IPv6;
+  return [Address.networkAddressFromCIDR(`${address.toString()}/${prefixLength}`), prefixLength];
+}
+
+function parseAddress(ip) {
+  try {
+    return ip ? ipaddr.process(ip) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 校验并规范化名单项的可修改字段
+ * @param {Object} data 请求中的字段
+ * @param {Object} current 修改时的当前名单项
+ * @returns {Object} { entry } 或 { error }
+ */
+function normalizeEntry(data, current = {}) {
+  const entry = {
+    type: data.type !== undefined ? data.type : current.type,
+    value: data.value !== undefined ? data.value : current.value,
+    header: data.header !== undefined ? data.header : current.header,
+    action: data.action !== undefined ? data.action : current.action,
+    expiresAt: data.expiresAt !== undefined ? data.expiresAt : current.expiresAt,
+    note: data.note !== undefined ? data.note : current.note
+  };
+
+  if (!TYPES.includes(entry.type)) {
+    return { error: `名单类型无效，应为: ${TYPES.join(', ')}` };
+  }
+
+  if (!ACTIONS.includes(entry.action)) {
+    return { error: `名单动作无效，应为: ${ACTIONS.join(', ')}` };
+  }
+
+  if (typeof entry.value !== 'string' || !entry.value.trim()) {
+    return { error: '缺少名单值' };
+  }
+
+  entry.value = entry.value.trim();
+
+  switch (entry.type) {
+    case 'ip':
+      try {
+        const [address, prefixLength] = parseRange(entry.value);
+        entry.value = `${address.toString()}/${prefixLength}`;
+      } catch (error) {
+        return { error: `无效的IP或CIDR: ${entry.value}` };
+      }
+      break;
+    case 'fingerprint':
+      entry.value = entry.value.toLowerCase();
+      break;
+    case 'country':
+      if (!/^[a-z]{2}$/i.test(entry.value)) {
+        return { error: `无效的国家代码: ${entry.value}` };
+      }
+      entry.value = entry.value.toUpperCase();
+      break;
+    case 'header':
+      if (typeof entry.header !== 'string' || !/^[\w-]+$/.test(entry.header)) {
+        return { error: '请求头名单需要有效的header字段' };
+      }
+      entry.header = entry.header.toLowerCase();
+      break;
+  }
+
+  if (entry.type === 'userAgent' || entry.type === 'header') {
+    if (entry.value.length > MAX_PATTERN_LENGTH) {
+      return { error: `正则表达式不能超过${MAX_PATTERN_LENGTH}个字符` };
+    }
+
+    try {
+      new RegExp(entry.value, 'i');
+    } catch (error) {
+      return { error: `无效的正则表达式: ${error.message}` };
+    }
+  }
+
+  if (entry.type !== 'header') {
+    delete entry.header;
+  }
+
+  if (entry.expiresAt === undefined || entry.expiresAt === null) {
+    entry.expiresAt = null;
+  } else {
+    const expiresAt = typeof entry.expiresAt === 'number' ? entry.expiresAt : new Date(entry.expiresAt).getTime();
+
+    if (!Number.isFinite(expiresAt)) {
+      return { error: `无效的过期时间: ${entry.expiresAt}` };
+    }
+    entry.expiresAt = expiresAt;
+  }
+
+  if (entry.note === undefined || entry.note === null) {
+    entry.note = null;
+  } else if (typeof entry.note !== 'string' || entry.note.length > MAX_NOTE_LENGTH) {
+    return { error: `备注必须是不超过${MAX_NOTE_LENGTH}个字符的字符串` };
+  }
+
+  return { entry };
+}
+
+/**
+ * 获取站点的名单
+ * @param {string} siteKey 站点密钥
+ * @param {Object} options 选项
+ * @param {boolean} options.includeExpired 是否包括已过期的名单项
+ */
+function list(siteKey, options = {}) {
+  refresh();
+
+  const now = Date.now();
+
+  return entries.filter(entry => {
+    return entry.siteKey === siteKey && (options.includeExpired || !isExpired(entry, now));
+  });
+}
+
+/**
+ * 添加名单项
+ * @returns {Promise<Object>} { entry } 或 { error }
+ */
+function add(siteKey, data, actor) {
+  return modify(() => {
+    const { entry, error } = normalizeEntry(data);
+    if (error) return { error };
+
+    const now = Date.now();
+    const created = {
+      id: crypto.randomUUID(),
+      siteKey,
+      ...entry,
+      createdAt: now,
+      createdBy: actor,
+      updatedAt: now,
+      updatedBy: actor
+    };
+
+    return {
+      entries: [...entries, created],
+      change: { operation: 'create', siteKey, entryId: created.id, actor, before: null, after: created },
+      result: { entry: created }
+    };
+  });
+}
+
+/**
+ * 修改名单项
+ * @returns {Promise<Object|null>} { entry } 或 { error }，名单项不存在时返回null
+ */
+function update(siteKey, entryId, data, actor) {
+  return modify(() => {
+    const current = findEntry(siteKey, entryId);
+    if (!current) return null;
+
+    const { entry, error } = normalizeEntry(data, current);
+    if (error) return { error };
+
+    const updated = { ...current, ...entry, updatedAt: Date.now(), updatedBy: actor };
+
+    return {
+      entries: entries.map(item => (item === current ? updated : item)),
+      change: { operation: 'update', siteKey, entryId, actor, before: current, after: updated },
+      result: { entry: updated }
+    };
+  });
+}
+
+/**
+ * 删除名单项
+ * @returns {Promise<boolean>} 是否删除
+ */
+function remove(siteKey, entryId, actor) {
+  return modify(() => {
+    const current = findEntry(siteKey, entryId);
+    if (!current) return false;
+
+    return {
+      entries: entries.filter(item => item !== current),
+      change: { operation: 'delete', siteKey, entryId, actor, before: current, after: null },
+      result: true
+    };
+  });
+}
+
+function findEntry(siteKey, entryId) {
+  return entries.find(entry => entry.siteKey === siteKey && entry.id === entryId) || null;
+}
+
+/**
+ * 在写入队列中执行修改：先重新加载名单，再保存新名单并追加变更记录
+ * @param {Function} mutate 返回 { entries, change, result }，不需要修改时直接返回结果
+ */
+function modify(mutate) {
+  const operation = writeQueue.then(async () => {
+    load();
+
+    const outcome = mutate();
+    if (!outcome || !outcome.entries) return outcome;
+
+    await save(outcome.entries);
+    setEntries(outcome.entries);
+
+    await fs.promises.appendFile(CHANGES_FILE, `${JSON.stringify({
+      timestamp: new Date().toISOString(),
+      ...outcome.change
+    })}\n`, { mode: 0o600 });
+
+    return outcome.result;
+  });
+
+  writeQueue = operation.catch(() => {});
+
+  return operation;
+}
+
+/**
+ * 先写入临时文件再重命名，避免其他进程读到写了一半的文件
+ */
+async function save(newEntries) {
+  const tempFile = `${LISTS_FILE}.${process.pid}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(LISTS_FILE), { recursive: true });
+  await fs.promises.writeFile(tempFile, JSON.stringify({ entries: newEntries }, null, 2), { mode: 0o600 });
+  await fs.promises.rename(tempFile, LISTS_FILE);
+
+  listsMtime = getMtime();
+}
+
+/**
+ * 获取站点名单的变更记录
+ * @param {string} siteKey 站点密钥
+ * @param {Object} options 选项
+ * @param {string} options.entryId 只返回指定名单项的记录
+ * @param {number} options.limit 最多返回的条数（返回最近的记录）
+ * @returns {Promise<Array>} 按时间先后排列的变更记录
+ */
+async function getChanges(siteKey, options = {}) {
+  let content;
+
+  try {
+    content = await fs.promises.readFile(CHANGES_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const changes = [];
+
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+
+    let change;
+    try {
+      change = JSON.parse(line);
+    } catch (error) {
+      // 跳过写入中断产生的不完整行
+      continue;
+    }
+
+    if (change.siteKey !== siteKey) continue;
+    if (options.entryId && change.entryId !== options.entryId) continue;
+
+    changes.push(change);
+  }
+
+  return options.limit ? changes.slice(-options.limit) : changes;
+}
+
+/**
+ * 查找客户端命中的名单项
+ * @param {string} siteKey 站点密钥
+ * @param {Object} subject 客户端
+ * @param {string} subject.ip 客户端IP
+ * @param {string} subject.userAgent 用户代理
+ * @param {Object} subject.headers 请求头
+ * @param {string} subject.fingerprintHash 指纹哈希
+ * @returns {Object|null} 优先级最高的名单项
+ */
+function match(siteKey, subject) {
+  refresh();
+
+  const now = Date.now();
+  const candidates = compiled.filter(item => item.entry.siteKey === siteKey && !isExpired(item.entry, now));
+
+  if (candidates.length === 0) return null;
+
+  // 只在有国家名单时查询IP地理位置
+  const needsCountry = candidates.some(item => item.entry.type === 'country');
+  const geo = needsCountry && subject.ip ? geoip.lookup(subject.ip) : null;
+  const context = {
+    ...subject,
+    headers: subject.headers || {},
+    country: geo ? geo.country : null
+  };
+
+  const matched = candidates.filter(item => item.test(context)).map(item => item.entry);
+
+  if (matched.length === 0) return null;
+
+  return matched.sort((a, b) => ACTION_PRIORITY.indexOf(a.action) - ACTION_PRIORITY.indexOf(b.action))[0];
+}
+
+/**
+ * 保存在会话中的命中信息（名单项之后被修改或删除不影响已创建的会话）
+ */
+function toSessionMatch(entry) {
+  return {
+    id: entry.id,
+    type: entry.type,
+    value: entry.value,
+    header: entry.header || null,
+    action: entry.action,
+    reason: `命中站点${ACTION_NAMES[entry.action]}名单: ${entry.type} ${entry.header ? `${entry.header}: ` : ''}${entry.value}`
+  };
+}
+
+/**
+ * 将命中信息转换为评分策略的硬性规则
+ */
+function toRule(sessionMatch) {
+  return {
+    id: `access_list.${sessionMatch.id}`,
+    action: sessionMatch.action,
+    reason: sessionMatch.reason
+  };
+}
+
+function isExpired(entry, now) {
+  return entry.expiresAt !== null && entry.expiresAt !== undefined && entry.expiresAt <= now;
+}
+
+module.exports = {
+  TYPES,
+  ACTIONS,
+  list,
+  add,
+  update,
+  remove,
+  getChanges,
+  match,
+  toSessionMatch,
+  toRule
+};
@@ -0,0 +1,224 @@
+/**
+ * 审计日志模块
+ * 以JSON Lines格式追加记录每次判定（会话ID、站点、时间、策略版本、分数、结果、标准化信号和IP哈希），
+ * 用于处理申诉和合规审计。日志文件超过大小上限时轮转，只保留最近的若干个文件
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// 日志目录
+const AUDIT_LOG_DIR = process.env.INKTRUST_AUDIT_LOG_DIR || null;
+
+// 单个日志文件的大小上限（字节），默认10MB
+const MAX_FILE_SIZE = parseInt(process.env.INKTRUST_AUDIT_LOG_MAX_SIZE, 10) || 10 * 1024 * 1024;
+
+// 保留的日志文件数量（包括当前文件）
+const MAX_FILES = parseInt(process.env.INKTRUST_AUDIT_LOG_MAX_FILES, 10) || 10;
+
+// 当前日志文件名，轮转后的文件名为 audit-<时间>.jsonl
+const CURRENT_FILE = 'audit.jsonl';
+const LOG_FILE_PATTERN = /^audit(-\d{8}T\d{9}(-\d+)?)?\.jsonl$/;
+
+// IP哈希密钥
+const IP_HASH_SECRET = process.env.INKTRUST_AUDIT_IP_SECRET || null;
+
+// 配置了日志目录和IP哈希密钥时才记录：临时目录在重启和重新部署后丢失，随机生成的密钥使重启前后、
+// 不同实例之间的IP哈希无法关联，这样的日志无法用于处理申诉。设置INKTRUST_AUDIT_LOG=false时不记录也不提示
+const AUDIT_LOG_ENABLED = process.env.INKTRUST_AUDIT_LOG !== 'false' && Boolean(AUDIT_LOG_DIR && IP_HASH_SECRET);
+
+if (process.env.INKTRUST_AUDIT_LOG !== 'false' && !AUDIT_LOG_ENABLED) {
+  const missing = [
+    !AUDIT_LOG_DIR && 'INKTRUST_AUDIT_LOG_DIR',
+    !IP_HASH_SECRET && 'INKTRUST_AUDIT_IP_SECRET'
+  ].filter(Boolean);
+
+  console.warn(`未配置${missing.join('和')}，不记录审计日志`);
+}
+
+// 写入队列，保证同一进程内的记录按顺序写入且轮转时不会交错
+let writeQueue = Promise.resolve();
+
+/**
+ * 记录一次判定
+ * 写入失败只输出错误，不影响验证流程
+ * @param {Object} entry 记录内容
+ * @param {string} entry.sessionId 会话ID
+ * @param {string} entry.siteKey 站点密钥
+ * @param {string} entry.stage 判定阶段：init、event、verify或challenge
+ * @param {string} entry.outcome 结果：verified、challenged或rejected
+ * @param {number|null} entry.score 分数
+ * @param {string|null} entry.policyVersion 策略版本
+ * @param {string|null} entry.reason 拒绝原因
+ * @param {Array} entry.signals 标准化信号
+ * @param {string} entry.ip 客户端IP（只记录哈希）
+ * @returns {Promise} 写入完成
+ */
+function record(entry) {
+  if (!AUDIT_LOG_ENABLED) return Promise.resolve();
+
+  const { ip, ...rest } = entry;
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    ...rest,
+    ipHash: hashIp(ip)
+  }) + '\n';
+
+  writeQueue = writeQueue
+    .then(() => append(line))
+    .catch(error => console.error('写入审计日志错误:', error));
+
+  return writeQueue;
+}
+
+/**
+ * 计算IP哈希（HMAC-SHA256，取前32个十六进制字符）
+ */
+function hashIp(ip) {
+  if (!ip) return null;
+
+  if (!IP_HASH_SECRET) {
+    throw new Error('未配置INKTRUST_AUDIT_IP_SECRET');
+  }
+
+  return crypto.createHmac('sha256', IP_HASH_SECRET).update(String(ip)).digest('hex').slice(0, 32);
+}
+
+/**
+ * 追加一行，超过大小上限时先轮转
+ */
+async function append(line) {
+  await fs.promises.mkdir(AUDIT_LOG_DIR, { recursive: true });
+
+  const currentPath = path.join(AUDIT_LOG_DIR, CURRENT_FILE);
+  const size = await getFileSize(currentPath);
+
+  if (size > 0 && size + Buffer.byteLength(line) > MAX_FILE_SIZE) {
+    await rotate(currentPath);
+  }
+
+  await fs.promises.appendFile(currentPath, line, { mode: 0o600 });
+}
+
+/**
+ * 轮转当前日志文件并删除超出数量的旧文件
+ */
+async function rotate(currentPath) {
+  const stamp = new Date().toISOString().replace(/[-:.Z]/g, '');
+  let rotatedPath = path.join(AUDIT_LOG_DIR, `audit-${stamp}.jsonl`);
+
+  // 同一毫秒内多次轮转时追加序号
+  for (let i = 1; await getFileSize(rotatedPath) > 0; i++) {
+    rotatedPath = path.join(AUDIT_LOG_DIR, `audit-${stamp}-${i}.jsonl`);
+  }
+
+  await fs.promises.rename(currentPath, rotatedPath);
+
+  const rotatedFiles = (await listLogFiles()).filter(fileName => fileName !== CURRENT_FILE);
+  const excess = rotatedFiles.length - (MAX_FILES - 1);
+
+  for (const fileName of rotatedFiles.slice(0, Math.max(0, excess))) {
+    await fs.promises.unlink(path.join(AUDIT_LOG_DIR, fileName));
+  }
+}
+
+/**
+ * 查询审计记录
+ * @param {Object} filter 过滤条件（均为可选）
+ * @param {string} filter.sessionId 会话ID
+ * @param {string} filter.siteKey 站点密钥
+ * @param {string} filter.outcome 结果
+ * @param {string} filter.ipHash IP哈希
+ * @param {string} filter.ip 客户端IP（按当前密钥计算哈希后匹配）
+ * @param {number|string} filter.since 起始时间（时间戳或ISO字符串）
+ * @param {number|string} filter.until 结束时间
+ * @param {number} filter.limit 最多返回的条数（返回最近的记录）
+ * @returns {Promise<Array>} 按时间先后排列的记录
+ */
+async function query(filter = {}) {
+  if (!AUDIT_LOG_DIR) {
+    throw new Error('未配置INKTRUST_AUDIT_LOG_DIR');
+  }
+
+  const ipHash = filter.ipHash || (filter.ip ? hashIp(filter.ip) : null);
+  const since = filter.since ? new Date(filter.since).getTime() : null;
+  const until = filter.until ? new Date(filter.until).getTime() : null;
+  const results = [];
+
+  for (const fileName of await listLogFiles()) {
+    const stream = fs.createReadStream(path.join(AUDIT_LOG_DIR, fileName), { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // 跳过写入中断产生的不完整行
+        continue;
+      }
+
+      const time = new Date(entry.timestamp).getTime();
+
+      if (filter.sessionId && entry.sessionId !== filter.sessionId) continue;
+      if (filter.siteKey && entry.siteKey !== filter.siteKey) continue;
+      if (filter.outcome && entry.outcome !== filter.outcome) continue;
+      if (ipHash && entry.ipHash !== ipHash) continue;
+      if (since && time < since) continue;
+      if (until && time > until) continue;
+
+      results.push(entry);
+    }
+  }
+
+  return filter.limit ? results.slice(-filter.limit) : results;
+}
+
+/**
+ * 按时间先后列出日志文件（轮转的文件在前，当前文件在最后）
+ */
+async function listLogFiles() {
+  let fileNames;
+
+  try {
+    fileNames = await fs.promises.readdir(AUDIT_LOG_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const logFiles = fileNames.filter(fileName => LOG_FILE_PATTERN.test(fileName));
+  const rotated = logFiles.filter(fileName => fileName !== CURRENT_FILE).sort(compareRotatedFiles);
+
+  return logFiles.includes(CURRENT_FILE) ? [...rotated, CURRENT_FILE] : rotated;
+}
+
+/**
+ * 比较轮转文件名（时间相同时按序号排序）
+ */
+function compareRotatedFiles(a, b) {
+  const [, stampA, indexA = 0] = a.match(/^audit-(\d{8}T\d{9})(?:-(\d+))?\.jsonl$/);
+  const [, stampB, indexB = 0] = b.match(/^audit-(\d{8}T\d{9})(?:-(\d+))?\.jsonl$/);
+
+  return stampA === stampB ? Number(indexA) - Number(indexB) : stampA.localeCompare(stampB);
+}
+
+async function getFileSize(filePath) {
+  try {
+    return (await fs.promises.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+module.exports = {
+  AUDIT_LOG_ENABLED,
+  AUDIT_LOG_DIR,
+  record,
+  hashIp,
+  query
+};
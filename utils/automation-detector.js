@@ -5,103 +5,378 @@
 const DeviceDetector = require('device-detector-js');
 const Bowser = require('bowser');
 const CryptoJS = require('crypto-js');
+const { createSignal } = require('./signals');
 
 // 设备检测器实例
 const deviceDetector = new DeviceDetector();
 
+// SDK探测的navigator属性：Selenium和WebDriver注入的属性
+const NAVIGATOR_PROPERTIES = [
+  '__webdriver_evaluate',
+  '__selenium_evaluate',
+  '__webdriver_script_function',
+  '__webdriver_script_func',
+  '__webdriver_script_fn',
+  '__fxdriver_evaluate',
+  '__driver_unwrapped',
+  '__webdriver_unwrapped',
+  '__driver_evaluate',
+  '__selenium_unwrapped',
+  '__fxdriver_unwrapped',
+  '_Selenium_IDE_Recorder',
+  '_selenium',
+  'calledSelenium',
+  '_WEBDRIVER_ELEM_CACHE'
+];
+
+// SDK探测的window全局变量及对应的自动化工具（cdc_表示存在以cdc_开头的ChromeDriver变量）
+const WINDOW_GLOBALS = {
+  SeleniumWebDriverRequest: 'Selenium',
+  _selenium: 'Selenium',
+  selenium: 'Selenium',
+  Selenium: 'Selenium',
+  _Selenium_IDE_Recorder: 'Selenium',
+  callSelenium: 'Selenium',
+  calledSelenium: 'Selenium',
+  cdc_: 'Selenium',
+  domAutomation: 'Chrome Automation',
+  domAutomationController: 'Chrome Automation',
+  __playwright__binding__: 'Playwright',
+  __pwInitScripts: 'Playwright',
+  __nightmare: 'Nightmare',
+  _phantom: 'PhantomJS',
+  callPhantom: 'PhantomJS',
+  __lastWatirAlert: 'Watir',
+  __lastWatirConfirm: 'Watir',
+  __lastWatirPrompt: 'Watir'
+};
+
+// SDK探测的document属性和documentElement属性（ChromeDriver和Selenium留下的标记）
+const DOCUMENT_MARKERS = [
+  '$cdc_asdjflasutopfhvcZLmcfl_',
+  '$chrome_asyncScriptInfo',
+  '__webdriver_evaluate',
+  '__selenium_evaluate',
+  '__webdriver_script_fn',
+  '__driver_evaluate',
+  '__fxdriver_evaluate',
+  '__driver_unwrapped',
+  '__webdriver_unwrapped',
+  '__selenium_unwrapped',
+  '__fxdriver_unwrapped'
+];
+const DOCUMENT_ATTRIBUTES = ['webdriver', 'selenium', 'driver'];
+
+// 由window全局变量识别的其他自动化工具
+const OTHER_TOOLS = {
+  'Chrome Automation': { id: 'automation.chrome_automation', points: 30, confidence: 0.85 },
+  Nightmare: { id: 'automation.nightmare', points: 40, confidence: 0.95 },
+  PhantomJS: { id: 'automation.phantomjs', points: 40, confidence: 0.95 },
+  Watir: { id: 'automation.watir', points: 40, confidence: 0.95 }
+};
+
+// SDK检查是否被JavaScript函数包装的navigator属性getter
+const RUNTIME_GETTERS = [
+  'webdriver', 'plugins', 'mimeTypes', 'languages', 'hardwareConcurrency', 'deviceMemory', 'userAgent', 'platform',
+  'vendor'
+];
+
+// 注入脚本在调用栈中留下的sourceURL标记及对应的自动化工具
+const STACK_MARKERS = {
+  'pptr:': 'Puppeteer',
+  __puppeteer_evaluation_script__: 'Puppeteer',
+  __playwright_evaluation_script__: 'Playwright',
+  UtilityScript: 'Playwright'
+};
+
+// 由注入脚本识别出的自动化工具对应的检测
+const INJECTED_SCRIPT_DETECTIONS = {
+  Puppeteer: { id: 'automation.puppeteer_injected_script', points: 40, confidence: 0.95 },
+  Playwright: { id: 'automation.playwright_injected_script', points: 40, confidence: 0.95 }
+};
+
+/**
+ * SDK上报的automationFlags对应的检测
+ * covers为服务端根据探测数据进行的同类检测，已经命中时不再重复计分
+ */
+const FLAG_DETECTIONS = {
+  webdriver: {
+    id: 'automation.sdk_webdriver', tool: 'WebDriver', points: 30, confidence: 0.9,
+    covers: 'automation.webdriver', description: 'SDK检测到navigator.webdriver'
+  },
+  selenium: {
+    id: 'automation.sdk_selenium', tool: 'Selenium', points: 25, confidence: 0.85,
+    covers: 'automation.selenium', description: 'SDK检测到Selenium注入的属性'
+  },
+  chromeWebDriver: {
+    id: 'automation.sdk_chrome_webdriver', tool: 'Selenium', points: 25, confidence: 0.85,
+    covers: 'automation.selenium', description: 'SDK检测到ChromeDriver的document标记'
+  },
+  headless: {
+    id: 'automation.sdk_headless', tool: 'Headless Browser', points: 30, confidence: 0.8,
+    covers: 'automation.puppeteer', description: 'SDK检测到无头浏览器的用户代理'
+  },
+  puppeteerOrPlaywright: {
+    id: 'automation.sdk_chrome_object', points: 10, confidence: 0.4,
+    covers: 'automation.puppeteer', description: 'SDK检测到Chrome用户代理但缺少window.chrome'
+  },
+  noPlugins: {
+    id: 'automation.sdk_no_plugins', points: 5, confidence: 0.3,
+    covers: 'automation.abnormal_plugin_count', description: 'SDK检测到浏览器插件数量为0'
+  },
+  noLanguages: {
+    id: 'automation.sdk_no_languages', points: 10, confidence: 0.5,
+    covers: 'automation.abnormal_language', description: 'SDK检测到语言列表为空'
+  },
+  abnormalScreenSize: {
+    id: 'automation.sdk_tiny_screen', points: 15, confidence: 0.6,
+    description: 'SDK检测到屏幕尺寸小于100像素'
+  },
+  // 以下两项在正常页面中也很常见，只作为弱信号
+  abnormalTiming: {
+    id: 'automation.sdk_abnormal_timing', points: 3, confidence: 0.2,
+    description: 'SDK检测到navigationStart与fetchStart相同'
+  },
+  modifiedErrorHandler: {
+    id: 'automation.sdk_modified_error_handler', points: 3, confidence: 0.2,
+    description: 'SDK检测到window.onerror被修改'
+  }
+};
+
+// navigator.platform与用户代理操作系统的兼容关系（Android和Chrome OS的platform为Linux，
+// iPadOS默认使用macOS的用户代理）
+const COMPATIBLE_PLATFORM_OS = {
+  Linux: ['Linux', 'Android', 'Chrome OS'],
+  macOS: ['macOS', 'iOS']
+};
+
+// 探测数据中字符串和列表的长度上限
+const MAX_STRING_LENGTH = 512;
+const MAX_LIST_SIZE = 30;
+
+/**
+ * 校验并规范化SDK上报的探测数据，只保留已知的字段和名称
+ * @param {Object} raw 请求体中的probes
+ * @returns {Object|null} 探测数据：
+ *   - navigator: webdriver、userAgent、platform、vendor、language、languages、pluginCount、mimeTypeCount、
+ *     hardwareConcurrency、deviceMemory、maxTouchPoints，以及存在的自动化属性properties
+ *   - window: 存在的自动化全局变量globals，以及outerWidth、outerHeight、innerWidth、innerHeight
+ *   - chrome: window.chrome是否存在（present）及其属性名（keys）
+ *   - document: 存在的自动化标记markers和documentElement属性attributes
+ *   - runtime: console序列化是否读取了Error.stack（consoleSerialization）、是否设置了Error.prepareStackTrace、
+ *     调用栈是否为V8格式（v8StackFormat）、调用栈中的注入脚本标记stackMarkers、被包装的getter（wrappedGetters）
+ */
+function normalizeProbes(raw) {
+  if (!isObject(raw)) return null;
+
+  const nav = isObject(raw.navigator) ? raw.navigator : {};
+  const win = isObject(raw.window) ? raw.window : {};
+  const chrome = isObject(raw.chrome) ? raw.chrome : {};
+  const doc = isObject(raw.document) ? raw.document : {};
+  const runtime = isObject(raw.runtime) ? raw.runtime : {};
+
+  return {
+    navigator: {
+      webdriver: typeof nav.webdriver === 'boolean' ? nav.webdriver : null,
+      userAgent: toStringOrNull(nav.userAgent),
+      platform: toStringOrNull(nav.platform),
+      vendor: toStringOrNull(nav.vendor),
+      language: toStringOrNull(nav.language),
+      languages: Array.isArray(nav.languages) ?
+        nav.languages.filter(item => typeof item === 'string').slice(0, MAX_LIST_SIZE).map(item => item.slice(0, 35)) : null,
+      pluginCount: toCountOrNull(nav.pluginCount),
+      mimeTypeCount: toCountOrNull(nav.mimeTypeCount),
+      hardwareConcurrency: toCountOrNull(nav.hardwareConcurrency),
+      deviceMemory: typeof nav.deviceMemory === 'number' && nav.deviceMemory >= 0 ? nav.deviceMemory : null,
+      maxTouchPoints: toCountOrNull(nav.maxTouchPoints),
+      properties: filterKnown(nav.properties, NAVIGATOR_PROPERTIES)
+    },
+    window: {
+      globals: filterKnown(win.globals, Object.keys(WINDOW_GLOBALS)),
+      outerWidth: toCountOrNull(win.outerWidth),
+      outerHeight: toCountOrNull(win.outerHeight),
+      innerWidth: toCountOrNull(win.innerWidth),
+      innerHeight: toCountOrNull(win.innerHeight)
+    },
+    chrome: {
+      present: chrome.present === true,
+      keys: Array.isArray(chrome.keys) ?
+        chrome.keys.filter(key => typeof key === 'string').slice(0, MAX_LIST_SIZE).map(key => key.slice(0, 50)) : []
+    },
+    document: {
+      markers: filterKnown(doc.markers, DOCUMENT_MARKERS),
+      attributes: filterKnown(doc.attributes, DOCUMENT_ATTRIBUTES)
+    },
+    runtime: {
+      consoleSerialization: toBooleanOrNull(runtime.consoleSerialization),
+      prepareStackTrace: toBooleanOrNull(runtime.prepareStackTrace),
+      v8StackFormat: toBooleanOrNull(runtime.v8StackFormat),
+      stackMarkers: filterKnown(runtime.stackMarkers, Object.keys(STACK_MARKERS)),
+      wrappedGetters: filterKnown(runtime.wrappedGetters, RUNTIME_GETTERS)
+    }
+  };
+}
+
+/**
+ * 规范化SDK上报的automationFlags，只保留已知且为true的标记
+ * @returns {Object|null} 例如 { webdriver: true }，没有标记时为null
+ */
+function normalizeAutomationFlags(raw) {
+  if (!isObject(raw)) return null;
+
+  const flags = {};
+  for (const flag of Object.keys(FLAG_DETECTIONS)) {
+    if (raw[flag] === true) flags[flag] = true;
+  }
+
+  return Object.keys(flags).length > 0 ? flags : null;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toStringOrNull(value) {
+  return typeof value === 'string' ? value.slice(0, MAX_STRING_LENGTH) : null;
+}
+
+function toBooleanOrNull(value) {
+  return typeof value === 'boolean' ? value : null;
+}
+
+function toCountOrNull(value) {
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+function filterKnown(values, known) {
+  return Array.isArray(values) ? [...new Set(values.filter(value => known.includes(value)))] : [];
+}
+
 /**
  * 检测自动化工具的特征
- * @param {Object} clientInfo 客户端信息
+ * @param {Object} clientInfo 客户端信息，探测数据为 /init 时规范化的clientInfo.probes
  * @returns {Object} 检测结果
  */
 function detectAutomation(clientInfo) {
-  const { userAgent, headers = {}, navigator = {}, window = {} } = clientInfo;
+  const { userAgent, headers = {}, automationFlags } = clientInfo;
+  const probes = clientInfo.probes || null;
+  const navigator = probes ? probes.navigator : {};
   
   // 初始化结果对象
   const result = {
     isAutomated: false,
     automationScore: 0, // 0-100分，越高越可能是自动化工具
     detectedTools: [],
-    reasons: []
+    reasons: [],
+    signals: [] // 标准化信号，分值为对人类分数的贡献（自动化分数的相反数）
+  };
+
+  // 记录一项检测：tool为识别出的自动化工具（可选）
+  const addDetection = (id, points, confidence, reasons, tool = null) => {
+    result.automationScore += points;
+    result.reasons.push(...reasons);
+    result.signals.push(createSignal(id, 'automation', -points, {
+      confidence,
+      description: reasons.join('; ')
+    }));
+
+    if (tool) {
+      result.isAutomated = true;
+      if (!result.detectedTools.includes(tool)) result.detectedTools.push(tool);
+    }
   };
   
   // 检测WebDriver
-  if (detectWebDriver(navigator)) {
-    result.isAutomated = true;
-    result.automationScore += 30;
-    result.detectedTools.push('WebDriver');
-    result.reasons.push('检测到WebDriver API');
+  if (detectWebDriver(probes)) {
+    addDetection('automation.webdriver', 30, 0.95, ['检测到WebDriver API'], 'WebDriver');
   }
   
   // 检测Selenium特征
-  const seleniumResult = detectSelenium(userAgent, navigator, window);
+  const seleniumResult = detectSelenium(userAgent, probes);
   if (seleniumResult.detected) {
-    result.isAutomated = true;
-    result.automationScore += seleniumResult.score;
-    result.detectedTools.push('Selenium');
-    result.reasons.push(...seleniumResult.reasons);
+    addDetection('automation.selenium', seleniumResult.score, 0.9, seleniumResult.reasons, 'Selenium');
   }
   
   // 检测Puppeteer特征
-  const puppeteerResult = detectPuppeteer(userAgent, navigator, window);
+  const puppeteerResult = detectPuppeteer(userAgent, probes);
   if (puppeteerResult.detected) {
-    result.isAutomated = true;
-    result.automationScore += puppeteerResult.score;
-    result.detectedTools.push('Puppeteer');
-    result.reasons.push(...puppeteerResult.reasons);
+    addDetection('automation.puppeteer', puppeteerResult.score, 0.8, puppeteerResult.reasons, 'Puppeteer');
   }
   
   // 检测Playwright特征
-  const playwrightResult = detectPlaywright(userAgent, navigator, window);
+  const playwrightResult = detectPlaywright(userAgent, probes);
   if (playwrightResult.detected) {
-    result.isAutomated = true;
-    result.automationScore += playwrightResult.score;
-    result.detectedTools.push('Playwright');
-    result.reasons.push(...playwrightResult.reasons);
+    addDetection('automation.playwright', playwrightResult.score, 0.7, playwrightResult.reasons, 'Playwright');
+  }
+
+  // 检测其他自动化工具留下的全局变量
+  for (const [tool, rule] of Object.entries(OTHER_TOOLS)) {
+    const globals = probes ? probes.window.globals.filter(name => WINDOW_GLOBALS[name] === tool) : [];
+    if (globals.length > 0) {
+      addDetection(rule.id, rule.points, rule.confidence, [`检测到${tool}全局变量: ${globals.join(', ')}`], tool);
+    }
+  }
+
+  // 检测CDP连接和注入脚本留下的运行时痕迹
+  const runtimeResult = detectRuntimeInstrumentation(userAgent, probes);
+  for (const detection of runtimeResult) {
+    addDetection(detection.id, detection.points, detection.confidence, [detection.reason], detection.tool);
+  }
+
+  // 检测窗口外部尺寸为0（无头浏览器没有浏览器窗口）
+  if (probes && probes.window.outerWidth === 0 && probes.window.outerHeight === 0) {
+    addDetection('automation.zero_outer_window', 15, 0.6, ['窗口外部尺寸为0']);
   }
   
   // 检测浏览器不一致性
   const browserInconsistencyResult = detectBrowserInconsistency(userAgent, headers, navigator);
   if (browserInconsistencyResult.detected) {
-    result.automationScore += browserInconsistencyResult.score;
-    result.reasons.push(...browserInconsistencyResult.reasons);
+    addDetection('automation.browser_inconsistency', browserInconsistencyResult.score, 0.6,
+      browserInconsistencyResult.reasons);
   }
   
   // 检测异常的屏幕尺寸
   if (detectAbnormalScreenSize(clientInfo)) {
-    result.automationScore += 10;
-    result.reasons.push('异常的屏幕尺寸');
+    addDetection('automation.abnormal_screen_size', 10, 0.3, ['异常的屏幕尺寸']);
   }
   
   // 检测异常的时区设置
   if (detectAbnormalTimezone(clientInfo)) {
-    result.automationScore += 10;
-    result.reasons.push('异常的时区设置');
+    addDetection('automation.abnormal_timezone', 10, 0.3, ['异常的时区设置']);
   }
   
   // 检测插件数量异常
-  if (detectAbnormalPluginCount(navigator)) {
-    result.automationScore += 15;
-    result.reasons.push('浏览器插件数量异常');
+  if (detectAbnormalPluginCount(userAgent, navigator)) {
+    addDetection('automation.abnormal_plugin_count', 15, 0.5, ['浏览器插件数量异常']);
   }
   
   // 检测硬件并发异常
   if (detectAbnormalHardwareConcurrency(navigator)) {
-    result.automationScore += 10;
-    result.reasons.push('硬件并发数异常');
+    addDetection('automation.abnormal_hardware_concurrency', 10, 0.3, ['硬件并发数异常']);
   }
   
   // 检测语言设置异常
   if (detectAbnormalLanguage(navigator, headers)) {
-    result.automationScore += 5;
-    result.reasons.push('语言设置异常');
+    addDetection('automation.abnormal_language', 5, 0.4, ['语言设置异常']);
   }
   
   // 检测用户代理一致性
-  const uaConsistencyResult = checkUserAgentConsistency(userAgent, headers);
+  const uaConsistencyResult = checkUserAgentConsistency(userAgent, headers, navigator);
   if (!uaConsistencyResult.consistent) {
     result.automationScore += 20;
     result.reasons.push('用户代理不一致');
+    result.signals.push(createSignal('automation.user_agent_mismatch', 'automation', -20, {
+      confidence: 0.7,
+      description: uaConsistencyResult.inconsistencies.join('; ')
+    }));
+  }
+
+  // SDK上报的自动化标记，服务端已经根据探测数据命中同类检测的不再重复计分
+  for (const [flag, rule] of Object.entries(FLAG_DETECTIONS)) {
+    if (!automationFlags || automationFlags[flag] !== true) continue;
+    if (rule.covers && result.signals.some(signal => signal.id === rule.covers)) continue;
+
+    addDetection(rule.id, rule.points, rule.confidence, [rule.description], rule.tool);
   }
   
   // 如果自动化分数超过50，认为是自动化工具
@@ -119,49 +394,27 @@ function detectAutomation(clientInfo) {
 /**
  * 检测WebDriver API
  */
-function detectWebDriver(navigator) {
-  if (!navigator) return false;
+function detectWebDriver(probes) {
+  if (!probes) return false;
   
   // 检查是否存在webdriver属性
-  if (navigator.webdriver === true) return true;
+  if (probes.navigator.webdriver === true) return true;
   
   // 检查是否存在__webdriver_evaluate、__selenium_evaluate等属性
-  const seleniumProps = [
-    '__webdriver_evaluate',
-    '__selenium_evaluate',
-    '__webdriver_script_function',
-    '__webdriver_script_func',
-    '__webdriver_script_fn',
-    '__fxdriver_evaluate',
-    '__driver_unwrapped',
-    '__webdriver_unwrapped',
-    '__driver_evaluate',
-    '__selenium_unwrapped',
-    '__fxdriver_unwrapped',
-    '_Selenium_IDE_Recorder',
-    '_selenium',
-    'calledSelenium',
-    '_WEBDRIVER_ELEM_CACHE'
-  ];
-  
-  for (const prop of seleniumProps) {
-    if (prop in navigator) return true;
-  }
-  
-  return false;
+  return probes.navigator.properties.length > 0;
 }
 
 /**
  * 检测Selenium特征
  */
-function detectSelenium(userAgent, navigator, window) {
+function detectSelenium(userAgent, probes) {
   const result = {
     detected: false,
     score: 0,
     reasons: []
   };
   
-  if (!userAgent || !navigator || !window) return result;
+  if (!userAgent) return result;
   
   // 检查用户代理中的Selenium关键词
   if (userAgent.includes('Selenium') || userAgent.includes('selenium')) {
@@ -169,31 +422,23 @@ function detectSelenium(userAgent, navigator, window) {
     result.score += 25;
     result.reasons.push('用户代理中包含Selenium关键词');
   }
+
+  if (!probes) return result;
   
   // 检查window对象中的Selenium特征
-  const seleniumWindowProps = [
-    'SeleniumWebDriverRequest',
-    '_selenium',
-    'selenium',
-    'Selenium',
-    '_Selenium_IDE_Recorder',
-    'callSelenium'
-  ];
-  
-  for (const prop of seleniumWindowProps) {
-    if (prop in window) {
-      result.detected = true;
-      result.score += 20;
-      result.reasons.push(`检测到Selenium窗口属性: ${prop}`);
-      break;
-    }
+  const seleniumGlobal = probes.window.globals.find(name => WINDOW_GLOBALS[name] === 'Selenium');
+  if (seleniumGlobal) {
+    result.detected = true;
+    result.score += 20;
+    result.reasons.push(`检测到Selenium窗口属性: ${seleniumGlobal}`);
   }
   
-  // 检查document对象中的Selenium特征
-  if (window.document && window.document.$cdc_asdjflasutopfhvcZLmcfl_ !== undefined) {
+  // 检查document对象中的ChromeDriver和Selenium标记
+  const { markers, attributes } = probes.document;
+  if (markers.length > 0 || attributes.length > 0) {
     result.detected = true;
     result.score += 25;
-    result.reasons.push('检测到Chrome WebDriver特征');
+    result.reasons.push(`检测到Chrome WebDriver特征: ${[...markers, ...attributes].join(', ')}`);
   }
   
   return result;
@@ -202,14 +447,14 @@ function detectSelenium(userAgent, navigator, window) {
 /**
  * 检测Puppeteer特征
  */
-function detectPuppeteer(userAgent, navigator, window) {
+function detectPuppeteer(userAgent, probes) {
   const result = {
     detected: false,
     score: 0,
     reasons: []
   };
   
-  if (!userAgent || !navigator || !window) return result;
+  if (!userAgent) return result;
   
   // 检查Chrome Headless特征
   if (userAgent.includes('HeadlessChrome')) {
@@ -217,21 +462,28 @@ function detectPuppeteer(userAgent, navigator, window) {
     result.score += 30;
     result.reasons.push('用户代理中包含HeadlessChrome');
   }
+
+  if (!probes) return result;
   
-  // 检查Puppeteer特有的navigator属性
-  if (navigator.plugins && navigator.plugins.length === 0) {
+  // 桌面版Chrome有插件（内置PDF查看器），移动版没有
+  if (!isMobile(userAgent) && probes.navigator.pluginCount === 0) {
     result.score += 10;
     result.reasons.push('浏览器插件数量为0');
   }
   
-  // 检查Puppeteer特有的window属性
-  if (window.chrome && (!window.chrome.app || !window.chrome.runtime)) {
-    result.score += 15;
-    result.reasons.push('Chrome对象不完整');
+  // 检查Chrome对象：Chrome和基于Chromium的浏览器都有window.chrome，桌面版还有loadTimes和csi
+  if (/Chrome\//.test(userAgent)) {
+    if (!probes.chrome.present) {
+      result.score += 20;
+      result.reasons.push('Chrome用户代理但缺少window.chrome');
+    } else if (!isMobile(userAgent) && !['loadTimes', 'csi'].every(key => probes.chrome.keys.includes(key))) {
+      result.score += 15;
+      result.reasons.push('Chrome对象不完整');
+    }
   }
   
   // 检查语言设置
-  if (navigator.languages && navigator.languages.length === 0) {
+  if (probes.navigator.languages && probes.navigator.languages.length === 0) {
     result.score += 10;
     result.reasons.push('语言列表为空');
   }
@@ -246,20 +498,14 @@ function detectPuppeteer(userAgent, navigator, window) {
 /**
  * 检测Playwright特征
  */
-function detectPlaywright(userAgent, navigator, window) {
+function detectPlaywright(userAgent, probes) {
   const result = {
     detected: false,
     score: 0,
     reasons: []
   };
   
-  if (!userAgent || !navigator || !window) return result;
-  
-  // Playwright通常会修改navigator.permissions
-  if (navigator.permissions && typeof navigator.permissions.query === 'function') {
-    // 在实际环境中，我们可以尝试检测permissions.query的行为是否被修改
-    result.score += 10;
-  }
+  if (!userAgent) return result;
   
   // 检查Playwright特有的用户代理特征
   if (userAgent.includes('Playwright')) {
@@ -268,19 +514,105 @@ function detectPlaywright(userAgent, navigator, window) {
     result.reasons.push('用户代理中包含Playwright');
   }
   
-  // 检查Playwright修改的WebGL渲染器信息
-  if (window.WebGLRenderingContext) {
-    // 在实际环境中，我们可以检查WebGL信息是否被修改
-    result.score += 5;
-  }
-  
-  if (result.score >= 30) {
+  // Playwright注入的绑定和初始化脚本
+  const globals = probes ? probes.window.globals.filter(name => WINDOW_GLOBALS[name] === 'Playwright') : [];
+  if (globals.length > 0) {
     result.detected = true;
+    result.score += 40;
+    result.reasons.push(`检测到Playwright全局变量: ${globals.join(', ')}`);
   }
   
   return result;
 }
 
+/**
+ * 检测运行时插桩：CDP的Runtime域、注入脚本和被包装的原生getter
+ * 隐身插件可以修补navigator属性和删除全局变量，但Runtime.enable的副作用和注入脚本的调用栈难以消除
+ * @returns {Array} 检测项 [{ id, points, confidence, reason, tool }]
+ */
+function detectRuntimeInstrumentation(userAgent, probes) {
+  const detections = [];
+
+  if (!probes) return detections;
+
+  const { runtime } = probes;
+
+  // 调试客户端启用Runtime域后，console调用的参数会被序列化，Error对象的stack被读取；
+  // Puppeteer、Playwright和ChromeDriver都会启用，但打开开发者工具的普通用户也会触发，
+  // 因此只作为低分值信号，不识别为自动化工具，需要与其他检测项叠加才会判定为自动化
+  if (runtime.consoleSerialization === true) {
+    detections.push({
+      id: 'automation.cdp_runtime',
+      points: 10,
+      confidence: 0.3,
+      reason: '检测到调试客户端启用了Runtime域（自动化工具或打开的开发者工具）'
+    });
+  }
+
+  const tools = [...new Set(runtime.stackMarkers.map(marker => STACK_MARKERS[marker]))];
+  for (const tool of tools) {
+    const markers = runtime.stackMarkers.filter(marker => STACK_MARKERS[marker] === tool);
+    const rule = INJECTED_SCRIPT_DETECTIONS[tool];
+    detections.push({
+      id: rule.id,
+      points: rule.points,
+      confidence: rule.confidence,
+      reason: `调用栈中包含${tool}注入脚本: ${markers.join(', ')}`,
+      tool
+    });
+  }
+
+  // 隐私扩展也会包装这些getter，只作为中等信号
+  if (runtime.wrappedGetters.length > 0) {
+    detections.push({
+      id: 'automation.wrapped_native_getters',
+      points: 20,
+      confidence: 0.5,
+      reason: `navigator属性的getter被JavaScript函数包装: ${runtime.wrappedGetters.join(', ')}`
+    });
+  }
+
+  if (runtime.prepareStackTrace === true) {
+    detections.push({
+      id: 'automation.custom_prepare_stack_trace',
+      points: 10,
+      confidence: 0.3,
+      reason: '页面设置了Error.prepareStackTrace'
+    });
+  }
+
+  // Chromium使用V8引擎，Firefox和Safari不是；调用栈格式与用户代理不符说明伪造了用户代理或改写了调用栈
+  const expectsV8 = getExpectedV8StackFormat(userAgent);
+  if (runtime.v8StackFormat !== null && expectsV8 !== null && runtime.v8StackFormat !== expectsV8) {
+    detections.push({
+      id: 'automation.stack_format_mismatch',
+      points: 20,
+      confidence: 0.6,
+      reason: '调用栈格式与用户代理的浏览器引擎不符'
+    });
+  }
+
+  return detections;
+}
+
+/**
+ * 根据用户代理判断调用栈是否应为V8格式，无法判断时为null
+ * iOS上的Chrome和Edge（CriOS、EdgiOS）使用WebKit，用户代理中没有Chrome/
+ */
+function getExpectedV8StackFormat(userAgent) {
+  if (!userAgent) return null;
+  if (/(Chrome|Chromium)\//.test(userAgent)) return true;
+  if (/Firefox\/|Version\/[\d.]+.*Safari\//.test(userAgent)) return false;
+  return null;
+}
+
+/**
+ * 用户代理是否为移动设备
+ */
+function isMobile(userAgent) {
+  return /Mobi|Android|iPhone|iPad/i.test(userAgent || '');
+}
+
 /**
  * 检测浏览器不一致性
  */
@@ -317,7 +649,8 @@ function detectBrowserInconsistency(userAgent, headers, navigator) {
     // 检查平台一致性
     if (navigator.platform) {
       const platformOS = getPlatformOS(navigator.platform);
-      if (parsedUA.os && platformOS && parsedUA.os.name.toLowerCase() !== platformOS.toLowerCase()) {
+      const compatible = COMPATIBLE_PLATFORM_OS[platformOS] || [platformOS];
+      if (parsedUA.os && parsedUA.os.name && platformOS && !compatible.includes(parsedUA.os.name)) {
         result.detected = true;
         result.score += 20;
         result.reasons.push('平台与用户代理操作系统不一致');
@@ -326,8 +659,8 @@ function detectBrowserInconsistency(userAgent, headers, navigator) {
     
     // 检查Accept-Language头与navigator.language一致性
     if (headers['accept-language'] && navigator.language) {
-      const headerLang = headers['accept-language'].split(',')[0].trim().split('-')[0];
-      const navLang = navigator.language.split('-')[0];
+      const headerLang = headers['accept-language'].split(',')[0].trim().split('-')[0].toLowerCase();
+      const navLang = navigator.language.split('-')[0].toLowerCase();
       
       if (headerLang !== navLang) {
         result.detected = true;
@@ -419,18 +752,19 @@ function detectAbnormalTimezone(clientInfo) {
 /**
  * 检测异常的插件数量
  */
-function detectAbnormalPluginCount(navigator) {
-  if (!navigator || !navigator.plugins) return false;
+function detectAbnormalPluginCount(userAgent, navigator) {
+  // 移动浏览器没有插件
+  if (!navigator || typeof navigator.pluginCount !== 'number' || isMobile(userAgent)) return false;
   
   // 大多数自动化浏览器插件数量为0或非常少
-  return navigator.plugins.length === 0 || navigator.plugins.length < 2;
+  return navigator.pluginCount < 2;
 }
 
 /**
  * 检测异常的硬件并发数
  */
 function detectAbnormalHardwareConcurrency(navigator) {
-  if (!navigator || typeof navigator.hardwareConcurrency === 'undefined') return false;
+  if (!navigator || typeof navigator.hardwareConcurrency !== 'number') return false;
   
   // 大多数自动化浏览器硬件并发数为2或4
   return navigator.hardwareConcurrency <= 2;
@@ -458,7 +792,7 @@ function detectAbnormalLanguage(navigator, headers) {
 /**
  * 检查用户代理一致性
  */
-function checkUserAgentConsistency(userAgent, headers) {
+function checkUserAgentConsistency(userAgent, headers, navigator) {
   const result = {
     consistent: true,
     inconsistencies: []
@@ -471,6 +805,12 @@ function checkUserAgentConsistency(userAgent, headers) {
     result.consistent = false;
     result.inconsistencies.push('请求头User-Agent与客户端报告的不一致');
   }
+
+  // 只修改了请求头的User-Agent时，页面中的navigator.userAgent仍然是原来的值
+  if (navigator && navigator.userAgent && navigator.userAgent !== userAgent) {
+    result.consistent = false;
+    result.inconsistencies.push('请求头User-Agent与navigator.userAgent不一致');
+  }
   
   return result;
 }
@@ -502,6 +842,14 @@ function generateClientFingerprint(clientInfo) {
 }
 
 module.exports = {
+  NAVIGATOR_PROPERTIES,
+  WINDOW_GLOBALS,
+  DOCUMENT_MARKERS,
+  DOCUMENT_ATTRIBUTES,
+  RUNTIME_GETTERS,
+  STACK_MARKERS,
+  normalizeProbes,
+  normalizeAutomationFlags,
   detectAutomation,
   generateClientFingerprint
 };
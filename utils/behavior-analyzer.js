@@ -5,6 +5,7 @@
 const { Matrix } = require('ml-matrix');
 const { PCA } = require('ml-pca');
 const KMeans = require('ml-kmeans');
+const { createSignal } = require('./signals');
 
 /**
  * 分析用户行为
@@ -16,7 +17,14 @@ function analyzeBehavior(events) {
     return {
       isHuman: false,
       score: 0,
-      reasons: ['没有足够的行为数据进行分析']
+      reasons: ['没有足够的行为数据进行分析'],
+      signals: [
+        createSignal('behavior.no_data', 'behavior', 0, {
+          severity: 'high',
+          confidence: 0.5,
+          description: '没有足够的行为数据进行分析'
+        })
+      ]
     };
   }
   
@@ -25,6 +33,7 @@ function analyzeBehavior(events) {
     isHuman: false,
     score: 0,
     reasons: [],
+    signals: [], // 标准化信号，未通过的检查分值为0
     metrics: {}
   };
   
@@ -34,6 +43,11 @@ function analyzeBehavior(events) {
   // 如果鼠标事件太少，可能是自动化工具
   if (mouseEvents.length < 5) {
     result.reasons.push('鼠标移动事件太少');
+    result.signals.push(createSignal('behavior.too_few_mouse_events', 'behavior', 0, {
+      severity: 'medium',
+      confidence: 0.5,
+      description: '鼠标移动事件太少'
+    }));
     result.metrics.mouseEventCount = mouseEvents.length;
     return result;
   }
@@ -47,6 +61,7 @@ function analyzeBehavior(events) {
   } else {
     result.score += 30;
   }
+  result.signals.push(createCheckSignal('mouse_trajectory', mouseTrajectoryResult.isNatural, 30, '鼠标移动轨迹'));
   
   // 分析点击事件
   const clickEvents = events.filter(e => e.type === 'click');
@@ -58,6 +73,7 @@ function analyzeBehavior(events) {
   } else {
     result.score += 25;
   }
+  result.signals.push(createCheckSignal('click_pattern', clickPatternResult.isNatural, 25, '点击模式'));
   
   // 分析事件时间间隔
   const timeIntervalResult = analyzeEventTimeIntervals(events);
@@ -68,6 +84,7 @@ function analyzeBehavior(events) {
   } else {
     result.score += 25;
   }
+  result.signals.push(createCheckSignal('event_intervals', timeIntervalResult.isNatural, 25, '事件时间间隔'));
   
   // 分析键盘输入模式（如果有）
   const keypressEvents = events.filter(e => e.type === 'keypress');
@@ -80,6 +97,7 @@ function analyzeBehavior(events) {
     } else {
       result.score += 20;
     }
+    result.signals.push(createCheckSignal('keypress_pattern', keyPressResult.isNatural, 20, '键盘输入模式'));
   }
   
   // 根据总分判断是否为人类
@@ -88,6 +106,59 @@ function analyzeBehavior(events) {
   return result;
 }
 
+/**
+ * 创建单项行为检查的信号
+ * 自然时获得全部分值，不自然时分值为0
+ */
+function createCheckSignal(name, isNatural, points, label) {
+  if (isNatural) {
+    return createSignal(`behavior.natural_${name}`, 'behavior', points, {
+      confidence: 0.6,
+      description: `${label}自然`
+    });
+  }
+
+  return createSignal(`behavior.unnatural_${name}`, 'behavior', 0, {
+    severity: 'medium',
+    confidence: 0.6,
+    description: `${label}不自然`
+  });
+}
+
+/**
+ * 按序列号整理事件流
+ * 事件可能逐个到达、批量到达、乱序到达或被重复发送，
+ * 按序列号排序并去除重复后，无论以何种方式上报，分析结果都相同
+ * @param {Array} events 原始事件数组
+ * @returns {Array} 整理后的事件数组
+ */
+function orderEvents(events) {
+  if (!events || events.length === 0) return [];
+
+  const seenSeqs = new Set();
+  const ordered = [];
+
+  for (const event of events) {
+    // 没有序列号的事件（旧版SDK）无法去重
+    if (typeof event.seq !== 'number') {
+      ordered.push(event);
+      continue;
+    }
+
+    if (seenSeqs.has(event.seq)) continue;
+
+    seenSeqs.add(event.seq);
+    ordered.push(event);
+  }
+
+  // 只有全部事件都带序列号时才重新排序，否则保持到达顺序
+  if (ordered.every(event => typeof event.seq === 'number')) {
+    ordered.sort((a, b) => a.seq - b.seq);
+  }
+
+  return ordered;
+}
+
 /**
  * 分析鼠标移动轨迹
  */
@@ -476,6 +547,7 @@ function clusterEventPatterns(events, k = 2) {
 
 module.exports = {
   analyzeBehavior,
+  orderEvents,
   analyzeMouseTrajectory,
   analyzeClickPattern,
   analyzeEventTimeIntervals,
@@ -0,0 +1,227 @@
+/**
+ * 客户端IP解析模块
+ * 只相信可信代理添加的转发记录：从连接的对端地址开始，沿X-Forwarded-For从右向左逐跳检查，
+ * 遇到第一个不属于可信代理的地址即为客户端IP。客户端自己填写的转发请求头不会影响解析结果，
+ * 伪造或不一致的转发链作为异常返回
+ */
+const ipaddr = require('ipaddr.js');
+
+// 可信代理的预设
+const PRESETS = {
+  loopback: { cidrs: ['127.0.0.0/8', '::1/128'] },
+  // 内网中的负载均衡和反向代理（Docker、Kubernetes Ingress等）
+  private: { cidrs: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'] },
+  // Vercel函数只能通过Vercel边缘网络访问，边缘网络会覆盖X-Forwarded-For，因此信任任何对端地址
+  vercel: { cidrs: [], anyPeer: true },
+  // https://www.cloudflare.com/ips/
+  cloudflare: {
+    cidrs: [
+      '173.245.48.0/20', '103.21.244.0/22', '103.22.200.0/22', '103.31.4.0/22', '141.101.64.0/18',
+      '108.162.192.0/18', '190.93.240.0/20', '188.114.96.0/20', '197.234.240.0/22', '198.41.128.0/17',
+      '162.158.0.0/15', '104.16.0.0/13', '104.24.0.0/14', '172.64.0.0/13', '131.0.72.0/22',
+      '2400:cb00::/32', '2606:4700::/32', '2803:f800::/32', '2405:b500::/32', '2405:8100::/32',
+      '2a06:98c0::/29', '2c0f:f248::/32'
+    ],
+    // 转发链只剩Cloudflare的地址时（例如Cloudflare后面还有Vercel），从这个请求头读取客户端IP
+    clientHeader: 'cf-connecting-ip'
+  }
+};
+
+// 默认信任本机和内网的代理，运行在Vercel上时同时信任Vercel边缘网络
+const DEFAULT_TRUSTED_PROXIES = process.env.VERCEL ? 'loopback,private,vercel' : 'loopback,private';
+
+// 由代理添加的转发请求头
+const FORWARDING_HEADERS = ['x-forwarded-for', 'x-real-ip', 'cf-connecting-ip'];
+
+// 转发链异常的描述
+const ANOMALY_DESCRIPTIONS = {
+  untrusted_forwarding: '不可信的来源携带了转发请求头',
+  invalid_entry: '转发请求头中有无效的地址',
+  real_ip_mismatch: 'X-Real-IP与转发链不一致',
+  cf_connecting_ip_mismatch: 'CF-Connecting-IP与转发链不一致'
+};
+
+// 用于检查CF-Connecting-IP的Cloudflare地址范围（与是否信任Cloudflare无关）
+const CLOUDFLARE_RANGES = PRESETS.cloudflare.cidrs.map(cidr => ipaddr.parseCIDR(cidr));
+
+const trustedProxies = parseTrustedProxies(process.env.INKTRUST_TRUSTED_PROXIES || DEFAULT_TRUSTED_PROXIES);
+
+/**
+ * 解析可信代理配置：逗号分隔的CIDR、IP或预设名称
+ * @param {string} value 配置值，例如 "loopback,cloudflare,203.0.113.0/24"
+ * @returns {Object} { ranges: [{ range, preset }], anyPeer }
+ */
+function parseTrustedProxies(value) {
+  const config = { ranges: [], anyPeer: false };
+
+  for (const item of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const preset = PRESETS[item.toLowerCase()];
+
+    if (preset) {
+      config.anyPeer = config.anyPeer || !!preset.anyPeer;
+      for (const cidr of preset.cidrs) {
+        config.ranges.push({ range: ipaddr.parseCIDR(cidr), preset: item.toLowerCase() });
+      }
+      continue;
+    }
+
+    try {
+      const range = item.includes('/') ? ipaddr.parseCIDR(item) : toSingleRange(ipaddr.parse(item));
+      config.ranges.push({ range, preset: null });
+    } catch (error) {
+      throw new Error(`无效的可信代理配置: ${item}`);
+    }
+  }
+
+  return config;
+}
+
+function toSingleRange(address) {
+  return [address, address.kind() === 'ipv4' ? 32 : 128];
+}
+
+/**
+ * 解析IP地址，支持IPv4映射的IPv6地址、方括号和端口（例如 [2001:db8::1]:443、203.0.113.7:8080）
+ * @returns {Object|null} ipaddr地址对象
+ */
+function parseAddress(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  let text = value.trim();
+  const bracketed = text.match(/^\[([^\]]+)\](?::\d+)?$/);
+
+  if (bracketed) {
+    text = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(text)) {
+    text = text.slice(0, text.lastIndexOf(':'));
+  }
+
+  try {
+    return ipaddr.process(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 查找地址所属的可信代理
+ * @returns {Object|null} 匹配的可信代理 { range, preset }
+ */
+function findTrustedProxy(address) {
+  return trustedProxies.ranges.find(({ range }) => {
+    return address.kind() === range[0].kind() && address.match(range);
+  }) || null;
+}
+
+/**
+ * 解析请求的客户端IP
+ * @param {Object} req Express请求对象
+ * @returns {Object} 解析结果：
+ *   - ip: 客户端IP，无法获取时为null
+ *   - peer: 连接的对端地址
+ *   - trustedHops: 经过的可信代理数量
+ *   - clientSupplied: 转发链中位于客户端IP左侧的地址（客户端自己或其使用的代理填写，不可信）
+ *   - anomalies: 转发链异常 [{ code, description }]
+ */
+function resolveClientIp(req) {
+  const headers = req.headers || {};
+  const socket = req.socket || req.connection;
+  const peer = parseAddress(socket && socket.remoteAddress);
+  const result = { ip: null, peer: peer ? peer.toString() : null, trustedHops: 0, clientSupplied: [], anomalies: [] };
+  const addAnomaly = code => result.anomalies.push({ code, description: ANOMALY_DESCRIPTIONS[code] });
+
+  if (!peer) return result;
+
+  result.ip = result.peer;
+  let lastProxy = findTrustedProxy(peer);
+
+  if (!lastProxy && !trustedProxies.anyPeer) {
+    if (FORWARDING_HEADERS.some(header => headers[header])) {
+      addAnomaly('untrusted_forwarding');
+    }
+    return result;
+  }
+
+  result.trustedHops = 1;
+  const chain = headers['x-forwarded-for'] ?
+    String(headers['x-forwarded-for']).split(',').map(entry => entry.trim()) : [];
+  let resolved = false;
+
+  // 从右向左检查转发链，每一跳都由它右侧的可信代理添加
+  for (let i = chain.length - 1; i >= 0 && !resolved; i--) {
+    const address = parseAddress(chain[i]);
+
+    if (!address) {
+      addAnomaly('invalid_entry');
+      resolved = true;
+      continue;
+    }
+
+    result.ip = address.toString();
+    const proxy = findTrustedProxy(address);
+
+    if (!proxy) {
+      result.clientSupplied = chain.slice(0, i);
+      resolved = true;
+    } else {
+      lastProxy = proxy;
+      result.trustedHops++;
+    }
+  }
+
+  if (chain.length === 0 && headers['x-real-ip']) {
+    // 没有X-Forwarded-For时使用可信代理设置的X-Real-IP
+    const realIp = parseAddress(headers['x-real-ip']);
+
+    if (realIp) {
+      result.ip = realIp.toString();
+    } else {
+      addAnomaly('invalid_entry');
+    }
+  } else if (!resolved && lastProxy && PRESETS[lastProxy.preset] && PRESETS[lastProxy.preset].clientHeader) {
+    // 转发链中只有可信代理的地址，使用该代理设置的客户端IP请求头
+    const clientIp = parseAddress(headers[PRESETS[lastProxy.preset].clientHeader]);
+    if (clientIp) result.ip = clientIp.toString();
+  }
+
+  checkConsistency(headers, chain, result, addAnomaly);
+
+  return result;
+}
+
+/**
+ * 检查其他转发请求头是否与解析结果一致，只和可信代理添加的部分（客户端IP及其右侧）比较
+ * 代理可能把X-Real-IP设置为客户端IP或它自己的对端地址，两者都在这部分中
+ */
+function checkConsistency(headers, chain, result, addAnomaly) {
+  const hops = [result.peer, result.ip, ...chain.slice(result.clientSupplied.length)]
+    .map(parseAddress)
+    .filter(Boolean);
+  const known = new Set(hops.map(address => address.toString()));
+
+  if (chain.length > 0 && headers['x-real-ip']) {
+    const realIp = parseAddress(headers['x-real-ip']);
+    if (!realIp || !known.has(realIp.toString())) {
+      addAnomaly('real_ip_mismatch');
+    }
+  }
+
+  // Cloudflare会覆盖CF-Connecting-IP，请求没有经过Cloudflare或值与客户端IP不同说明是伪造的
+  if (headers['cf-connecting-ip']) {
+    const connectingIp = parseAddress(headers['cf-connecting-ip']);
+    const viaCloudflare = hops.some(address => CLOUDFLARE_RANGES.some(range => {
+      return address.kind() === range[0].kind() && address.match(range);
+    }));
+
+    if (!connectingIp || !viaCloudflare || connectingIp.toString() !== result.ip) {
+      addAnomaly('cf_connecting_ip_mismatch');
+    }
+  }
+}
+
+module.exports = {
+  PRESETS,
+  FORWARDING_HEADERS,
+  parseTrustedProxies,
+  resolveClientIp
+};
@@ -0,0 +1,197 @@
+/**
+ * 管理后台统计模块
+ * 汇总会话存储中的会话，生成各站点的验证结果比例、常见自动化工具和原因、
+ * 分数分布、网络特征以及按时间分段的趋势
+ */
+
+// 会话状态
+const STATUSES = ['pending', 'verified', 'challenged', 'rejected'];
+
+// 分数直方图每段的宽度
+const HISTOGRAM_BUCKET_SIZE = 10;
+
+// 排行榜的默认条数
+const TOP_LIMIT = 10;
+
+/**
+ * 汇总会话
+ * @param {Array} sessions 会话列表
+ * @param {Object} options 汇总选项
+ * @param {number} options.bucketSize 趋势的时间分段长度（毫秒）
+ * @param {number} options.topLimit 排行榜条数
+ * @returns {Object} 统计结果
+ */
+function aggregateSessions(sessions, options = {}) {
+  const bucketSize = options.bucketSize || 60 * 60 * 1000;
+  const topLimit = options.topLimit || TOP_LIMIT;
+
+  const overall = createCounts();
+  const sites = {};
+  const tools = new Map();
+  const reasons = new Map();
+  const histogram = Array.from({ length: 100 / HISTOGRAM_BUCKET_SIZE }, (_, i) => ({
+    min: i * HISTOGRAM_BUCKET_SIZE,
+    max: (i + 1) * HISTOGRAM_BUCKET_SIZE,
+    count: 0
+  }));
+  const network = {
+    analyzed: 0,
+    datacenter: 0,
+    vpn: 0,
+    proxied: 0,
+    countries: new Map()
+  };
+  const timeline = new Map();
+
+  for (const session of sessions) {
+    addStatus(overall, session.status);
+
+    if (!sites[session.siteKey]) {
+      sites[session.siteKey] = createCounts();
+    }
+    addStatus(sites[session.siteKey], session.status);
+
+    const bucketStart = Math.floor(session.createdAt / bucketSize) * bucketSize;
+    if (!timeline.has(bucketStart)) {
+      timeline.set(bucketStart, { start: bucketStart, ...createCounts() });
+    }
+    addStatus(timeline.get(bucketStart), session.status);
+
+    const automation = session.analysis.automation;
+    if (automation && automation.isAutomated) {
+      automation.detectedTools.forEach(tool => increment(tools, tool));
+    }
+
+    getSessionReasons(session).forEach(reason => increment(reasons, reason.id, reason.description));
+
+    if (typeof session.verificationScore === 'number') {
+      const index = Math.min(Math.floor(session.verificationScore / HISTOGRAM_BUCKET_SIZE), histogram.length - 1);
+      histogram[Math.max(0, index)].count++;
+    }
+
+    const networkResult = session.analysis.network;
+    if (networkResult) {
+      network.analyzed++;
+      if (networkResult.datacenterIP) network.datacenter++;
+      if (networkResult.vpnDetected) network.vpn++;
+      if (networkResult.proxied) network.proxied++;
+      if (networkResult.ipInfo && networkResult.ipInfo.country) {
+        increment(network.countries, networkResult.ipInfo.country);
+      }
+    }
+  }
+
+  return {
+    ...withRates(overall),
+    sites: Object.fromEntries(Object.entries(sites).map(([siteKey, counts]) => [siteKey, withRates(counts)])),
+    topTools: getTop(tools, topLimit),
+    topReasons: getTop(reasons, topLimit),
+    scoreHistogram: histogram,
+    network: {
+      analyzed: network.analyzed,
+      datacenter: network.datacenter,
+      vpn: network.vpn,
+      proxied: network.proxied,
+      topCountries: getTop(network.countries, topLimit)
+    },
+    timeline: Array.from(timeline.values()).sort((a, b) => a.start - b.start)
+  };
+}
+
+/**
+ * 获取会话的扣分原因
+ * 完成评分的会话使用分数明细中的扣分项，初始化或实时分析阶段被拒绝的会话使用拒绝原因
+ * @returns {Array} [{ id, description }]
+ */
+function getSessionReasons(session) {
+  const breakdown = session.verificationBreakdown || [];
+  const deductions = breakdown.filter(item => item.points < 0 && item.category !== 'adjustment');
+
+  if (deductions.length > 0) {
+    return deductions.map(item => ({ id: item.id, description: item.description }));
+  }
+
+  if (session.status === 'rejected' && session.rejectionReason) {
+    return [{ id: session.rejectionReason, description: session.rejectionReason }];
+  }
+
+  return [];
+}
+
+/**
+ * 获取会话列表中每一行的摘要
+ */
+function summarizeSession(session) {
+  const automation = session.analysis.automation;
+
+  return {
+    id: session.id,
+    siteKey: session.siteKey,
+    status: session.status,
+    createdAt: session.createdAt,
+    verifiedAt: session.verifiedAt || null,
+    score: typeof session.verificationScore === 'number' ? session.verificationScore : null,
+    rejectionReason: session.rejectionReason || null,
+    challengePassed: session.challengePassed || null,
+    detectedTools: automation ? automation.detectedTools : [],
+    eventCount: session.events.length,
+    ip: session.clientInfo.ip,
+    hostname: session.clientInfo.hostname,
+    userAgent: session.clientInfo.userAgent || null
+  };
+}
+
+/**
+ * 获取会话详情（去掉事件签名密钥等不应展示的数据）
+ */
+function toSessionDetail(session) {
+  const { telemetry, ...detail } = session;
+  return detail;
+}
+
+function createCounts() {
+  return STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), { total: 0 });
+}
+
+function addStatus(counts, status) {
+  counts.total++;
+  if (counts[status] !== undefined) {
+    counts[status]++;
+  }
+}
+
+/**
+ * 计算已完成判定（非pending）的会话中各结果的比例
+ */
+function withRates(counts) {
+  const decided = counts.total - counts.pending;
+  const rate = value => decided > 0 ? Math.round(value / decided * 1000) / 1000 : 0;
+
+  return {
+    ...counts,
+    rates: {
+      verified: rate(counts.verified),
+      challenged: rate(counts.challenged),
+      rejected: rate(counts.rejected)
+    }
+  };
+}
+
+function increment(map, key, label) {
+  const entry = map.get(key) || { key, label: label || key, count: 0 };
+  entry.count++;
+  map.set(key, entry);
+}
+
+function getTop(map, limit) {
+  return Array.from(map.values())
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+module.exports = {
+  STATUSES,
+  aggregateSessions,
+  summarizeSession,
+  toSessionDetail
+};
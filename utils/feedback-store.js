@@ -0,0 +1,110 @@
+/**
+ * 标注反馈模块
+ * 保存接入方确认的会话真实类型（误拦截的真实用户、漏过的机器人）。
+ * 每个会话的反馈以录制格式保存为会话存储中的一条记录（与会话本身分开过期），
+ * 导出后可以直接用 scripts/evaluate.js 回放
+ */
+const { sessionStore } = require('./session-store');
+const sessionCapture = require('./session-capture');
+
+// 会话存储中反馈记录的命名空间
+const FEEDBACK_NAMESPACE = 'feedback';
+
+// 反馈的保留时间（毫秒），默认1年
+const FEEDBACK_TTL = parseInt(process.env.INKTRUST_FEEDBACK_TTL, 10) || 365 * 24 * 60 * 60 * 1000;
+
+// 备注的最大长度
+const MAX_NOTE_LENGTH = 1000;
+
+// 判定为拦截的结果（真实用户被拦截即为误报）
+const BLOCKING_OUTCOMES = ['challenged', 'rejected'];
+
+/**
+ * 记录一条反馈
+ * 同一会话多次反馈时以最后一次为准
+ * @param {Object} session 会话
+ * @param {string} label 真实类型：human或bot
+ * @param {string|null} note 备注
+ * @returns {Promise<Object>} 保存的录制记录
+ */
+function record(session, label, note) {
+  const entry = {
+    ...sessionCapture.toCaptureRecord(session, { label, note }),
+    labeledAt: Date.now()
+  };
+
+  // 以会话ID为键覆盖之前的反馈；写入失败时向调用方抛出错误，反馈方需要知道标注没有保存
+  return sessionStore.putRecord(FEEDBACK_NAMESPACE, { id: session.id, entry }, FEEDBACK_TTL)
+    .then(() => entry);
+}
+
+/**
+ * 获取站点的所有反馈（每个会话只保留最后一次反馈）
+ * @param {string} siteKey 站点密钥
+ * @returns {Promise<Array>} 按反馈时间先后排列的录制记录
+ */
+async function list(siteKey) {
+  const records = await sessionStore.listRecords(FEEDBACK_NAMESPACE);
+
+  return records
+    .map(record => record.entry)
+    .filter(entry => entry.siteKey === siteKey)
+    .sort((a, b) => a.labeledAt - b.labeledAt);
+}
+
+/**
+ * 统计误报和漏报
+ * 误报：被挑战或拒绝的真实用户；漏报：验证通过的机器人。
+ * 按判定原因统计被拦截的已标注会话中真实用户的比例，找出容易误伤真实用户的原因
+ * @param {Array} entries list() 返回的反馈
+ * @returns {Object} 统计结果
+ */
+function getStats(entries) {
+  const stats = {
+    labeled: entries.length,
+    human: 0,
+    bot: 0,
+    falsePositives: 0,
+    falseNegatives: 0,
+    reasons: []
+  };
+  const reasons = new Map();
+
+  for (const entry of entries) {
+    stats[entry.label]++;
+
+    const blocked = BLOCKING_OUTCOMES.includes(entry.outcome);
+
+    if (blocked && entry.label === 'human') stats.falsePositives++;
+    if (entry.outcome === 'verified' && entry.label === 'bot') stats.falseNegatives++;
+
+    if (!blocked) continue;
+
+    for (const reason of new Set(entry.reasons || [])) {
+      if (!reasons.has(reason)) {
+        reasons.set(reason, { reason, blocked: 0, falsePositives: 0 });
+      }
+
+      const item = reasons.get(reason);
+      item.blocked++;
+      if (entry.label === 'human') item.falsePositives++;
+    }
+  }
+
+  stats.reasons = Array.from(reasons.values())
+    .map(item => ({
+      ...item,
+      falsePositiveRate: Math.round(item.falsePositives / item.blocked * 10000) / 10000
+    }))
+    .sort((a, b) => b.falsePositives - a.falsePositives || b.falsePositiveRate - a.falsePositiveRate);
+
+  return stats;
+}
+
+module.exports = {
+  FEEDBACK_TTL,
+  MAX_NOTE_LENGTH,
+  record,
+  list,
+  getStats
+};
@@ -3,6 +3,72 @@
  * 用于生成和分析设备指纹
  */
 const CryptoJS = require('crypto-js');
+const { createSignal } = require('./signals');
+const { checkRealmConsistency } = require('./realm-consistency');
+const gpuModel = require('./gpu-model');
+
+// SDK检查的原生API及其影响的指纹组件，null表示不对应某个组件（只说明存在篡改）
+const LIE_COMPONENTS = {
+  'Function.toString': null,
+  'Navigator.webdriver': null,
+  'Navigator.languages': null,
+  'Navigator.platform': null,
+  'Navigator.userAgent': null,
+  'Navigator.hardwareConcurrency': 'hardware',
+  'Navigator.deviceMemory': 'hardware',
+  'Navigator.plugins': 'plugins',
+  'Navigator.mimeTypes': 'plugins',
+  'Navigator.maxTouchPoints': 'touch',
+  'Screen.width': 'screen',
+  'Screen.height': 'screen',
+  'Screen.colorDepth': 'screen',
+  'HTMLCanvasElement.toDataURL': 'canvas',
+  'HTMLCanvasElement.getContext': 'canvas',
+  'CanvasRenderingContext2D.getImageData': 'canvas',
+  'CanvasRenderingContext2D.measureText': 'fonts',
+  'WebGLRenderingContext.getParameter': 'webgl',
+  'WebGL2RenderingContext.getParameter': 'webgl',
+  'AnalyserNode.getByteFrequencyData': 'audio',
+  'AnalyserNode.getFloatFrequencyData': 'audio',
+  'AudioBuffer.getChannelData': 'audio',
+  'Date.getTimezoneOffset': 'timezone',
+  'Intl.DateTimeFormat.resolvedOptions': 'timezone'
+};
+
+// SDK的检查项
+const LIE_CHECKS = [
+  'to_string', // Function.prototype.toString的结果不是原生代码
+  'function_shape', // 函数有多余的属性或可以作为构造函数
+  'proxy', // 函数是Proxy
+  'illegal_invocation', // 用错误的this调用时没有抛出TypeError
+  'descriptor', // 属性描述符的类型不对（例如getter被替换为数据属性）
+  'own_property', // 属性被直接定义在实例上
+  'prototype_chain' // 实例的原型不是接口的prototype
+];
+
+// 可能被篡改的指纹组件：名称和提取结果中对应的字段，被篡改的组件不参与指纹哈希
+const COMPONENTS = {
+  canvas: { name: 'Canvas', fields: ['canvasFingerprint'] },
+  webgl: { name: 'WebGL', fields: ['webglFingerprint', 'webglVendor', 'webglRenderer'] },
+  audio: { name: '音频', fields: ['audioFingerprint'] },
+  fonts: { name: '字体', fields: ['fonts'] },
+  plugins: { name: '插件', fields: ['plugins'] },
+  screen: { name: '屏幕', fields: ['screenResolution', 'colorDepth', 'pixelRatio'] },
+  hardware: { name: '硬件', fields: ['hardwareConcurrency', 'deviceMemory'] },
+  timezone: { name: '时区', fields: ['timezone', 'timezoneOffset'] },
+  touch: { name: '触摸支持', fields: ['touchSupport', 'maxTouchPoints'] }
+};
+
+// GPU与用户代理不符对应的信号
+const GPU_CONFLICT_SIGNALS = {
+  os: { id: 'fingerprint.gpu_os_mismatch', points: -30, confidence: 0.85, name: '操作系统' },
+  backend: { id: 'fingerprint.gpu_backend_mismatch', points: -30, confidence: 0.85, name: '图形后端与操作系统' },
+  device: { id: 'fingerprint.gpu_device_mismatch', points: -20, confidence: 0.7, name: '设备类型' },
+  engine: { id: 'fingerprint.gpu_engine_mismatch', points: -15, confidence: 0.6, name: '浏览器引擎' }
+};
+
+// 每个被篡改的组件的扣分
+const TAMPERED_COMPONENT_POINTS = -15;
 
 /**
  * 分析设备指纹
@@ -15,11 +81,16 @@ function analyzeFingerprint(clientInfo) {
     reasons: [],
     fingerprint: null,
     fingerprintComponents: {},
-    anomalies: []
+    anomalies: [],
+    signals: [] // 标准化信号，分值为相对基础分50的增减
   };
   
   if (!clientInfo) {
     result.reasons.push('缺少客户端信息');
+    result.signals.push(createSignal('fingerprint.missing_client_info', 'fingerprint', -50, {
+      confidence: 0.5,
+      description: '缺少客户端信息'
+    }));
     return result;
   }
   
@@ -29,41 +100,90 @@ function analyzeFingerprint(clientInfo) {
   
   // 生成指纹哈希
   result.fingerprint = generateFingerprintHash(components);
+
+  // 被篡改的API对应的组件不再按伪造的值评分
+  const tampered = getTamperedComponents(clientInfo.lies);
+  result.lies = clientInfo.lies || null;
+  result.distrustedComponents = [...tampered.keys()].filter(Boolean);
+
+  for (const [component, apis] of tampered) {
+    const description = `检测到被篡改的API: ${apis.join(', ')}`;
+    result.anomalies.push(description);
+    result.reasons.push(component ? `${COMPONENTS[component].name}指纹不可信` : '原生API被篡改');
+    result.score += TAMPERED_COMPONENT_POINTS;
+    result.signals.push(createSignal(`fingerprint.tampered_${component || 'apis'}`, 'fingerprint',
+      TAMPERED_COMPONENT_POINTS, { confidence: 0.8, description }));
+  }
+
+  // 比较Worker和iframe中的属性与主线程上报的值
+  const realmResult = checkRealmConsistency(clientInfo);
+  result.checkedRealms = realmResult.checkedRealms;
+  result.realmMismatches = realmResult.mismatches;
+
+  for (const signal of realmResult.signals) {
+    result.anomalies.push(signal.description);
+    result.score += signal.points;
+    result.signals.push(signal);
+  }
+
+  if (realmResult.signals.length > 0) {
+    result.reasons.push('不同执行环境中的浏览器属性不一致');
+  }
   
   // 检查Canvas指纹
-  if (components.canvasFingerprint) {
+  if (!tampered.has('canvas') && components.canvasFingerprint) {
     const canvasResult = analyzeCanvasFingerprint(components.canvasFingerprint);
     result.score += canvasResult.score;
+    result.signals.push(createComponentSignal('canvas', canvasResult));
     
     if (canvasResult.anomalies.length > 0) {
       result.anomalies.push(...canvasResult.anomalies);
       result.reasons.push('Canvas指纹异常');
     }
-  } else {
+  } else if (!tampered.has('canvas')) {
     result.anomalies.push('缺少Canvas指纹');
     result.reasons.push('缺少Canvas指纹');
     result.score -= 15;
+    result.signals.push(createMissingSignal('canvas', -15, '缺少Canvas指纹'));
   }
   
-  // 检查WebGL指纹
-  if (components.webglFingerprint) {
-    const webglResult = analyzeWebGLFingerprint(components.webglFingerprint, components.webglVendor, components.webglRenderer);
+  // 检查WebGL指纹，渲染器优先使用实际的GPU渲染器（Chrome的RENDERER固定为WebKit WebGL）
+  const webglRenderer = clientInfo.webglUnmaskedRenderer || components.webglRenderer;
+  if (!tampered.has('webgl') && components.webglFingerprint) {
+    const webglResult = analyzeWebGLFingerprint(components.webglFingerprint, components.webglVendor, webglRenderer);
     result.score += webglResult.score;
+    result.signals.push(createComponentSignal('webgl', webglResult));
     
     if (webglResult.anomalies.length > 0) {
       result.anomalies.push(...webglResult.anomalies);
       result.reasons.push('WebGL指纹异常');
     }
-  } else {
+  } else if (!tampered.has('webgl')) {
     result.anomalies.push('缺少WebGL指纹');
     result.reasons.push('缺少WebGL指纹');
     result.score -= 15;
+    result.signals.push(createMissingSignal('webgl', -15, '缺少WebGL指纹'));
+  }
+  
+  // 检查GPU与用户代理的操作系统、设备类型和浏览器引擎是否相符
+  result.gpu = null;
+  if (!tampered.has('webgl') && webglRenderer && clientInfo.parsedUserAgent) {
+    const gpuResult = analyzeGpuPlausibility(webglRenderer, clientInfo.parsedUserAgent);
+    result.gpu = gpuResult.gpu;
+    result.score += gpuResult.score;
+    result.signals.push(...gpuResult.signals);
+
+    if (gpuResult.anomalies.length > 0) {
+      result.anomalies.push(...gpuResult.anomalies);
+      result.reasons.push('GPU与用户代理不符');
+    }
   }
   
   // 检查音频指纹
-  if (components.audioFingerprint) {
+  if (!tampered.has('audio') && components.audioFingerprint) {
     const audioResult = analyzeAudioFingerprint(components.audioFingerprint);
     result.score += audioResult.score;
+    result.signals.push(createComponentSignal('audio', audioResult));
     
     if (audioResult.anomalies.length > 0) {
       result.anomalies.push(...audioResult.anomalies);
@@ -72,41 +192,46 @@ function analyzeFingerprint(clientInfo) {
   }
   
   // 检查字体列表
-  if (components.fonts && components.fonts.length > 0) {
+  if (!tampered.has('fonts') && components.fonts && components.fonts.length > 0) {
     const fontsResult = analyzeFonts(components.fonts);
     result.score += fontsResult.score;
+    result.signals.push(createComponentSignal('fonts', fontsResult));
     
     if (fontsResult.anomalies.length > 0) {
       result.anomalies.push(...fontsResult.anomalies);
       result.reasons.push('字体列表异常');
     }
-  } else {
+  } else if (!tampered.has('fonts')) {
     result.anomalies.push('缺少字体信息');
     result.score -= 10;
+    result.signals.push(createMissingSignal('fonts', -10, '缺少字体信息'));
   }
   
   // 检查插件列表
-  if (components.plugins) {
+  if (!tampered.has('plugins') && components.plugins) {
     const pluginsResult = analyzePlugins(components.plugins);
     result.score += pluginsResult.score;
+    result.signals.push(createComponentSignal('plugins', pluginsResult));
     
     if (pluginsResult.anomalies.length > 0) {
       result.anomalies.push(...pluginsResult.anomalies);
       result.reasons.push('插件列表异常');
     }
-  } else {
+  } else if (!tampered.has('plugins')) {
     result.anomalies.push('缺少插件信息');
     result.score -= 10;
+    result.signals.push(createMissingSignal('plugins', -10, '缺少插件信息'));
   }
   
   // 检查屏幕信息
-  if (components.screenResolution) {
+  if (!tampered.has('screen') && components.screenResolution) {
     const screenResult = analyzeScreenInfo(
       components.screenResolution,
       components.colorDepth,
       components.pixelRatio
     );
     result.score += screenResult.score;
+    result.signals.push(createComponentSignal('screen', screenResult));
     
     if (screenResult.anomalies.length > 0) {
       result.anomalies.push(...screenResult.anomalies);
@@ -115,12 +240,13 @@ function analyzeFingerprint(clientInfo) {
   }
   
   // 检查硬件信息
-  if (components.hardwareConcurrency || components.deviceMemory) {
+  if (!tampered.has('hardware') && (components.hardwareConcurrency || components.deviceMemory)) {
     const hardwareResult = analyzeHardwareInfo(
       components.hardwareConcurrency,
       components.deviceMemory
     );
     result.score += hardwareResult.score;
+    result.signals.push(createComponentSignal('hardware', hardwareResult));
     
     if (hardwareResult.anomalies.length > 0) {
       result.anomalies.push(...hardwareResult.anomalies);
@@ -129,9 +255,10 @@ function analyzeFingerprint(clientInfo) {
   }
   
   // 检查时区信息
-  if (components.timezone) {
+  if (!tampered.has('timezone') && components.timezone) {
     const timezoneResult = analyzeTimezone(components.timezone, components.timezoneOffset);
     result.score += timezoneResult.score;
+    result.signals.push(createComponentSignal('timezone', timezoneResult));
     
     if (timezoneResult.anomalies.length > 0) {
       result.anomalies.push(...timezoneResult.anomalies);
@@ -140,12 +267,13 @@ function analyzeFingerprint(clientInfo) {
   }
   
   // 检查触摸支持
-  if (typeof components.touchSupport !== 'undefined') {
+  if (!tampered.has('touch') && typeof components.touchSupport !== 'undefined') {
     const touchResult = analyzeTouchSupport(
       components.touchSupport,
       components.maxTouchPoints
     );
     result.score += touchResult.score;
+    result.signals.push(createComponentSignal('touch', touchResult));
     
     if (touchResult.anomalies.length > 0) {
       result.anomalies.push(...touchResult.anomalies);
@@ -159,11 +287,70 @@ function analyzeFingerprint(clientInfo) {
   return result;
 }
 
+/**
+ * 校验并规范化SDK上报的原生API篡改检查结果，只保留已知的API和检查项
+ * @param {Object} raw 请求体中的lies，例如 { 'Navigator.hardwareConcurrency': ['to_string', 'illegal_invocation'] }
+ * @returns {Object|null} 被篡改的API及未通过的检查，没有时为null
+ */
+function normalizeLies(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  const lies = {};
+  for (const api of Object.keys(LIE_COMPONENTS)) {
+    const checks = Array.isArray(raw[api]) ? [...new Set(raw[api].filter(check => LIE_CHECKS.includes(check)))] : [];
+    if (checks.length > 0) lies[api] = checks;
+  }
+
+  return Object.keys(lies).length > 0 ? lies : null;
+}
+
+/**
+ * 按指纹组件汇总被篡改的API
+ * @param {Object} lies 规范化后的篡改检查结果
+ * @returns {Map} 组件 -> API列表，不对应组件的API记在null下
+ */
+function getTamperedComponents(lies) {
+  const tampered = new Map();
+
+  for (const api of Object.keys(lies || {})) {
+    const component = LIE_COMPONENTS[api];
+    if (component === undefined) continue;
+
+    if (!tampered.has(component)) tampered.set(component, []);
+    tampered.get(component).push(api);
+  }
+
+  return tampered;
+}
+
+/**
+ * 创建单个指纹组件的信号
+ * 有异常时置信度更高，分值为该组件的得分
+ */
+function createComponentSignal(component, componentResult) {
+  const hasAnomalies = componentResult.anomalies.length > 0;
+
+  return createSignal(`fingerprint.${component}`, 'fingerprint', componentResult.score, {
+    confidence: hasAnomalies ? 0.7 : 0.5,
+    description: hasAnomalies ? componentResult.anomalies.join('; ') : null
+  });
+}
+
+/**
+ * 创建缺少指纹组件的信号
+ */
+function createMissingSignal(component, points, description) {
+  return createSignal(`fingerprint.missing_${component}`, 'fingerprint', points, {
+    confidence: 0.6,
+    description
+  });
+}
+
 /**
  * 提取指纹组件
  */
 function extractFingerprintComponents(clientInfo) {
-  return {
+  const components = {
     userAgent: clientInfo.userAgent || '',
     language: clientInfo.language || '',
     colorDepth: clientInfo.colorDepth || '',
@@ -184,6 +371,16 @@ function extractFingerprintComponents(clientInfo) {
     deviceMemory: clientInfo.deviceMemory || null,
     pixelRatio: clientInfo.pixelRatio || null
   };
+
+  // 被篡改的组件可能每次都返回不同的伪造值，不计入指纹
+  for (const component of getTamperedComponents(clientInfo.lies).keys()) {
+    if (!component) continue;
+    for (const field of COMPONENTS[component].fields) {
+      components[field] = null;
+    }
+  }
+
+  return components;
 }
 
 /**
@@ -266,20 +463,16 @@ function analyzeWebGLFingerprint(webglFingerprint, webglVendor, webglRenderer) {
       'Google SwiftShader'
     ];
     
-    const automatedWebGLRenderers = [
-      'Mesa OffScreen',
-      'Google SwiftShader',
-      'llvmpipe',
-      'Software Rasterizer',
-      'ANGLE'
-    ];
+    // 软件渲染器见GPU系列数据中的software系列（ANGLE只是Chrome、Edge、Firefox的图形层，本身不可疑）
+    const gpu = gpuModel.parseRenderer(webglRenderer);
+    const family = gpu && gpu.family ? gpuModel.getFamily(gpu.family) : null;
     
     if (automatedWebGLVendors.some(v => webglVendor.includes(v))) {
       result.anomalies.push(`检测到可疑的WebGL供应商: ${webglVendor}`);
       result.score -= 15;
     }
     
-    if (automatedWebGLRenderers.some(r => webglRenderer.includes(r))) {
+    if (family && family.software) {
       result.anomalies.push(`检测到可疑的WebGL渲染器: ${webglRenderer}`);
       result.score -= 15;
     }
@@ -291,6 +484,41 @@ function analyzeWebGLFingerprint(webglFingerprint, webglVendor, webglRenderer) {
   return result;
 }
 
+/**
+ * 分析GPU与用户代理是否相符，例如Windows用户代理报告Apple M2、iPhone用户代理报告NVIDIA GeForce
+ * @param {string} webglRenderer WebGL渲染器
+ * @param {Object} parsedUserAgent ua-parser-js的解析结果
+ */
+function analyzeGpuPlausibility(webglRenderer, parsedUserAgent) {
+  const result = {
+    score: 0,
+    anomalies: [],
+    signals: [],
+    gpu: null
+  };
+
+  const plausibility = gpuModel.checkPlausibility(webglRenderer, parsedUserAgent);
+  if (!plausibility) return result;
+
+  const { gpu, conflicts } = plausibility;
+  result.gpu = { ...gpu, conflicts: conflicts.map(conflict => conflict.type) };
+
+  for (const conflict of conflicts) {
+    const rule = GPU_CONFLICT_SIGNALS[conflict.type];
+    const description = `GPU与用户代理的${rule.name}不符: ${gpu.model}（用户代理: ${conflict.actual}，` +
+      `应为: ${conflict.expected.join('、')}）`;
+
+    result.score += rule.points;
+    result.anomalies.push(description);
+    result.signals.push(createSignal(rule.id, 'fingerprint', rule.points, {
+      confidence: rule.confidence,
+      description
+    }));
+  }
+
+  return result;
+}
+
 /**
  * 分析音频指纹
  */
@@ -584,7 +812,18 @@ function analyzeTouchSupport(touchSupport, maxTouchPoints) {
   return result;
 }
 
+/**
+ * 计算客户端的指纹哈希（与分析结果中的fingerprint相同），不进行指纹分析
+ */
+function getFingerprintHash(clientInfo) {
+  return generateFingerprintHash(extractFingerprintComponents(clientInfo));
+}
+
 module.exports = {
+  LIE_COMPONENTS,
+  LIE_CHECKS,
+  normalizeLies,
   analyzeFingerprint,
-  generateFingerprintHash
+  generateFingerprintHash,
+  getFingerprintHash
 };
@@ -0,0 +1,223 @@
+/**
+ * GPU合理性模块
+ * 解析WebGL渲染器字符串（包括Chrome、Edge、Firefox使用的ANGLE格式），识别GPU系列和图形后端，
+ * 并根据本地数据文件判断它与用户代理的操作系统、设备类型和浏览器引擎是否相符
+ *
+ * ANGLE渲染器字符串的格式：
+ * - ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)
+ * - ANGLE (Apple, ANGLE Metal Renderer: Apple M2, Unspecified Version)
+ * - ANGLE (Intel, Mesa Intel(R) UHD Graphics 620 (KBL GT2), OpenGL 4.6)
+ * - ANGLE (NVIDIA GeForce GTX 1050 Ti Direct3D11 vs_5_0 ps_5_0)（旧版本）
+ */
+const fs = require('fs');
+const path = require('path');
+
+// GPU系列数据文件
+const DATA_FILE = process.env.INKTRUST_GPU_DATA_FILE || path.join(__dirname, '..', 'data', 'gpu-families.json');
+
+// ua-parser-js的操作系统名称对应的类别，其他Linux发行版归为linux
+const OS_CLASSES = {
+  'Windows': 'windows',
+  'Mac OS': 'macos',
+  'macOS': 'macos',
+  'iOS': 'ios',
+  'Android': 'android',
+  'HarmonyOS': 'android',
+  'Chromium OS': 'chromeos',
+  'Chrome OS': 'chromeos',
+  'Linux': 'linux'
+};
+const LINUX_DISTRIBUTIONS = [
+  'Ubuntu', 'Debian', 'Fedora', 'Arch', 'Mint', 'openSUSE', 'CentOS', 'Red Hat', 'Gentoo', 'Manjaro', 'Kubuntu',
+  'Slackware', 'elementary OS', 'Deepin'
+];
+
+let data = { backends: [], families: [] };
+
+try {
+  data = loadData(DATA_FILE);
+} catch (error) {
+  console.error('加载GPU系列数据错误:', error.message);
+}
+
+/**
+ * 加载数据文件并编译匹配规则
+ * @param {string} file 数据文件路径
+ * @returns {Object} { backends, families }
+ */
+function loadData(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  return {
+    backends: (raw.backends || []).map(backend => ({
+      ...backend,
+      regex: new RegExp(backend.pattern, 'i')
+    })),
+    families: (raw.families || []).map(family => ({
+      ...family,
+      regexes: family.patterns.map(pattern => new RegExp(pattern, 'i'))
+    }))
+  };
+}
+
+/**
+ * 按顶层逗号拆分（忽略括号内的逗号）
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * 去掉型号中的后端信息、设备ID和商标符号
+ */
+function cleanModel(model) {
+  return model
+    .replace(/^ANGLE Metal Renderer:\s*/i, '')
+    .replace(/\s+(Direct3D\d*|vs_\d_\d|ps_\d_\d).*$/i, '')
+    .replace(/\s*\(0x[0-9a-f]+\)/gi, '')
+    .replace(/\((R|TM)\)/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 解析WebGL渲染器字符串
+ * @param {string} renderer 渲染器（优先使用WEBGL_debug_renderer_info的实际渲染器）
+ * @returns {Object|null} { angle, vendor, model, backend, family }，backend和family无法识别时为null
+ */
+function parseRenderer(renderer) {
+  if (!renderer || typeof renderer !== 'string') return null;
+
+  // Firefox对渲染器做了归类，结尾带有", or similar"
+  const text = renderer.trim().replace(/,?\s*or similar$/i, '');
+  const angle = text.match(/^ANGLE \((.*)\)$/i);
+  let vendor = null;
+  let model = text;
+  let backendText = text;
+
+  if (angle) {
+    const parts = splitTopLevel(angle[1]);
+    backendText = angle[1];
+
+    if (parts.length >= 2) {
+      vendor = parts[0];
+      model = parts[1];
+    } else {
+      model = parts[0] || '';
+    }
+  }
+
+  model = cleanModel(model);
+  const backend = data.backends.find(item => item.regex.test(backendText)) || null;
+  const family = data.families.find(item => item.regexes.some(regex => regex.test(model))) || null;
+
+  return {
+    angle: !!angle,
+    vendor,
+    model,
+    backend: backend ? backend.id : null,
+    family: family ? family.id : null
+  };
+}
+
+/**
+ * 根据ua-parser-js的解析结果获取操作系统、设备类型和浏览器引擎
+ * @param {Object} parsedUserAgent ua-parser-js的getResult()
+ * @returns {Object} { os, device, engine }，无法识别的操作系统为null
+ */
+function classifyClient(parsedUserAgent) {
+  const osName = parsedUserAgent && parsedUserAgent.os ? parsedUserAgent.os.name : null;
+  const deviceType = parsedUserAgent && parsedUserAgent.device ? parsedUserAgent.device.type : null;
+  let os = osName ? OS_CLASSES[osName] || null : null;
+
+  if (!os && osName && LINUX_DISTRIBUTIONS.includes(osName)) os = 'linux';
+
+  // 没有设备类型的iOS和Android用户代理按手机处理，其他按桌面设备处理
+  let device = 'desktop';
+  if (deviceType === 'mobile' || deviceType === 'tablet') {
+    device = deviceType;
+  } else if (os === 'ios' || os === 'android') {
+    device = 'mobile';
+  }
+
+  return {
+    os,
+    device,
+    engine: parsedUserAgent && parsedUserAgent.engine ? parsedUserAgent.engine.name || null : null
+  };
+}
+
+/**
+ * 检查GPU与用户代理是否相符
+ * 软件渲染器不参与检查（由指纹分析单独处理），无法识别的操作系统不检查操作系统和后端
+ * @param {string} renderer 渲染器
+ * @param {Object} parsedUserAgent ua-parser-js的解析结果
+ * @returns {Object|null} { gpu, client, conflicts: [{ type, actual, expected }] }，无法解析渲染器时为null
+ *   type为os（GPU系列不可能出现在该操作系统）、backend（图形后端与操作系统不符）、device（设备类型）或engine（浏览器引擎）
+ */
+function checkPlausibility(renderer, parsedUserAgent) {
+  const gpu = parseRenderer(renderer);
+  if (!gpu) return null;
+
+  const client = classifyClient(parsedUserAgent);
+  const family = data.families.find(item => item.id === gpu.family);
+  const backend = data.backends.find(item => item.id === gpu.backend);
+  const conflicts = [];
+
+  if (family && family.software) {
+    return { gpu, client, conflicts };
+  }
+
+  if (family && family.os && client.os && !family.os.includes(client.os)) {
+    conflicts.push({ type: 'os', actual: client.os, expected: family.os });
+  }
+
+  if (backend && backend.os && client.os && !backend.os.includes(client.os)) {
+    conflicts.push({ type: 'backend', actual: client.os, expected: backend.os });
+  }
+
+  if (family && family.devices && !family.devices.includes(client.device)) {
+    conflicts.push({ type: 'device', actual: client.device, expected: family.devices });
+  }
+
+  if (family && family.engines && client.engine && !family.engines.includes(client.engine)) {
+    conflicts.push({ type: 'engine', actual: client.engine, expected: family.engines });
+  }
+
+  return { gpu, client, conflicts };
+}
+
+/**
+ * 获取GPU系列的信息
+ * @returns {Object|null} { id, name, software }
+ */
+function getFamily(id) {
+  const family = data.families.find(item => item.id === id);
+  return family ? { id: family.id, name: family.name, software: !!family.software } : null;
+}
+
+module.exports = {
+  DATA_FILE,
+  loadData,
+  parseRenderer,
+  classifyClient,
+  checkPlausibility,
+  getFamily
+};
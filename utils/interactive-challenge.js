@@ -0,0 +1,446 @@
+/**
+ * 交互挑战模块
+ * 被动验证未通过时，真实用户可以通过交互挑战恢复：
+ * - slider: 滑块拼图，图片在服务端渲染为PNG，缺口位置只保存在服务端，拖动轨迹交给行为分析
+ * - text: 文字问答，供无法完成滑块的用户（如使用读屏软件或只能使用键盘）使用。
+ *   题目本身很容易被脚本解析，因此同时附带工作量证明并检查答案的输入时间。工作量证明使用最低难度，
+ *   不让低端设备上的用户等待，批量获取题目主要由按IP和设备的获取次数限制阻止
+ */
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { v4: uuidv4 } = require('uuid');
+const behaviorAnalyzer = require('./behavior-analyzer');
+const powChallenge = require('./pow-challenge');
+
+// 支持的挑战类型
+const TYPES = ['slider', 'text'];
+
+// 每道题目只允许提交一次，失败后需要重新获取
+const MAX_ATTEMPTS = 1;
+
+// 每个会话最多获取的交互挑战数量
+const MAX_CHALLENGES = 5;
+
+// 题目有效期（毫秒），默认5分钟
+const CHALLENGE_TTL = parseInt(process.env.INKTRUST_INTERACTIVE_CHALLENGE_TTL, 10) || 5 * 60 * 1000;
+
+// 滑块图片尺寸
+const SLIDER_WIDTH = 300;
+const SLIDER_HEIGHT = 150;
+const PIECE_SIZE = 44;
+
+// 滑块位置允许的误差（像素）
+const SLIDER_TOLERANCE = 6;
+
+// 拖动轨迹的最少点数、最多点数和最短时长（毫秒）
+const MIN_TRAJECTORY_POINTS = 5;
+const MAX_TRAJECTORY_POINTS = 500;
+const MIN_DRAG_DURATION = 200;
+
+// 文字问答从显示到第一次输入的最短时间（毫秒，阅读或收听题目的时间）和从出题到提交的最短时间
+const MIN_READ_TIME = 1000;
+const MIN_ANSWER_TIME = 1500;
+
+// 文字问答最多接收的输入事件数量
+const MAX_INPUT_EVENTS = 50;
+
+// 客户端输入时间超出服务端出题以来时间的容差（毫秒）
+const INPUT_TIME_TOLERANCE = 500;
+
+// 每个IP和设备每小时最多获取的文字问答数量
+const TEXT_CHALLENGE_WINDOW = 60 * 60 * 1000;
+const TEXT_CHALLENGE_LIMITS = {
+  ip: parseInt(process.env.INKTRUST_TEXT_CHALLENGE_IP_LIMIT, 10) || 10,
+  device: parseInt(process.env.INKTRUST_TEXT_CHALLENGE_DEVICE_LIMIT, 10) || 3
+};
+
+// 文字问答使用的中文数字
+const CHINESE_NUMBERS = ['零', '一', '二', '三', '四', '五', '六', '七', '八', '九', '十'];
+
+/**
+ * 创建交互挑战（保存在会话中）
+ * @param {string} type 挑战类型：slider或text
+ * @returns {Object} 挑战
+ */
+function createChallenge(type) {
+  const issuedAt = Date.now();
+  const challenge = {
+    type,
+    id: uuidv4(),
+    issuedAt,
+    expiresAt: issuedAt + CHALLENGE_TTL,
+    attempts: 0
+  };
+
+  if (type === 'slider') {
+    // 图片由种子确定性地渲染，会话中不需要保存图片本身
+    challenge.seed = crypto.randomInt(1, 2 ** 31);
+    challenge.offset = crypto.randomInt(PIECE_SIZE + 20, SLIDER_WIDTH - PIECE_SIZE - 10);
+    challenge.y = crypto.randomInt(10, SLIDER_HEIGHT - PIECE_SIZE - 10);
+  } else {
+    const a = crypto.randomInt(1, 10);
+    const b = crypto.randomInt(1, 10);
+    const subtract = a > b && crypto.randomInt(0, 2) === 1;
+
+    challenge.question = subtract ?
+      `${CHINESE_NUMBERS[a]}减${CHINESE_NUMBERS[b]}等于多少？请用数字作答` :
+      `${CHINESE_NUMBERS[a]}加${CHINESE_NUMBERS[b]}等于多少？请用数字作答`;
+    challenge.answer = String(subtract ? a - b : a + b);
+
+    // 客户端在用户阅读题目时计算
+    const work = powChallenge.createChallenge(powChallenge.MIN_DIFFICULTY);
+    challenge.pow = { algorithm: work.algorithm, prefix: work.prefix, difficulty: work.difficulty };
+  }
+
+  return challenge;
+}
+
+/**
+ * 获取返回给客户端的挑战信息（不包含缺口位置和答案）
+ */
+function toPublicChallenge(challenge) {
+  const result = {
+    type: challenge.type,
+    id: challenge.id,
+    expiresAt: challenge.expiresAt
+  };
+
+  if (challenge.type === 'slider') {
+    const images = renderSliderImages(challenge);
+
+    result.width = SLIDER_WIDTH;
+    result.height = SLIDER_HEIGHT;
+    result.pieceSize = PIECE_SIZE;
+    result.y = challenge.y;
+    result.background = images.background;
+    result.piece = images.piece;
+  } else {
+    result.question = challenge.question;
+    result.pow = challenge.pow;
+  }
+
+  return result;
+}
+
+/**
+ * 检查挑战是否已过期
+ */
+function isExpired(challenge) {
+  return Date.now() > challenge.expiresAt;
+}
+
+/**
+ * 校验客户端提交的答案
+ * @param {Object} challenge 会话中保存的挑战
+ * @param {Object} solution 滑块为 { challengeId, position, trajectory }，
+ *   文字问答为 { challengeId, answer, nonce, inputs }，inputs为答案输入框的输入时间 [{ t }]（相对题目显示的毫秒数）
+ * @returns {Object} 校验结果，失败时包含错误码，滑块挑战包含轨迹分析指标，文字问答包含输入指标
+ */
+function verifySolution(challenge, solution) {
+  if (!solution || solution.challengeId !== challenge.id) {
+    return { valid: false, error: 'challenge-mismatch' };
+  }
+
+  if (isExpired(challenge)) {
+    return { valid: false, error: 'challenge-expired' };
+  }
+
+  if (challenge.type === 'text') {
+    return verifyTextSolution(challenge, solution);
+  }
+
+  return verifySliderSolution(challenge, solution);
+}
+
+/**
+ * 校验文字问答：答案正确，工作量证明满足难度，且答案是在阅读题目之后输入的
+ */
+function verifyTextSolution(challenge, solution) {
+  const work = powChallenge.verifyNonce(challenge.pow.prefix, challenge.pow.difficulty, solution.nonce);
+  if (!work.valid) {
+    return { valid: false, error: work.error };
+  }
+
+  const input = analyzeAnswerInput(challenge, solution.inputs);
+  const answer = typeof solution.answer === 'string' ? solution.answer.trim() : '';
+
+  if (answer !== challenge.answer) {
+    return { valid: false, error: 'wrong-answer', metrics: input.metrics };
+  }
+
+  if (!input.isNatural) {
+    return { valid: false, error: 'unnatural-input', metrics: input.metrics };
+  }
+
+  return { valid: true, metrics: input.metrics };
+}
+
+/**
+ * 分析答案的输入时间
+ * 只检查输入事件的时间而不要求逐个按键，读屏软件、语音输入和粘贴也能通过
+ */
+function analyzeAnswerInput(challenge, inputs) {
+  const times = Array.isArray(inputs) ?
+    inputs.slice(0, MAX_INPUT_EVENTS)
+      .map(input => input && input.t)
+      .filter(time => typeof time === 'number' && Number.isFinite(time)) :
+    [];
+  const elapsed = Date.now() - challenge.issuedAt;
+  const metrics = {
+    inputCount: times.length,
+    firstInputAt: times.length > 0 ? times[0] : null,
+    lastInputAt: times.length > 0 ? times[times.length - 1] : null,
+    elapsed
+  };
+
+  const ordered = times.every((time, index) => index === 0 || time >= times[index - 1]);
+
+  return {
+    isNatural: times.length > 0 &&
+      ordered &&
+      metrics.firstInputAt >= MIN_READ_TIME &&
+      metrics.lastInputAt <= elapsed + INPUT_TIME_TOLERANCE &&
+      elapsed >= MIN_ANSWER_TIME,
+    metrics
+  };
+}
+
+/**
+ * 按IP和设备限制文字问答的获取次数
+ * 每个时间窗口有固定数量的名额，通过会话存储的一次性标记依次占用，多实例部署时共享计数
+ * @param {Object} store 会话存储
+ * @param {string} siteKey 站点密钥
+ * @param {Object} subjects { ip, device }，缺少的主体不限制
+ * @returns {Promise<string|null>} 超出限制的主体类型（ip或device），未超出时返回null
+ */
+async function reserveTextChallenge(store, siteKey, subjects, now = Date.now()) {
+  const window = Math.floor(now / TEXT_CHALLENGE_WINDOW);
+  const ttl = (window + 1) * TEXT_CHALLENGE_WINDOW - now;
+
+  for (const [type, limit] of Object.entries(TEXT_CHALLENGE_LIMITS)) {
+    if (!subjects[type]) continue;
+
+    // 哈希后作为标记的键，IP和站点密钥中的字符不影响文件存储
+    const subject = crypto.createHash('sha256').update(`${siteKey}:${type}:${subjects[type]}`).digest('hex').slice(0, 32);
+    let reserved = false;
+
+    for (let slot = 0; slot < limit && !reserved; slot++) {
+      reserved = await store.claim(`text-challenge:${subject}:${window}:${slot}`, ttl);
+    }
+
+    if (!reserved) return type;
+  }
+
+  return null;
+}
+
+/**
+ * 校验滑块答案：位置需要与缺口对齐，拖动轨迹需要像人类的鼠标移动
+ */
+function verifySliderSolution(challenge, solution) {
+  const position = Number(solution.position);
+  if (!Number.isFinite(position)) {
+    return { valid: false, error: 'invalid-answer' };
+  }
+
+  const events = toTrajectoryEvents(solution.trajectory);
+  if (events.length < MIN_TRAJECTORY_POINTS) {
+    return { valid: false, error: 'missing-trajectory' };
+  }
+
+  const trajectoryResult = behaviorAnalyzer.analyzeMouseTrajectory(events);
+  const duration = events[events.length - 1].data.timestamp - events[0].data.timestamp;
+  const metrics = { ...trajectoryResult.metrics, duration, pointCount: events.length };
+
+  if (Math.abs(position - challenge.offset) > SLIDER_TOLERANCE) {
+    return { valid: false, error: 'wrong-answer', metrics };
+  }
+
+  if (duration < MIN_DRAG_DURATION || !trajectoryResult.isNatural) {
+    return { valid: false, error: 'unnatural-trajectory', metrics };
+  }
+
+  return { valid: true, metrics };
+}
+
+/**
+ * 将拖动轨迹 [{ x, y, t }] 转换为行为分析使用的mousemove事件
+ */
+function toTrajectoryEvents(trajectory) {
+  if (!Array.isArray(trajectory)) return [];
+
+  return trajectory
+    .slice(0, MAX_TRAJECTORY_POINTS)
+    .filter(point => point &&
+      typeof point.x === 'number' &&
+      typeof point.y === 'number' &&
+      typeof point.t === 'number')
+    .map(point => ({
+      type: 'mousemove',
+      data: { x: point.x, y: point.y, timestamp: point.t }
+    }));
+}
+
+/**
+ * 渲染滑块背景图（带缺口）和拼图块
+ * @returns {Object} PNG格式的data URI
+ */
+function renderSliderImages(challenge) {
+  const random = createRandom(challenge.seed);
+  const pixels = renderBackground(random);
+  const piece = Buffer.alloc(PIECE_SIZE * PIECE_SIZE * 3);
+
+  // 先从原图中截取拼图块，再在原图上绘制缺口
+  for (let y = 0; y < PIECE_SIZE; y++) {
+    for (let x = 0; x < PIECE_SIZE; x++) {
+      const source = ((challenge.y + y) * SLIDER_WIDTH + challenge.offset + x) * 3;
+      const target = (y * PIECE_SIZE + x) * 3;
+      const border = isBorder(x, y);
+
+      for (let c = 0; c < 3; c++) {
+        piece[target + c] = border ? 255 : pixels[source + c];
+        pixels[source + c] = border ?
+          Math.round(pixels[source + c] * 0.4 + 255 * 0.6) :
+          Math.round(pixels[source + c] * 0.45);
+      }
+    }
+  }
+
+  return {
+    background: toDataUri(encodePng(SLIDER_WIDTH, SLIDER_HEIGHT, pixels)),
+    piece: toDataUri(encodePng(PIECE_SIZE, PIECE_SIZE, piece))
+  };
+}
+
+/**
+ * 渲染随机背景：渐变底色叠加随机圆形和噪点
+ */
+function renderBackground(random) {
+  const pixels = Buffer.alloc(SLIDER_WIDTH * SLIDER_HEIGHT * 3);
+  const from = randomColor(random);
+  const to = randomColor(random);
+  const circles = Array.from({ length: 14 }, () => ({
+    x: random() * SLIDER_WIDTH,
+    y: random() * SLIDER_HEIGHT,
+    r: 8 + random() * 40,
+    color: randomColor(random),
+    alpha: 0.3 + random() * 0.5
+  }));
+
+  // 噪点按4x4像素块生成，既干扰边缘检测又能保持图片体积较小
+  const noiseColumns = Math.ceil(SLIDER_WIDTH / 4);
+  const noise = Array.from({ length: noiseColumns * Math.ceil(SLIDER_HEIGHT / 4) }, () => (random() - 0.5) * 24);
+
+  for (let y = 0; y < SLIDER_HEIGHT; y++) {
+    for (let x = 0; x < SLIDER_WIDTH; x++) {
+      const ratio = (x + y) / (SLIDER_WIDTH + SLIDER_HEIGHT);
+      let color = from.map((value, c) => value + (to[c] - value) * ratio);
+
+      for (const circle of circles) {
+        const dx = x - circle.x;
+        const dy = y - circle.y;
+        if (dx * dx + dy * dy <= circle.r * circle.r) {
+          color = color.map((value, c) => value + (circle.color[c] - value) * circle.alpha);
+        }
+      }
+
+      const blockNoise = noise[Math.floor(y / 4) * noiseColumns + Math.floor(x / 4)];
+      const index = (y * SLIDER_WIDTH + x) * 3;
+      for (let c = 0; c < 3; c++) {
+        pixels[index + c] = Math.max(0, Math.min(255, Math.round(color[c] + blockNoise)));
+      }
+    }
+  }
+
+  return pixels;
+}
+
+function isBorder(x, y) {
+  return x < 2 || y < 2 || x >= PIECE_SIZE - 2 || y >= PIECE_SIZE - 2;
+}
+
+function randomColor(random) {
+  return [0, 1, 2].map(() => Math.floor(random() * 256));
+}
+
+/**
+ * 根据种子创建伪随机数生成器（mulberry32）
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 将RGB像素编码为PNG
+ */
+function encodePng(width, height, pixels) {
+  // 每行前加一个字节的过滤类型（0表示不过滤）
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // 位深度
+  header[9] = 2; // 颜色类型：RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    createPngChunk('IHDR', header),
+    createPngChunk('IDAT', zlib.deflateSync(raw)),
+    createPngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function createPngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+
+  return Buffer.concat([length, body, crc]);
+}
+
+// CRC32查找表
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDataUri(png) {
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+module.exports = {
+  TYPES,
+  MAX_ATTEMPTS,
+  MAX_CHALLENGES,
+  createChallenge,
+  toPublicChallenge,
+  isExpired,
+  verifySolution,
+  reserveTextChallenge
+};
@@ -0,0 +1,288 @@
+/**
+ * IP情报模块
+ * 从本地数据文件加载数据中心、托管服务、VPN、Tor出口节点和公开代理的IP范围，
+ * 按有序区间建立索引（IPv4和IPv6分开），查询时二分查找
+ *
+ * 数据目录中的文件格式：
+ * - *.csv: 第一行为表头，需要包含cidr、provider、category列
+ * - *.txt: 每行一个IP或CIDR，可以在后面写提供商名称；类别为文件名（例如tor.txt）
+ * 以#开头的行和空行会被忽略
+ */
+const fs = require('fs');
+const path = require('path');
+const ipaddr = require('ipaddr.js');
+
+// 数据目录
+const INTEL_DIR = process.env.INKTRUST_IP_INTEL_DIR || path.join(__dirname, '..', 'data', 'ip-intel');
+
+// 支持的类别及名称
+const CATEGORIES = {
+  datacenter: '数据中心',
+  hosting: '托管服务',
+  vpn: 'VPN',
+  tor: 'Tor出口节点',
+  proxy: '公开代理'
+};
+
+const EMPTY_INDEX = { starts: [], matches: [] };
+
+let dataset = { ipv4: EMPTY_INDEX, ipv6: EMPTY_INDEX, stats: null };
+
+try {
+  dataset = loadDataset(INTEL_DIR);
+} catch (error) {
+  console.error('加载IP情报数据错误:', error.message);
+}
+
+/**
+ * 加载数据目录中的所有文件并建立索引
+ * 无法解析的行会被跳过并计入统计，不影响其他行
+ * @param {string} dir 数据目录
+ * @returns {Object} 数据集 { ipv4, ipv6, stats }
+ */
+function loadDataset(dir) {
+  const ranges = { ipv4: [], ipv6: [] };
+  const stats = { dir, loadedAt: Date.now(), ranges: 0, skipped: 0, files: [] };
+  const files = fs.readdirSync(dir)
+    .filter(file => ['.csv', '.txt'].includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  for (const file of files) {
+    const content = fs.readFileSync(path.join(dir, file), 'utf8');
+    const parsed = path.extname(file).toLowerCase() === '.csv' ? parseCsv(content, file) : parseText(content, file);
+
+    for (const range of parsed.ranges) {
+      ranges[range.kind].push(range);
+    }
+
+    stats.ranges += parsed.ranges.length;
+    stats.skipped += parsed.skipped;
+    stats.files.push({ file, ranges: parsed.ranges.length, skipped: parsed.skipped });
+  }
+
+  return {
+    ipv4: buildIndex(ranges.ipv4),
+    ipv6: buildIndex(ranges.ipv6),
+    stats
+  };
+}
+
+/**
+ * 解析CSV文件（字段中不能包含逗号）
+ */
+function parseCsv(content, file) {
+  const lines = getLines(content);
+  const header = (lines.shift() || '').split(',').map(column => column.trim().toLowerCase());
+  const columns = {
+    cidr: header.indexOf('cidr'),
+    provider: header.indexOf('provider'),
+    category: header.indexOf('category')
+  };
+
+  if (columns.cidr === -1 || columns.category === -1) {
+    throw new Error(`${file} 缺少cidr或category列`);
+  }
+
+  return collect(lines, file, line => {
+    const fields = line.split(',').map(field => field.trim());
+    return {
+      value: fields[columns.cidr],
+      provider: columns.provider === -1 ? null : fields[columns.provider],
+      category: fields[columns.category]
+    };
+  });
+}
+
+/**
+ * 解析每行一个IP或CIDR的文本文件
+ */
+function parseText(content, file) {
+  const category = path.basename(file, path.extname(file)).toLowerCase();
+
+  if (!CATEGORIES[category]) {
+    throw new Error(`${file} 的文件名不是支持的类别: ${Object.keys(CATEGORIES).join(', ')}`);
+  }
+
+  return collect(getLines(content), file, line => {
+    const [value, ...provider] = line.split(/\s+/);
+    return { value, provider: provider.join(' '), category };
+  });
+}
+
+function getLines(content) {
+  return content.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * 将各行转换为IP范围，无效的行计入skipped
+ */
+function collect(lines, file, parseLine) {
+  const ranges = [];
+  let skipped = 0;
+
+  for (const line of lines) {
+    const { value, provider, category } = parseLine(line);
+    const range = CATEGORIES[category] ? parseRange(value) : null;
+
+    if (!range) {
+      skipped++;
+      continue;
+    }
+
+    range.entry = {
+      provider: provider || null,
+      category,
+      range: `${range.network}/${range.prefixLength}`,
+      source: file
+    };
+    ranges.push(range);
+  }
+
+  return { ranges, skipped };
+}
+
+/**
+ * 解析IP或CIDR，返回范围的起止值
+ * @returns {Object|null} { kind, network, prefixLength, start, end }
+ */
+function parseRange(value) {
+  try {
+    const [address, prefixLength] = value.includes('/') ?
+      ipaddr.parseCIDR(value) : [ipaddr.parse(value), null];
+    const bits = address.kind() === 'ipv4' ? 32 : 128;
+    const length = prefixLength === null ? bits : prefixLength;
+    const hostMask = (1n << BigInt(bits - length)) - 1n;
+    const start = toBigInt(address) & ~hostMask;
+
+    return {
+      kind: address.kind(),
+      network: ipaddr.fromByteArray(toByteArray(start, bits / 8)).toString(),
+      prefixLength: length,
+      start,
+      end: start | hostMask
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function toBigInt(address) {
+  return address.toByteArray().reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+}
+
+function toByteArray(value, length) {
+  const bytes = [];
+
+  for (let i = 0; i < length; i++) {
+    bytes.unshift(Number(value & 0xffn));
+    value >>= 8n;
+  }
+
+  return bytes;
+}
+
+/**
+ * 将可能重叠的范围拆分为互不重叠的有序区间，每个区间记录覆盖它的范围（最具体的在前）
+ * @returns {Object} { starts: 区间起点（升序）, matches: 覆盖各区间的情报条目 }
+ */
+function buildIndex(ranges) {
+  const boundaries = [];
+
+  for (const range of ranges) {
+    boundaries.push({ at: range.start, range, open: true });
+    boundaries.push({ at: range.end + 1n, range, open: false });
+  }
+
+  boundaries.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+
+  const starts = [];
+  const matches = [];
+  const active = new Set();
+  let i = 0;
+
+  while (i < boundaries.length) {
+    const at = boundaries[i].at;
+
+    for (; i < boundaries.length && boundaries[i].at === at; i++) {
+      if (boundaries[i].open) {
+        active.add(boundaries[i].range);
+      } else {
+        active.delete(boundaries[i].range);
+      }
+    }
+
+    const current = [...active]
+      .sort((a, b) => b.prefixLength - a.prefixLength)
+      .map(range => range.entry);
+
+    // 相邻的空区间合并
+    if (current.length === 0 && matches.length > 0 && matches[matches.length - 1].length === 0) continue;
+
+    starts.push(at);
+    matches.push(current);
+  }
+
+  return { starts, matches };
+}
+
+/**
+ * 查询IP所在的范围
+ * @param {string} ip IP地址（IPv4映射的IPv6地址按IPv4查询）
+ * @returns {Array} 匹配的情报条目 { provider, category, range, source }，最具体的在前
+ */
+function lookup(ip) {
+  let address;
+
+  try {
+    address = ipaddr.process(ip);
+  } catch (error) {
+    return [];
+  }
+
+  const { starts, matches } = dataset[address.kind()];
+  const value = toBigInt(address);
+  let low = 0;
+  let high = starts.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+
+    if (starts[mid] <= value) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found === -1 ? [] : matches[found];
+}
+
+/**
+ * 重新加载数据目录，全部解析成功后才替换正在使用的数据
+ * @returns {Object} 新数据集的统计
+ */
+function reload() {
+  const next = loadDataset(INTEL_DIR);
+  dataset = next;
+  return next.stats;
+}
+
+/**
+ * 获取当前数据集的统计，加载失败时为null
+ */
+function getStats() {
+  return dataset.stats;
+}
+
+module.exports = {
+  INTEL_DIR,
+  CATEGORIES,
+  loadDataset,
+  lookup,
+  reload,
+  getStats
+};
@@ -0,0 +1,152 @@
+/**
+ * 运行指标模块
+ * 以Prometheus格式记录验证流程的运行情况：各路由的请求数和耗时、验证结果、分数分布、
+ * 各分析器的耗时、存活会话数、每个会话的事件数以及速率限制拒绝次数
+ */
+const client = require('prom-client');
+
+// 指标名称前缀
+const PREFIX = 'inktrust_';
+
+const registry = new client.Registry();
+
+// Node.js进程指标（CPU、内存、事件循环延迟等）
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const httpRequests = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: '按路由、方法和状态码统计的请求数',
+  labelNames: ['route', 'method', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: '按路由和方法统计的请求耗时',
+  labelNames: ['route', 'method'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+const verdicts = new client.Counter({
+  name: `${PREFIX}verdicts_total`,
+  help: '按站点、结果和阶段统计的会话状态变化',
+  labelNames: ['site', 'outcome', 'stage'],
+  registers: [registry]
+});
+
+const verificationScore = new client.Histogram({
+  name: `${PREFIX}verification_score`,
+  help: '按站点统计的验证分数分布',
+  labelNames: ['site'],
+  buckets: client.linearBuckets(10, 10, 10),
+  registers: [registry]
+});
+
+const analyzerDuration = new client.Histogram({
+  name: `${PREFIX}analyzer_duration_seconds`,
+  help: '各分析器的耗时',
+  labelNames: ['analyzer'],
+  buckets: [0.0005, 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry]
+});
+
+const eventsPerSession = new client.Histogram({
+  name: `${PREFIX}session_events`,
+  help: '验证时每个会话的事件数',
+  labelNames: ['site'],
+  buckets: [0, 5, 10, 25, 50, 100, 200, 500, 1000],
+  registers: [registry]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: `${PREFIX}rate_limit_rejections_total`,
+  help: '按站点统计的速率限制拒绝次数',
+  labelNames: ['site'],
+  registers: [registry]
+});
+
+// 存活会话数在抓取时从会话存储统计，会遍历所有会话，使用Redis存储时请适当调大抓取间隔
+new client.Gauge({
+  name: `${PREFIX}live_sessions`,
+  help: '会话存储中未过期的会话数',
+  labelNames: ['site', 'status'],
+  registers: [registry],
+  async collect() {
+    // 按需加载，离线评估等只使用分析器的脚本不需要创建会话存储
+    const { sessionStore } = require('./session-store');
+
+    this.reset();
+
+    for (const session of await sessionStore.list()) {
+      this.inc({ site: session.siteKey, status: session.status });
+    }
+  }
+});
+
+/**
+ * 记录请求数和耗时的Express中间件
+ * 路由标签使用匹配到的路由模板（如 /api/verify/:sessionId），未匹配的请求（静态文件、404）记为other
+ */
+function httpMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    const labels = { route, method: req.method };
+
+    end(labels);
+    httpRequests.inc({ ...labels, status: res.statusCode });
+  });
+
+  next();
+}
+
+/**
+ * 记录分析器耗时，支持同步和异步的分析函数
+ * @param {string} analyzer 分析器名称
+ * @param {Function} fn 分析函数
+ * @returns {*} 分析函数的返回值
+ */
+function timeAnalyzer(analyzer, fn) {
+  const end = analyzerDuration.startTimer({ analyzer });
+  const result = fn();
+
+  if (result && typeof result.then === 'function') {
+    return result.finally(end);
+  }
+
+  end();
+  return result;
+}
+
+/**
+ * 记录会话状态变化
+ */
+function recordVerdict(siteKey, outcome, stage) {
+  verdicts.inc({ site: siteKey, outcome, stage });
+}
+
+/**
+ * 记录验证分数和会话的事件数
+ */
+function recordVerification(siteKey, score, eventCount) {
+  verificationScore.observe({ site: siteKey }, score);
+  eventsPerSession.observe({ site: siteKey }, eventCount);
+}
+
+/**
+ * 记录速率限制拒绝
+ */
+function recordRateLimitRejection(siteKey) {
+  rateLimitRejections.inc({ site: siteKey });
+}
+
+module.exports = {
+  registry,
+  httpMetrics,
+  timeAnalyzer,
+  recordVerdict,
+  recordVerification,
+  recordRateLimitRejection
+};
@@ -5,6 +5,34 @@
 const geoip = require('geoip-lite');
 const ipaddr = require('ipaddr.js');
 const axios = require('axios');
+const ipIntel = require('./ip-intel');
+const clientIp = require('./client-ip');
+const { createSignal } = require('./signals');
+
+// IP情报类别对应的信号，同一信号的多个类别取最具体的范围
+const INTEL_SIGNALS = [
+  {
+    id: 'network.datacenter_ip',
+    categories: ['datacenter', 'hosting'],
+    flag: 'datacenterIP',
+    points: -40,
+    confidence: 0.8,
+    label: '数据中心IP地址'
+  },
+  { id: 'network.vpn', categories: ['vpn'], flag: 'vpnDetected', points: -20, confidence: 0.6, label: 'VPN使用' },
+  { id: 'network.tor_exit', categories: ['tor'], flag: 'torExit', points: -40, confidence: 0.9, label: 'Tor出口节点' },
+  {
+    id: 'network.public_proxy',
+    categories: ['proxy'],
+    flag: 'publicProxy',
+    points: -30,
+    confidence: 0.7,
+    label: '公开代理IP地址'
+  }
+];
+
+// 经过可信代理时由代理添加的请求头，不作为客户端使用代理的特征
+const TRUSTED_PROXY_HEADERS = ['forwarded', 'x-forwarded-for', 'x-forwarded-host', 'x-forwarded-proto', 'x-real-ip'];
 
 /**
  * 分析网络特征
@@ -20,14 +48,32 @@ async function analyzeNetwork(clientInfo, req) {
     proxied: false,
     vpnDetected: false,
     datacenterIP: false,
-    ipTimezoneMatch: true
+    torExit: false,
+    publicProxy: false,
+    ipIntel: null, // 最具体的IP情报条目 { provider, category, range, source, categories }
+    forwarding: null, // 转发链 { peer, trustedHops, clientSupplied, anomalies }
+    ipTimezoneMatch: true,
+    signals: [] // 标准化信号，分值为相对基础分50的增减
   };
   
-  // 获取IP地址
-  const ip = getClientIp(req);
+  // 获取IP地址，只相信可信代理添加的转发记录
+  const forwarding = clientIp.resolveClientIp(req);
+  const ip = forwarding.ip;
+  result.forwarding = {
+    peer: forwarding.peer,
+    trustedHops: forwarding.trustedHops,
+    clientSupplied: forwarding.clientSupplied,
+    anomalies: forwarding.anomalies.map(anomaly => anomaly.code)
+  };
   
   if (!ip) {
     result.reasons.push('无法获取IP地址');
+    // 提前返回时不计基础分，分数为0
+    result.signals.push(createSignal('network.missing_ip', 'network', -50, {
+      severity: 'medium',
+      confidence: 0.3,
+      description: '无法获取IP地址'
+    }));
     return result;
   }
   
@@ -35,6 +81,12 @@ async function analyzeNetwork(clientInfo, req) {
   if (isPrivateIP(ip)) {
     result.reasons.push('使用私有IP地址');
     result.score += 10; // 私有IP通常是本地测试，不扣分
+    // 提前返回时不计基础分，分数为10
+    result.signals.push(createSignal('network.private_ip', 'network', 10 - 50, {
+      severity: 'low',
+      confidence: 0.3,
+      description: '使用私有IP地址，跳过网络分析'
+    }));
     return result;
   }
   
@@ -45,6 +97,10 @@ async function analyzeNetwork(clientInfo, req) {
   if (!geoData) {
     result.reasons.push('无法获取IP地理位置信息');
     result.score -= 10;
+    result.signals.push(createSignal('network.missing_geo', 'network', -10, {
+      confidence: 0.4,
+      description: '无法获取IP地理位置信息'
+    }));
   } else {
     // 检查IP地址与时区是否匹配
     if (clientInfo.timezone) {
@@ -57,6 +113,7 @@ async function analyzeNetwork(clientInfo, req) {
       } else {
         result.score += 20;
       }
+      result.signals.push(createMatchSignal('timezone', ipTimezoneMatch, 20, 'IP地址与时区'));
     }
     
     // 检查IP地址与语言是否匹配
@@ -69,41 +126,66 @@ async function analyzeNetwork(clientInfo, req) {
       } else {
         result.score += 10;
       }
+      result.signals.push(createMatchSignal('language', ipLanguageMatch, 10, 'IP地址与语言'));
     }
   }
   
+  // 检查转发链是否伪造或不一致
+  const untrustedForwarding = forwarding.anomalies.filter(anomaly => anomaly.code === 'untrusted_forwarding');
+  const inconsistentForwarding = forwarding.anomalies.filter(anomaly => anomaly.code !== 'untrusted_forwarding');
+
+  if (untrustedForwarding.length > 0) {
+    result.reasons.push(untrustedForwarding[0].description);
+    result.score -= 25;
+    result.signals.push(createSignal('network.untrusted_forwarding', 'network', -25, {
+      confidence: 0.6,
+      description: untrustedForwarding[0].description
+    }));
+  }
+
+  if (inconsistentForwarding.length > 0) {
+    const description = inconsistentForwarding.map(anomaly => anomaly.description).join(', ');
+    result.reasons.push(`转发链异常: ${description}`);
+    result.score -= 20;
+    result.signals.push(createSignal('network.inconsistent_forwarding', 'network', -20, {
+      confidence: 0.6,
+      description
+    }));
+  }
+
   // 检查是否为代理IP
-  const proxyHeaders = checkProxyHeaders(req.headers);
+  const proxyHeaders = checkProxyHeaders(req.headers, forwarding);
   if (proxyHeaders.detected) {
     result.proxied = true;
     result.reasons.push(`检测到代理特征: ${proxyHeaders.reasons.join(', ')}`);
     result.score -= 30;
+    result.signals.push(createSignal('network.proxy_headers', 'network', -30, {
+      confidence: 0.6,
+      description: proxyHeaders.reasons.join(', ')
+    }));
   }
   
-  // 检查是否为数据中心IP
-  try {
-    const isDatacenter = await checkDatacenterIP(ip);
-    result.datacenterIP = isDatacenter;
-    
-    if (isDatacenter) {
-      result.reasons.push('检测到数据中心IP地址');
-      result.score -= 40;
-    }
-  } catch (error) {
-    // 数据中心检查失败，不影响结果
+  // 查询IP情报数据（数据中心、托管服务、VPN、Tor出口节点和公开代理）
+  const intelMatches = ipIntel.lookup(ip);
+  if (intelMatches.length > 0) {
+    result.ipIntel = {
+      ...intelMatches[0],
+      categories: [...new Set(intelMatches.map(match => match.category))]
+    };
   }
-  
-  // 检查是否为VPN
-  try {
-    const vpnDetected = await checkVPN(ip);
-    result.vpnDetected = vpnDetected;
-    
-    if (vpnDetected) {
-      result.reasons.push('检测到VPN使用');
-      result.score -= 20;
-    }
-  } catch (error) {
-    // VPN检查失败，不影响结果
+
+  for (const rule of INTEL_SIGNALS) {
+    const match = intelMatches.find(item => rule.categories.includes(item.category));
+    if (!match) continue;
+
+    const description = `检测到${rule.label}${match.provider ? ` (${match.provider})` : ''}`;
+    result[rule.flag] = true;
+    result.reasons.push(description);
+    result.score += rule.points;
+    result.signals.push(createSignal(rule.id, 'network', rule.points, {
+      confidence: rule.confidence,
+      description
+    }));
   }
   
   // 检查请求头一致性
@@ -111,8 +193,16 @@ async function analyzeNetwork(clientInfo, req) {
   if (!headerConsistency.consistent) {
     result.reasons.push(`请求头不一致: ${headerConsistency.reasons.join(', ')}`);
     result.score -= 15;
+    result.signals.push(createSignal('network.header_inconsistency', 'network', -15, {
+      confidence: 0.6,
+      description: headerConsistency.reasons.join(', ')
+    }));
   } else {
     result.score += 15;
+    result.signals.push(createSignal('network.header_consistency', 'network', 15, {
+      confidence: 0.5,
+      description: '请求头一致'
+    }));
   }
   
   // 检查TLS指纹（如果有）
@@ -123,8 +213,16 @@ async function analyzeNetwork(clientInfo, req) {
       if (tlsAnomalies.length > 0) {
         result.reasons.push(`TLS指纹异常: ${tlsAnomalies.join(', ')}`);
         result.score -= 10;
+        result.signals.push(createSignal('network.tls_anomaly', 'network', -10, {
+          confidence: 0.5,
+          description: tlsAnomalies.join(', ')
+        }));
       } else {
         result.score += 10;
+        result.signals.push(createSignal('network.tls_normal', 'network', 10, {
+          confidence: 0.4,
+          description: 'TLS指纹正常'
+        }));
       }
     }
   }
@@ -135,35 +233,28 @@ async function analyzeNetwork(clientInfo, req) {
   return result;
 }
 
+/**
+ * 创建IP地理位置一致性检查的信号
+ */
+function createMatchSignal(name, matched, points, label) {
+  if (matched) {
+    return createSignal(`network.${name}_match`, 'network', points, {
+      confidence: 0.5,
+      description: `${label}匹配`
+    });
+  }
+
+  return createSignal(`network.${name}_mismatch`, 'network', -points, {
+    confidence: 0.6,
+    description: `${label}不匹配`
+  });
+}
+
 /**
  * 获取客户端IP地址
  */
 function getClientIp(req) {
-  // 尝试从各种请求头获取IP
-  const forwardedFor = req.headers['x-forwarded-for'];
-  if (forwardedFor) {
-    // 取第一个IP（最原始的客户端IP）
-    const ips = forwardedFor.split(',').map(ip => ip.trim());
-    return ips[0];
-  }
-  
-  // 尝试其他常见的IP请求头
-  const realIp = req.headers['x-real-ip'];
-  if (realIp) {
-    return realIp;
-  }
-  
-  // 尝试从连接对象获取
-  if (req.connection && req.connection.remoteAddress) {
-    return req.connection.remoteAddress;
-  }
-  
-  // 尝试从套接字获取
-  if (req.socket && req.socket.remoteAddress) {
-    return req.socket.remoteAddress;
-  }
-  
-  return null;
+  return clientIp.resolveClientIp(req).ip;
 }
 
 /**
@@ -262,8 +353,11 @@ function getExpectedLanguages(countryCode) {
 
 /**
  * 检查代理请求头
+ * @param {Object} headers 请求头
+ * @param {Object} forwarding 客户端IP的解析结果，经过可信代理时忽略代理添加的请求头；
+ *   不可信来源的转发请求头由转发链检查处理
  */
-function checkProxyHeaders(headers) {
+function checkProxyHeaders(headers, forwarding = null) {
   const result = {
     detected: false,
     reasons: []
@@ -283,15 +377,24 @@ function checkProxyHeaders(headers) {
     'proxy-authorization'
   ];
   
+  const viaTrustedProxy = !!forwarding && forwarding.trustedHops > 0;
+  const skipped = !forwarding ? [] : viaTrustedProxy ? TRUSTED_PROXY_HEADERS : clientIp.FORWARDING_HEADERS;
+
   for (const header of proxyHeaders) {
-    if (headers[header]) {
+    if (headers[header] && !skipped.includes(header)) {
       result.detected = true;
       result.reasons.push(`存在${header}请求头`);
     }
   }
   
+  // 转发链中客户端IP左侧的地址说明客户端经过了其他代理
+  if (forwarding && forwarding.clientSupplied.length > 0) {
+    result.detected = true;
+    result.reasons.push(`转发链中有${forwarding.clientSupplied.length}个客户端一侧的地址`);
+  }
+  
   // 检查Cloudflare特有的请求头
-  if (headers['cf-connecting-ip'] || headers['cf-ipcountry']) {
+  if (!viaTrustedProxy && (headers['cf-connecting-ip'] || headers['cf-ipcountry'])) {
     result.detected = true;
     result.reasons.push('检测到Cloudflare代理');
   }
@@ -300,100 +403,17 @@ function checkProxyHeaders(headers) {
 }
 
 /**
- * 检查是否为数据中心IP
- * 注意：实际实现中，你可能需要使用第三方API或本地数据库
+ * 检查是否为数据中心或托管服务的IP
  */
 async function checkDatacenterIP(ip) {
-  // 这里是一个简化的实现，实际应用中应使用更完善的服务
-  // 例如IPinfo、MaxMind等提供的API
-  
-  // 检查常见数据中心IP范围
-  const dataCenterRanges = [
-    // AWS
-    ['3.0.0.0', '3.255.255.255'],
-    ['13.32.0.0', '13.35.255.255'],
-    ['13.224.0.0', '13.255.255.255'],
-    ['52.0.0.0', '52.255.255.255'],
-    ['54.0.0.0', '54.255.255.255'],
-    
-    // Google Cloud
-    ['34.64.0.0', '34.127.255.255'],
-    ['35.184.0.0', '35.239.255.255'],
-    
-    // Microsoft Azure
-    ['13.64.0.0', '13.107.255.255'],
-    ['40.64.0.0', '40.127.255.255'],
-    
-    // DigitalOcean
-    ['45.55.0.0', '45.55.255.255'],
-    ['104.131.0.0', '104.131.255.255'],
-    ['138.197.0.0', '138.197.255.255'],
-    
-    // Linode
-    ['45.33.0.0', '45.33.255.255'],
-    ['96.126.96.0', '96.126.127.255'],
-    ['173.255.192.0', '173.255.255.255']
-  ];
-  
-  try {
-    const ipObj = ipaddr.parse(ip);
-    
-    for (const [start, end] of dataCenterRanges) {
-      const startObj = ipaddr.parse(start);
-      const endObj = ipaddr.parse(end);
-      
-      if (ipObj.kind() === startObj.kind() && 
-          ipObj.compare(startObj) >= 0 && 
-          ipObj.compare(endObj) <= 0) {
-        return true;
-      }
-    }
-    
-    return false;
-  } catch (error) {
-    return false;
-  }
+  return ipIntel.lookup(ip).some(match => match.category === 'datacenter' || match.category === 'hosting');
 }
 
 /**
  * 检查是否为VPN
- * 注意：实际实现中，你可能需要使用第三方API
  */
 async function checkVPN(ip) {
-  // 这里是一个简化的实现，实际应用中应使用更完善的服务
-  // 例如IPinfo、IPQualityScore等提供的API
-  
-  // 检查常见VPN提供商的IP范围
-  const vpnRanges = [
-    // NordVPN
-    ['5.254.0.0', '5.254.255.255'],
-    ['31.13.191.0', '31.13.191.255'],
-    
-    // ExpressVPN
-    ['172.241.131.0', '172.241.131.255'],
-    
-    // Private Internet Access
-    ['185.159.157.0', '185.159.157.255']
-  ];
-  
-  try {
-    const ipObj = ipaddr.parse(ip);
-    
-    for (const [start, end] of vpnRanges) {
-      const startObj = ipaddr.parse(start);
-      const endObj = ipaddr.parse(end);
-      
-      if (ipObj.kind() === startObj.kind() && 
-          ipObj.compare(startObj) >= 0 && 
-          ipObj.compare(endObj) <= 0) {
-        return true;
-      }
-    }
-    
-    return false;
-  } catch (error) {
-    return false;
-  }
+  return ipIntel.lookup(ip).some(match => match.category === 'vpn');
 }
 
 /**
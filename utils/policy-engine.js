@@ -0,0 +1,470 @@
+/**
+ * 评分策略引擎
+ * 从JSON/YAML策略文件加载评分规则，文件修改后自动重新加载，无需重新部署
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getSeverity } = require('./signals');
+
+// 默认策略文件路径
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'policy.json');
+
+// 检查策略文件是否被修改的最小间隔（毫秒）
+const RELOAD_INTERVAL = parseInt(process.env.INKTRUST_POLICY_RELOAD_INTERVAL, 10) || 5000;
+
+// 支持的条件运算符
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+  gt: (value, expected) => typeof value === 'number' && value > expected,
+  gte: (value, expected) => typeof value === 'number' && value >= expected,
+  lt: (value, expected) => typeof value === 'number' && value < expected,
+  lte: (value, expected) => typeof value === 'number' && value <= expected,
+  in: (value, expected) => Array.isArray(expected) && expected.includes(value),
+  contains: (value, expected) => Array.isArray(value) && value.includes(expected),
+  exists: (value, expected) => (value !== undefined && value !== null) === expected
+};
+
+// 硬性规则支持的动作（challenge只在verify阶段生效）
+const RULE_ACTIONS = ['block', 'allow', 'challenge'];
+
+const policyFile = process.env.INKTRUST_POLICY_FILE || DEFAULT_POLICY_FILE;
+let policy = loadPolicy(policyFile);
+let policyMtime = getMtime(policyFile);
+let lastCheckedAt = Date.now();
+
+/**
+ * 加载并校验策略文件
+ */
+function loadPolicy(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const data = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+
+  validatePolicy(data);
+
+  return {
+    baseScore: 0,
+    scoreRange: [0, 100],
+    signals: [],
+    rules: [],
+    thresholds: {},
+    ...data
+  };
+}
+
+/**
+ * 校验策略结构
+ */
+function validatePolicy(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('策略文件内容无效');
+  }
+
+  if (!data.version) {
+    throw new Error('策略缺少version');
+  }
+
+  for (const signal of data.signals || []) {
+    if (!signal.id || !signal.when) {
+      throw new Error(`策略信号缺少id或when: ${JSON.stringify(signal)}`);
+    }
+    validateCondition(signal.when);
+  }
+
+  for (const rule of data.rules || []) {
+    if (!rule.id || !rule.when || !RULE_ACTIONS.includes(rule.action)) {
+      throw new Error(`策略规则无效: ${JSON.stringify(rule)}`);
+    }
+    validateCondition(rule.when);
+  }
+}
+
+/**
+ * 校验条件表达式
+ */
+function validateCondition(condition) {
+  if (condition.all || condition.any) {
+    const conditions = condition.all || condition.any;
+    if (!Array.isArray(conditions)) {
+      throw new Error('all/any条件必须是数组');
+    }
+    conditions.forEach(validateCondition);
+    return;
+  }
+
+  if (condition.not) {
+    validateCondition(condition.not);
+    return;
+  }
+
+  if (!condition.fact) {
+    throw new Error(`条件缺少fact: ${JSON.stringify(condition)}`);
+  }
+
+  const operators = Object.keys(condition).filter(key => key !== 'fact');
+  if (operators.length !== 1 || !OPERATORS[operators[0]]) {
+    throw new Error(`条件运算符无效: ${JSON.stringify(condition)}`);
+  }
+}
+
+/**
+ * 获取文件修改时间
+ */
+function getMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 获取当前策略，策略文件被修改时自动重新加载
+ * 重新加载失败时继续使用之前的策略
+ */
+function getPolicy() {
+  const now = Date.now();
+
+  if (now - lastCheckedAt >= RELOAD_INTERVAL) {
+    lastCheckedAt = now;
+    const mtime = getMtime(policyFile);
+
+    if (mtime && mtime !== policyMtime) {
+      try {
+        policy = loadPolicy(policyFile);
+        policyMtime = mtime;
+        console.log(`评分策略已重新加载，版本: ${policy.version}`);
+      } catch (error) {
+        console.error('重新加载评分策略错误，继续使用之前的策略:', error.message);
+      }
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * 立即重新加载策略
+ */
+function reloadPolicy() {
+  policy = loadPolicy(policyFile);
+  policyMtime = getMtime(policyFile);
+  lastCheckedAt = Date.now();
+  return policy;
+}
+
+/**
+ * 按点分路径获取事实值，例如"network.datacenterIP"
+ */
+function getFact(facts, factPath) {
+  return factPath.split('.').reduce((value, key) => {
+    return value === undefined || value === null ? undefined : value[key];
+  }, facts);
+}
+
+/**
+ * 计算条件表达式
+ * @param {Object} condition 条件，支持all、any、not和{ fact, 运算符: 期望值 }
+ * @param {Object} facts 事实
+ * @returns {boolean} 条件是否成立
+ */
+function evaluateCondition(condition, facts) {
+  if (condition.all) {
+    return condition.all.every(c => evaluateCondition(c, facts));
+  }
+
+  if (condition.any) {
+    return condition.any.some(c => evaluateCondition(c, facts));
+  }
+
+  if (condition.not) {
+    return !evaluateCondition(condition.not, facts);
+  }
+
+  const value = getFact(facts, condition.fact);
+  const operator = Object.keys(condition).find(key => key !== 'fact');
+
+  return OPERATORS[operator](value, condition[operator]);
+}
+
+/**
+ * 用事实值填充原因模板，例如"检测到自动化工具: {automation.detectedTools}"
+ */
+function renderReason(template, facts) {
+  return template.replace(/\{([\w.]+)\}/g, (match, factPath) => {
+    const value = getFact(facts, factPath);
+    if (Array.isArray(value)) return value.join(', ');
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * 查找指定阶段第一个匹配的硬性规则
+ * @param {string} stage 阶段：init、event或verify
+ * @param {Object} facts 事实
+ * @returns {Object|null} 匹配的规则及渲染后的原因
+ */
+function matchRule(stage, facts) {
+  const currentPolicy = getPolicy();
+
+  for (const rule of currentPolicy.rules) {
+    const stages = rule.stages || ['verify'];
+    if (!stages.includes(stage)) continue;
+
+    if (evaluateCondition(rule.when, facts)) {
+      return {
+        id: rule.id,
+        action: rule.action,
+        reason: rule.reason ? renderReason(rule.reason, facts) : null
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 计算信号得分
+ * 固定分值使用points，按事实值计算时使用 (value + offset) * weight
+ */
+function getSignalPoints(signal, facts) {
+  if (signal.value) {
+    const value = getFact(facts, signal.value);
+    if (typeof value !== 'number') return 0;
+    return (value + (signal.offset || 0)) * getSignalWeight(signal);
+  }
+
+  return signal.points || 0;
+}
+
+function getSignalWeight(signal) {
+  return signal.weight === undefined ? 1 : signal.weight;
+}
+
+/**
+ * 将命中的策略信号转换为分数贡献
+ * 配置了expand时，按分析器输出的标准化信号拆分分值（分析器分数被限制在范围内造成的差额单独列出）；
+ * 配置了evidence时，在贡献中附带相关分析器信号的id
+ */
+function getContributions(signal, points, facts) {
+  const contribution = {
+    id: signal.id,
+    category: signal.category || 'policy',
+    severity: signal.severity || getSeverity(points),
+    confidence: typeof signal.confidence === 'number' ? signal.confidence : 1,
+    points,
+    description: signal.reason ? renderReason(signal.reason, facts) : null
+  };
+
+  // 扣分时附带非正向的信号，加分时附带正向信号
+  if (signal.evidence) {
+    contribution.evidence = (getFact(facts, signal.evidence) || [])
+      .filter(item => (points < 0 ? item.severity !== 'info' : item.points > 0))
+      .map(item => item.id);
+  }
+
+  const analyzerSignals = signal.expand ? getFact(facts, signal.expand) : null;
+  if (!Array.isArray(analyzerSignals) || analyzerSignals.length === 0) {
+    return [contribution];
+  }
+
+  const weight = getSignalWeight(signal);
+  const contributions = analyzerSignals
+    .filter(item => item.points !== 0)
+    .map(item => ({
+      id: item.id,
+      category: item.category,
+      severity: item.severity,
+      confidence: item.confidence,
+      points: item.points * weight,
+      description: item.description,
+      source: signal.id
+    }));
+
+  const remainder = points - contributions.reduce((sum, item) => sum + item.points, 0);
+  if (Math.abs(remainder) > 1e-9) {
+    contributions.push({
+      ...contribution,
+      id: `${signal.id}.range_adjustment`,
+      severity: 'info',
+      points: remainder,
+      description: '分析器分数超出范围后的调整',
+      source: signal.id
+    });
+  }
+
+  return contributions;
+}
+
+/**
+ * 将贡献按影响大小排序并取整
+ * 按累计值取整后逐项求差，保证各项之和恰好等于取整后的总分
+ */
+function roundContributions(contributions) {
+  const ordered = contributions
+    .filter(item => item.points !== 0)
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+  let total = 0;
+  let roundedTotal = 0;
+
+  return ordered.map(item => {
+    total += item.points;
+    const nextRoundedTotal = Math.round(total);
+    const points = nextRoundedTotal - roundedTotal;
+    roundedTotal = nextRoundedTotal;
+
+    return { ...item, points };
+  });
+}
+
+/**
+ * 按策略评分
+ * @param {Object} facts 事实
+ * @param {Object} options 评分选项
+ * @param {number} options.threshold 判定为真人的分数阈值，默认使用策略中的verify阈值
+ * @param {number} options.challengeThreshold 需要挑战的最低分数，默认使用策略中的challenge阈值（未配置时不挑战）
+ * @param {Object} options.rule 优先于策略规则的硬性规则 { id, action, reason }（例如站点名单）
+ * @returns {Object} 评分结果，outcome为verified、challenged或rejected，
+ *   breakdown为按顺序排列的分数贡献，各项points之和等于score
+ */
+function evaluate(facts, options = {}) {
+  const currentPolicy = getPolicy();
+  const [minScore, maxScore] = currentPolicy.scoreRange;
+  const result = {
+    policyVersion: currentPolicy.version,
+    score: 0,
+    isHuman: false,
+    outcome: 'rejected',
+    reasons: [],
+    signals: [],
+    breakdown: [],
+    rule: null
+  };
+
+  // 收集所有命中信号的分值
+  let contributions = [];
+  for (const signal of currentPolicy.signals) {
+    if (!evaluateCondition(signal.when, facts)) continue;
+
+    const points = getSignalPoints(signal, facts);
+    result.signals.push({ id: signal.id, points });
+    contributions.push(...getContributions(signal, points, facts));
+
+    if (signal.reason) {
+      result.reasons.push(renderReason(signal.reason, facts));
+    }
+  }
+
+  contributions = roundContributions(contributions);
+
+  result.breakdown.push({
+    id: 'base',
+    category: 'base',
+    severity: 'info',
+    confidence: 1,
+    points: currentPolicy.baseScore,
+    description: '基础分'
+  });
+  result.breakdown.push(...contributions);
+
+  const rawScore = currentPolicy.baseScore + contributions.reduce((sum, item) => sum + item.points, 0);
+  result.score = Math.max(minScore, Math.min(maxScore, rawScore));
+
+  if (result.score !== rawScore) {
+    result.breakdown.push({
+      id: 'score_range',
+      category: 'adjustment',
+      severity: 'info',
+      confidence: 1,
+      points: result.score - rawScore,
+      description: `分数限制在${minScore}-${maxScore}范围内`
+    });
+  }
+
+  const threshold = typeof options.threshold === 'number' ?
+    options.threshold : getThreshold('verify');
+  const challengeThreshold = typeof options.challengeThreshold === 'number' ?
+    options.challengeThreshold : getThreshold('challenge', null);
+
+  // 介于挑战阈值和真人阈值之间的灰色地带需要挑战
+  result.isHuman = result.score >= threshold;
+  if (result.isHuman) {
+    result.outcome = 'verified';
+  } else if (challengeThreshold !== null && result.score >= challengeThreshold) {
+    result.outcome = 'challenged';
+  }
+
+  // 硬性规则直接决定结果
+  const rule = options.rule || matchRule('verify', facts);
+  if (rule && rule.action === 'challenge') {
+    // 挑战规则不改变分数，只要求客户端完成挑战
+    result.rule = rule;
+    result.isHuman = false;
+    result.outcome = 'challenged';
+
+    if (rule.reason) {
+      result.reasons.push(rule.reason);
+    }
+  } else if (rule) {
+    const ruleScore = rule.action === 'allow' ? maxScore : minScore;
+
+    result.rule = rule;
+    result.isHuman = rule.action === 'allow';
+    result.outcome = rule.action === 'allow' ? 'verified' : 'rejected';
+
+    if (ruleScore !== result.score) {
+      result.breakdown.push({
+        id: `rule.${rule.id}`,
+        category: 'rule',
+        severity: rule.action === 'allow' ? 'info' : 'critical',
+        confidence: 1,
+        points: ruleScore - result.score,
+        description: rule.reason
+      });
+    }
+
+    result.score = ruleScore;
+
+    if (rule.reason) {
+      result.reasons.push(rule.reason);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 获取阈值
+ * @param {string} name 阈值名称：verify（真人分数线）、challenge（挑战分数线）、
+ *   init（自动化分数拒绝线）、event（行为分数拒绝线）
+ * @param {*} defaultValue 策略未配置该阈值时的默认值，未提供时抛出错误
+ */
+function getThreshold(name, defaultValue) {
+  const value = getPolicy().thresholds[name];
+
+  if (typeof value !== 'number') {
+    if (defaultValue !== undefined) return defaultValue;
+    throw new Error(`策略缺少阈值: ${name}`);
+  }
+
+  return value;
+}
+
+/**
+ * 获取当前策略版本
+ */
+function getPolicyVersion() {
+  return getPolicy().version;
+}
+
+module.exports = {
+  evaluate,
+  evaluateCondition,
+  matchRule,
+  getThreshold,
+  getPolicyVersion,
+  reloadPolicy
+};
@@ -0,0 +1,151 @@
+/**
+ * 工作量证明挑战模块
+ * 为分数处于灰色地带的会话签发hashcash风格的题目：
+ * 客户端需要找到nonce，使 SHA-256(prefix + ':' + nonce) 至少有difficulty个前导零比特。
+ * 难度每增加1，平均计算量翻倍，低风险会话只需几十毫秒，高风险会话需要几秒，批量刷验证的成本则成倍增加
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// 最低难度（前导零比特数），平均约6.5万次哈希，SDK在浏览器中不到0.1秒
+const MIN_DIFFICULTY = parseInt(process.env.INKTRUST_POW_MIN_DIFFICULTY, 10) || 16;
+
+// 最高难度，平均约420万次哈希，SDK在桌面浏览器中需要几秒，批量刷验证时每个会话都要付出同样的计算量
+const MAX_DIFFICULTY = parseInt(process.env.INKTRUST_POW_MAX_DIFFICULTY, 10) || 22;
+
+// 题目有效期（毫秒），默认2分钟
+const CHALLENGE_TTL = parseInt(process.env.INKTRUST_POW_TTL, 10) || 2 * 60 * 1000;
+
+// 每道题目允许提交的最大次数
+const MAX_ATTEMPTS = 3;
+
+// nonce的最大长度，避免客户端提交超长字符串
+const MAX_NONCE_LENGTH = 64;
+
+/**
+ * 根据风险计算难度
+ * 分数越接近挑战阈值（风险越高），难度越大；分数接近真人阈值时使用最低难度
+ * @param {number} score 验证分数
+ * @param {Object} thresholds 阈值
+ * @param {number} thresholds.verify 真人分数线
+ * @param {number} thresholds.challenge 挑战分数线
+ * @returns {number} 难度
+ */
+function getDifficulty(score, thresholds) {
+  const range = thresholds.verify - thresholds.challenge;
+  const risk = range > 0 ? (thresholds.verify - score) / range : 1;
+  const clampedRisk = Math.max(0, Math.min(1, risk));
+
+  return MIN_DIFFICULTY + Math.round(clampedRisk * (MAX_DIFFICULTY - MIN_DIFFICULTY));
+}
+
+/**
+ * 创建挑战题目（保存在会话中）
+ * @param {number} difficulty 难度
+ * @returns {Object} 挑战
+ */
+function createChallenge(difficulty) {
+  const issuedAt = Date.now();
+
+  return {
+    type: 'pow',
+    id: uuidv4(),
+    algorithm: 'SHA-256',
+    prefix: crypto.randomBytes(16).toString('hex'),
+    difficulty,
+    issuedAt,
+    expiresAt: issuedAt + CHALLENGE_TTL,
+    attempts: 0
+  };
+}
+
+/**
+ * 获取返回给客户端的挑战信息
+ */
+function toPublicChallenge(challenge) {
+  return {
+    type: challenge.type,
+    id: challenge.id,
+    algorithm: challenge.algorithm,
+    prefix: challenge.prefix,
+    difficulty: challenge.difficulty,
+    expiresAt: challenge.expiresAt
+  };
+}
+
+/**
+ * 检查挑战是否已过期
+ */
+function isExpired(challenge) {
+  return Date.now() > challenge.expiresAt;
+}
+
+/**
+ * 校验客户端提交的答案
+ * @param {Object} challenge 会话中保存的挑战
+ * @param {Object} solution 客户端提交的答案 { challengeId, nonce }
+ * @returns {Object} 校验结果，失败时包含错误码
+ */
+function verifySolution(challenge, solution) {
+  if (!solution || solution.challengeId !== challenge.id) {
+    return { valid: false, error: 'challenge-mismatch' };
+  }
+
+  if (isExpired(challenge)) {
+    return { valid: false, error: 'challenge-expired' };
+  }
+
+  return verifyNonce(challenge.prefix, challenge.difficulty, solution.nonce);
+}
+
+/**
+ * 校验nonce是否满足难度要求（交互挑战中的文字问答也使用）
+ * @param {string} prefix 题目前缀
+ * @param {number} difficulty 难度
+ * @param {string} nonce 客户端提交的nonce
+ * @returns {Object} 校验结果，失败时包含错误码
+ */
+function verifyNonce(prefix, difficulty, nonce) {
+  if (typeof nonce !== 'string' || nonce.length === 0 || nonce.length > MAX_NONCE_LENGTH) {
+    return { valid: false, error: 'invalid-nonce' };
+  }
+
+  const hash = crypto.createHash('sha256').update(`${prefix}:${nonce}`).digest();
+
+  if (countLeadingZeroBits(hash) < difficulty) {
+    return { valid: false, error: 'insufficient-work' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 计算哈希的前导零比特数
+ */
+function countLeadingZeroBits(hash) {
+  let bits = 0;
+
+  for (const byte of hash) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+
+  return bits;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  MIN_DIFFICULTY,
+  MAX_DIFFICULTY,
+  getDifficulty,
+  createChallenge,
+  toPublicChallenge,
+  isExpired,
+  verifySolution,
+  verifyNonce
+};
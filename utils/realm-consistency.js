@@ -0,0 +1,136 @@
+/**
+ * 跨环境一致性模块
+ * 比较SDK在专用Worker、共享Worker和沙箱iframe中收集的浏览器属性与主线程上报给 /init 的值，
+ * 伪造工具通常只修补主窗口，其他执行环境中仍然是真实的值
+ */
+const { createSignal } = require('./signals');
+
+// SDK收集属性的执行环境及名称
+const REALMS = {
+  worker: '专用Worker',
+  sharedWorker: '共享Worker',
+  iframe: 'iframe'
+};
+
+// 各属性不一致对应的信号
+const MISMATCH_SIGNALS = {
+  userAgent: { id: 'fingerprint.realm_user_agent_mismatch', points: -25, confidence: 0.85, name: '用户代理' },
+  platform: { id: 'fingerprint.realm_platform_mismatch', points: -20, confidence: 0.8, name: '平台' },
+  hardwareConcurrency: {
+    id: 'fingerprint.realm_hardware_concurrency_mismatch', points: -15, confidence: 0.8, name: '硬件并发数'
+  },
+  languages: { id: 'fingerprint.realm_languages_mismatch', points: -10, confidence: 0.7, name: '语言列表' },
+  timezone: { id: 'fingerprint.realm_timezone_mismatch', points: -20, confidence: 0.8, name: '时区' },
+  webglRenderer: { id: 'fingerprint.realm_webgl_renderer_mismatch', points: -20, confidence: 0.75, name: 'WebGL渲染器' }
+};
+
+// 字符串和列表的长度上限
+const MAX_STRING_LENGTH = 512;
+const MAX_LIST_SIZE = 30;
+
+/**
+ * 校验并规范化SDK上报的各环境属性
+ * @param {Object} raw 请求体中的realms
+ * @returns {Object|null} { worker, sharedWorker, iframe }，未收集到的环境为null，全部为空时返回null
+ */
+function normalizeRealms(raw) {
+  if (!isObject(raw)) return null;
+
+  const realms = {};
+  for (const realm of Object.keys(REALMS)) {
+    realms[realm] = isObject(raw[realm]) ? normalizeSnapshot(raw[realm]) : null;
+  }
+
+  return Object.values(realms).some(Boolean) ? realms : null;
+}
+
+function normalizeSnapshot(snapshot) {
+  return {
+    userAgent: toStringOrNull(snapshot.userAgent),
+    platform: toStringOrNull(snapshot.platform),
+    hardwareConcurrency: Number.isInteger(snapshot.hardwareConcurrency) && snapshot.hardwareConcurrency > 0 ?
+      snapshot.hardwareConcurrency : null,
+    languages: Array.isArray(snapshot.languages) ?
+      snapshot.languages.filter(item => typeof item === 'string').slice(0, MAX_LIST_SIZE).map(item => item.slice(0, 35)) :
+      null,
+    timezone: toStringOrNull(snapshot.timezone),
+    webglRenderer: toStringOrNull(snapshot.webglRenderer)
+  };
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toStringOrNull(value) {
+  return typeof value === 'string' && value ? value.slice(0, MAX_STRING_LENGTH) : null;
+}
+
+/**
+ * 获取主线程上报的属性
+ * 用户代理优先使用SDK读取的navigator.userAgent，WebGL渲染器优先使用实际的GPU渲染器
+ */
+function getMainValues(clientInfo) {
+  const navigator = clientInfo.probes ? clientInfo.probes.navigator : {};
+
+  return {
+    userAgent: navigator.userAgent || clientInfo.userAgent || null,
+    platform: clientInfo.platform || null,
+    hardwareConcurrency: clientInfo.hardwareConcurrency || null,
+    languages: navigator.languages || null,
+    timezone: clientInfo.timezone || null,
+    webglRenderer: clientInfo.webglUnmaskedRenderer || clientInfo.webglRenderer || null
+  };
+}
+
+/**
+ * 比较各环境的属性与主线程的值，两边都有值时才比较
+ * @param {Object} clientInfo 客户端信息，realms为 /init 时规范化的结果
+ * @returns {Object} 检查结果：
+ *   - checkedRealms: 收集到属性的环境
+ *   - mismatches: 不一致的属性 [{ field, realm, main, value }]
+ *   - signals: 每个不一致的属性对应一个信号
+ */
+function checkRealmConsistency(clientInfo) {
+  const result = { checkedRealms: [], mismatches: [], signals: [] };
+  const realms = clientInfo && clientInfo.realms;
+
+  if (!realms) return result;
+
+  const main = getMainValues(clientInfo);
+
+  for (const realm of Object.keys(REALMS)) {
+    const snapshot = realms[realm];
+    if (!snapshot) continue;
+
+    result.checkedRealms.push(realm);
+
+    for (const field of Object.keys(MISMATCH_SIGNALS)) {
+      const mainValue = main[field];
+      const value = snapshot[field];
+      if (mainValue === null || mainValue === undefined || value === null) continue;
+
+      if (String(mainValue) !== String(value)) {
+        result.mismatches.push({ field, realm, main: mainValue, value });
+      }
+    }
+  }
+
+  for (const [field, rule] of Object.entries(MISMATCH_SIGNALS)) {
+    const mismatches = result.mismatches.filter(mismatch => mismatch.field === field);
+    if (mismatches.length === 0) continue;
+
+    result.signals.push(createSignal(rule.id, 'fingerprint', rule.points, {
+      confidence: rule.confidence,
+      description: `${rule.name}在${mismatches.map(mismatch => REALMS[mismatch.realm]).join('、')}中与主线程不一致`
+    }));
+  }
+
+  return result;
+}
+
+module.exports = {
+  REALMS,
+  normalizeRealms,
+  checkRealmConsistency
+};
@@ -0,0 +1,213 @@
+/**
+ * 信誉分析模块
+ * 跨会话记录设备指纹哈希、IP和网段的历史（会话数、判定结果、首次/最后出现时间、
+ * 设备对应的IP数和IP对应的设备数），从中发现高频会话、设备在大量IP间切换等异常，
+ * 以及长期没有被拒绝记录的设备
+ */
+const { createSignal } = require('./signals');
+
+// 统计使用的滑动窗口
+const WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// 频率规则：按一小时内的统计值从高到低匹配第一个等级
+const VELOCITY_RULES = [
+  {
+    id: 'reputation.device_velocity',
+    subject: 'device',
+    feature: 'sessionsLastHour',
+    levels: [{ min: 100, points: -35, confidence: 0.85 }, { min: 20, points: -20, confidence: 0.6 }],
+    description: count => `同一设备一小时内发起了${count}个会话`
+  },
+  {
+    id: 'reputation.device_ip_spread',
+    subject: 'device',
+    feature: 'distinctIpsLastHour',
+    levels: [{ min: 20, points: -35, confidence: 0.85 }, { min: 5, points: -20, confidence: 0.6 }],
+    description: count => `同一设备一小时内使用了${count}个IP`
+  },
+  {
+    id: 'reputation.ip_velocity',
+    subject: 'ip',
+    feature: 'sessionsLastHour',
+    levels: [{ min: 200, points: -20, confidence: 0.6 }, { min: 50, points: -10, confidence: 0.4 }],
+    description: count => `同一IP一小时内发起了${count}个会话`
+  },
+  {
+    // 公司网络和运营商NAT后面可能有很多真实用户，扣分较轻
+    id: 'reputation.ip_device_spread',
+    subject: 'ip',
+    feature: 'distinctDevicesLastHour',
+    levels: [{ min: 50, points: -20, confidence: 0.6 }, { min: 10, points: -10, confidence: 0.4 }],
+    description: count => `同一IP一小时内出现了${count}个设备`
+  },
+  {
+    id: 'reputation.subnet_device_spread',
+    subject: 'subnet',
+    feature: 'distinctDevicesLastHour',
+    levels: [{ min: 200, points: -15, confidence: 0.5 }, { min: 50, points: -5, confidence: 0.3 }],
+    description: count => `同一网段一小时内出现了${count}个设备`
+  }
+];
+
+// 被拒绝的历史：被拒绝次数达到下限且多于通过次数
+const REJECTED_HISTORY = {
+  device: { min: 3, points: -20, confidence: 0.7 },
+  ip: { min: 10, points: -10, confidence: 0.4 }
+};
+
+// 良好的历史：设备首次出现足够久，通过次数达到下限且从未被拒绝
+const CLEAN_HISTORY = {
+  minVerified: 5,
+  minAge: 7 * 24 * 60 * 60 * 1000,
+  points: 15,
+  confidence: 0.6
+};
+
+/**
+ * 获取会话的信誉主体
+ * 设备只在客户端上报了指纹时记录：没有任何指纹信息的客户端会算出相同的指纹哈希，
+ * 合并到同一个设备上会被误判为高频设备
+ */
+function getSubjects(session) {
+  const { siteKey, clientInfo, binding } = session;
+  const fingerprint = session.analysis.fingerprint;
+  const hasFingerprint = !!(clientInfo.fingerprint || clientInfo.canvasFingerprint ||
+    clientInfo.webglFingerprint || clientInfo.audioFingerprint);
+  const device = fingerprint && fingerprint.fingerprint && hasFingerprint ? fingerprint.fingerprint : null;
+  const ip = binding ? binding.ip : clientInfo.ip;
+  const subnet = binding ? binding.subnet : null;
+  const subjects = [];
+
+  // 设备关联IP，IP和网段关联设备
+  if (device) subjects.push({ type: 'device', key: `${siteKey}:device:${device}`, linked: ip });
+  if (ip) subjects.push({ type: 'ip', key: `${siteKey}:ip:${ip}`, linked: device });
+  if (subnet) subjects.push({ type: 'subnet', key: `${siteKey}:subnet:${subnet}`, linked: device });
+
+  return subjects;
+}
+
+/**
+ * 记录新会话并返回各主体的历史特征（包括当前会话）
+ * 需要在指纹分析之后调用
+ * @param {Object} session 会话
+ * @param {number} now 当前时间
+ * @returns {Promise<Object>} 特征 { observedAt, device, ip, subnet }，没有对应主体时为null
+ */
+async function observe(session, now = Date.now()) {
+  const subjects = getSubjects(session);
+  const features = { observedAt: now, device: null, ip: null, subnet: null };
+
+  const summaries = await Promise.all(subjects.map(subject => {
+    return getStore().recordSession(subject.key, {
+      sessionId: session.id,
+      linked: subject.linked,
+      at: now
+    }, WINDOWS);
+  }));
+
+  subjects.forEach((subject, index) => {
+    features[subject.type] = toFeatures(subject.type, summaries[index]);
+  });
+
+  return features;
+}
+
+/**
+ * 将存储的统计转换为特征，关联数按主体类型命名
+ */
+function toFeatures(type, summary) {
+  const linkedName = type === 'device' ? 'distinctIps' : 'distinctDevices';
+
+  return {
+    firstSeen: summary.firstSeen,
+    lastSeen: summary.lastSeen,
+    sessionCount: summary.sessionCount,
+    verified: summary.verified,
+    rejected: summary.rejected,
+    sessionsLastHour: summary.sessions.hour,
+    sessionsLastDay: summary.sessions.day,
+    [`${linkedName}LastHour`]: summary.linked.hour,
+    [`${linkedName}LastDay`]: summary.linked.day
+  };
+}
+
+/**
+ * 根据历史特征分析信誉
+ * @param {Object} features observe() 返回的特征
+ * @returns {Object} 分析结果
+ */
+function analyzeReputation(features) {
+  const result = {
+    score: 50, // 0-100，越高越可能是真实用户，没有历史时为50
+    reasons: [],
+    features,
+    signals: [] // 标准化信号，分值为相对基础分50的增减
+  };
+
+  const addSignal = (id, points, confidence, description) => {
+    result.signals.push(createSignal(id, 'reputation', points, { confidence, description }));
+    result.score += points;
+
+    if (points < 0) {
+      result.reasons.push(description);
+    }
+  };
+
+  for (const rule of VELOCITY_RULES) {
+    const subject = features[rule.subject];
+    const value = subject ? subject[rule.feature] : 0;
+    const level = rule.levels.find(item => value >= item.min);
+
+    if (level) {
+      addSignal(rule.id, level.points, level.confidence, rule.description(value));
+    }
+  }
+
+  for (const [type, rule] of Object.entries(REJECTED_HISTORY)) {
+    const subject = features[type];
+
+    if (subject && subject.rejected >= rule.min && subject.rejected > subject.verified) {
+      const name = type === 'device' ? '该设备' : '该IP';
+      addSignal(`reputation.${type}_rejected_history`, rule.points, rule.confidence,
+        `${name}此前被拒绝了${subject.rejected}次`);
+    }
+  }
+
+  const device = features.device;
+  if (device && device.rejected === 0 && device.verified >= CLEAN_HISTORY.minVerified &&
+      features.observedAt - device.firstSeen >= CLEAN_HISTORY.minAge) {
+    addSignal('reputation.device_clean_history', CLEAN_HISTORY.points, CLEAN_HISTORY.confidence,
+      `该设备${Math.floor((features.observedAt - device.firstSeen) / WINDOWS.day)}天内通过了${device.verified}次验证且从未被拒绝`);
+  }
+
+  result.score = Math.max(0, Math.min(100, result.score));
+
+  return result;
+}
+
+/**
+ * 记录会话的最终判定（verified或rejected），用于之后的会话
+ * 写入失败只输出错误，不影响验证流程
+ */
+function recordVerdict(session, outcome, now = Date.now()) {
+  return Promise.all(getSubjects(session).map(subject => {
+    return getStore().recordVerdict(subject.key, outcome, now);
+  })).catch(error => console.error('记录信誉判定错误:', error));
+}
+
+/**
+ * 按需加载信誉存储，离线评估只使用录制的特征，不需要连接存储
+ */
+function getStore() {
+  return require('./reputation-store').reputationStore;
+}
+
+module.exports = {
+  WINDOWS,
+  observe,
+  analyzeReputation,
+  recordVerdict
+};
@@ -0,0 +1,62 @@
+/**
+ * 信誉存储模块
+ * 按主体（设备指纹哈希、IP、网段）记录跨会话的历史，所有后端实现相同的异步接口：
+ * recordSession(key, observation, windows)、recordVerdict(key, outcome, at)、get(key, windows, now)
+ */
+
+// 主体最后一次出现后保留的时间（毫秒），默认30天
+const REPUTATION_TTL = parseInt(process.env.INKTRUST_REPUTATION_TTL, 10) || 30 * 24 * 60 * 60 * 1000;
+
+// 最长的滑动窗口（毫秒），与信誉分析使用的最长窗口一致
+const MAX_WINDOW = 24 * 60 * 60 * 1000;
+
+// 每个主体最多保存的会话和关联记录数量，超出后窗口内的计数不再增长
+const MAX_ENTRIES = 1000;
+
+/**
+ * 创建信誉存储
+ * @param {Object} options 存储选项
+ * @param {string} options.type 存储类型：memory或redis
+ * @returns {Object} 信誉存储实例
+ */
+function createReputationStore(options = {}) {
+  const type = options.type || 'memory';
+  const settings = {
+    ttl: options.ttl || REPUTATION_TTL,
+    window: MAX_WINDOW,
+    maxEntries: MAX_ENTRIES
+  };
+
+  switch (type) {
+    case 'memory': {
+      const MemoryReputationStore = require('./memory-store');
+      return new MemoryReputationStore(settings);
+    }
+    case 'redis': {
+      // 按需加载，未使用Redis时不需要连接
+      const RedisReputationStore = require('./redis-store');
+      return new RedisReputationStore({
+        ...settings,
+        url: options.url,
+        prefix: options.prefix
+      });
+    }
+    default:
+      throw new Error(`未知的信誉存储类型: ${type}`);
+  }
+}
+
+// 根据环境变量创建的默认信誉存储，未指定类型时会话存储使用Redis则同样使用Redis
+const reputationStore = createReputationStore({
+  type: process.env.INKTRUST_REPUTATION_STORE ||
+    (process.env.INKTRUST_SESSION_STORE === 'redis' ? 'redis' : 'memory'),
+  url: process.env.INKTRUST_REDIS_URL,
+  prefix: process.env.INKTRUST_REDIS_PREFIX
+});
+
+module.exports = {
+  REPUTATION_TTL,
+  MAX_WINDOW,
+  createReputationStore,
+  reputationStore
+};
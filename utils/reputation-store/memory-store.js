@@ -0,0 +1,165 @@
+/**
+ * 内存信誉存储
+ * 适用于本地开发和单实例部署，进程重启后数据丢失
+ */
+
+class MemoryReputationStore {
+  /**
+   * @param {Object} options 存储选项
+   * @param {number} options.ttl 主体最后一次出现后保留的时间（毫秒）
+   * @param {number} options.window 最长的滑动窗口（毫秒），更早的会话和关联记录会被清理
+   * @param {number} options.maxEntries 每个主体最多保存的会话和关联记录数量
+   * @param {number} options.sweepInterval 清理过期数据的间隔（毫秒）
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl;
+    this.window = options.window;
+    this.maxEntries = options.maxEntries;
+    this.subjects = new Map();
+
+    // 定期清理过期数据，不阻止进程退出
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepInterval || 60 * 60 * 1000);
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  /**
+   * 记录主体发起的一个会话
+   * @param {string} key 主体键，例如 <站点>:device:<指纹哈希>
+   * @param {Object} observation 观测
+   * @param {string} observation.sessionId 会话ID
+   * @param {string|null} observation.linked 关联的值（设备关联IP，IP和网段关联设备）
+   * @param {number} observation.at 时间
+   * @param {Object} windows 统计的滑动窗口 { 名称: 毫秒 }
+   * @returns {Promise<Object>} 记录后的统计
+   */
+  async recordSession(key, observation, windows) {
+    const subject = this._getOrCreate(key, observation.at);
+
+    subject.lastSeen = observation.at;
+    subject.sessionCount++;
+    touch(subject.sessions, observation.sessionId, observation.at, this.maxEntries);
+
+    if (observation.linked) {
+      touch(subject.linked, observation.linked, observation.at, this.maxEntries);
+    }
+
+    this._prune(subject, observation.at);
+
+    return this._summarize(subject, windows, observation.at);
+  }
+
+  /**
+   * 记录主体的一次判定结果
+   */
+  async recordVerdict(key, outcome, at) {
+    const subject = this._getOrCreate(key, at);
+
+    subject.verdicts[outcome] = (subject.verdicts[outcome] || 0) + 1;
+    subject.lastVerdict = { outcome, at };
+    subject.expiresAt = at + this.ttl;
+  }
+
+  /**
+   * 获取主体的统计，不存在时返回null
+   */
+  async get(key, windows, now = Date.now()) {
+    const subject = this.subjects.get(key);
+
+    if (!subject || subject.expiresAt <= now) return null;
+
+    return this._summarize(subject, windows, now);
+  }
+
+  /**
+   * 清理过期数据
+   */
+  sweep() {
+    const now = Date.now();
+
+    for (const [key, subject] of this.subjects) {
+      if (subject.expiresAt <= now) {
+        this.subjects.delete(key);
+      } else {
+        this._prune(subject, now);
+      }
+    }
+  }
+
+  _getOrCreate(key, at) {
+    let subject = this.subjects.get(key);
+
+    if (!subject || subject.expiresAt <= at) {
+      subject = {
+        firstSeen: at,
+        lastSeen: at,
+        sessionCount: 0,
+        verdicts: {},
+        lastVerdict: null,
+        sessions: new Map(),
+        linked: new Map(),
+        expiresAt: at + this.ttl
+      };
+      this.subjects.set(key, subject);
+    }
+
+    subject.expiresAt = at + this.ttl;
+    return subject;
+  }
+
+  /**
+   * 清理超出最长窗口的会话和关联记录
+   */
+  _prune(subject, now) {
+    for (const entries of [subject.sessions, subject.linked]) {
+      for (const [value, at] of entries) {
+        // Map按最后一次出现的时间排列，遇到窗口内的记录即可停止
+        if (at > now - this.window) break;
+        entries.delete(value);
+      }
+    }
+  }
+
+  _summarize(subject, windows, now) {
+    const summary = {
+      firstSeen: subject.firstSeen,
+      lastSeen: subject.lastSeen,
+      sessionCount: subject.sessionCount,
+      verified: subject.verdicts.verified || 0,
+      rejected: subject.verdicts.rejected || 0,
+      lastVerdict: subject.lastVerdict,
+      sessions: {},
+      linked: {}
+    };
+
+    for (const [name, duration] of Object.entries(windows)) {
+      summary.sessions[name] = countSince(subject.sessions, now - duration);
+      summary.linked[name] = countSince(subject.linked, now - duration);
+    }
+
+    return summary;
+  }
+}
+
+/**
+ * 更新值的最后出现时间并移到末尾，超过数量上限时删除最早的记录
+ */
+function touch(entries, value, at, maxEntries) {
+  entries.delete(value);
+  entries.set(value, at);
+
+  if (entries.size > maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+function countSince(entries, since) {
+  let count = 0;
+
+  for (const at of entries.values()) {
+    if (at > since) count++;
+  }
+
+  return count;
+}
+
+module.exports = MemoryReputationStore;
@@ -0,0 +1,131 @@
+/**
+ * Redis信誉存储
+ * 适用于无服务器和多实例部署。每个主体使用三个键：
+ * - stats: 哈希，保存首次/最后出现时间、会话总数和判定次数
+ * - sessions: 有序集合，成员为会话ID，分数为发起时间
+ * - linked: 有序集合，成员为关联的值，分数为最后一次出现的时间
+ * 所有修改都在同一个MULTI中执行，不需要读取后再写回
+ */
+const Redis = require('ioredis');
+
+class RedisReputationStore {
+  /**
+   * @param {Object} options 存储选项
+   * @param {string} options.url 连接地址
+   * @param {string} options.prefix 键前缀
+   * @param {number} options.ttl 主体最后一次出现后保留的时间（毫秒）
+   * @param {number} options.window 最长的滑动窗口（毫秒）
+   * @param {number} options.maxEntries 每个主体最多保存的会话和关联记录数量
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl;
+    this.window = options.window;
+    this.maxEntries = options.maxEntries;
+    this.prefix = `${options.prefix || 'inktrust:'}reputation:`;
+    this.client = options.client || new Redis(options.url || 'redis://127.0.0.1:6379');
+
+    this.client.on('error', error => console.error('Redis连接错误:', error.message));
+  }
+
+  /**
+   * 记录主体发起的一个会话
+   * @returns {Promise<Object>} 记录后的统计
+   */
+  async recordSession(key, observation, windows) {
+    const { statsKey, sessionsKey, linkedKey } = this._keys(key);
+    const { sessionId, linked, at } = observation;
+    const multi = this.client.multi()
+      .hsetnx(statsKey, 'firstSeen', at)
+      .hset(statsKey, 'lastSeen', at)
+      .hincrby(statsKey, 'sessionCount', 1)
+      .zadd(sessionsKey, at, sessionId);
+
+    if (linked) {
+      multi.zadd(linkedKey, at, linked);
+    }
+
+    for (const setKey of [sessionsKey, linkedKey]) {
+      multi
+        .zremrangebyscore(setKey, '-inf', at - this.window)
+        .zremrangebyrank(setKey, 0, -this.maxEntries - 1)
+        .pexpire(setKey, this.ttl);
+    }
+
+    multi.pexpire(statsKey, this.ttl);
+    await exec(multi);
+
+    return this.get(key, windows, at);
+  }
+
+  /**
+   * 记录主体的一次判定结果
+   */
+  async recordVerdict(key, outcome, at) {
+    const { statsKey } = this._keys(key);
+
+    await exec(this.client.multi()
+      .hincrby(statsKey, outcome, 1)
+      .hset(statsKey, 'lastVerdict', JSON.stringify({ outcome, at }))
+      .hsetnx(statsKey, 'firstSeen', at)
+      .pexpire(statsKey, this.ttl));
+  }
+
+  /**
+   * 获取主体的统计，不存在时返回null
+   */
+  async get(key, windows, now = Date.now()) {
+    const { statsKey, sessionsKey, linkedKey } = this._keys(key);
+    const names = Object.keys(windows);
+    const multi = this.client.multi().hgetall(statsKey);
+
+    for (const name of names) {
+      multi
+        .zcount(sessionsKey, `(${now - windows[name]}`, '+inf')
+        .zcount(linkedKey, `(${now - windows[name]}`, '+inf');
+    }
+
+    const [stats, ...counts] = await exec(multi);
+
+    if (!stats || Object.keys(stats).length === 0) return null;
+
+    const summary = {
+      firstSeen: Number(stats.firstSeen),
+      lastSeen: stats.lastSeen ? Number(stats.lastSeen) : Number(stats.firstSeen),
+      sessionCount: Number(stats.sessionCount || 0),
+      verified: Number(stats.verified || 0),
+      rejected: Number(stats.rejected || 0),
+      lastVerdict: stats.lastVerdict ? JSON.parse(stats.lastVerdict) : null,
+      sessions: {},
+      linked: {}
+    };
+
+    names.forEach((name, index) => {
+      summary.sessions[name] = counts[index * 2];
+      summary.linked[name] = counts[index * 2 + 1];
+    });
+
+    return summary;
+  }
+
+  _keys(key) {
+    return {
+      statsKey: `${this.prefix}${key}:stats`,
+      sessionsKey: `${this.prefix}${key}:sessions`,
+      linkedKey: `${this.prefix}${key}:linked`
+    };
+  }
+}
+
+/**
+ * 执行MULTI并返回各命令的结果，任一命令失败时抛出错误
+ */
+async function exec(multi) {
+  const results = await multi.exec();
+
+  return results.map(([error, value]) => {
+    if (error) throw error;
+    return value;
+  });
+}
+
+module.exports = RedisReputationStore;
@@ -0,0 +1,182 @@
+/**
+ * 会话绑定模块
+ * 将会话绑定到调用 /init 的客户端（IP及所在网段、用户代理、基础指纹和会话密钥），
+ * 用于发现被转交给其他客户端的会话ID（例如人工打码平台预热会话后交给机器人使用）
+ */
+const crypto = require('crypto');
+const ipaddr = require('ipaddr.js');
+const { safeEqual } = require('./token-manager');
+const { createSignal } = require('./signals');
+
+// 网段前缀长度
+const IPV4_PREFIX_LENGTH = 24;
+const IPV6_PREFIX_LENGTH = 48;
+
+// 表明会话被转交给其他客户端的不匹配（同一网段内的IP变化可能是正常的网络切换）
+const STRONG_MISMATCHES = ['secret', 'subnet', 'userAgent', 'fingerprint'];
+
+// 会话中最多保存的违规记录数量
+const MAX_VIOLATIONS = 20;
+
+// 各类不匹配对应的信号
+const MISMATCH_SIGNALS = {
+  secret: { id: 'binding.secret_mismatch', points: -40, confidence: 0.95, description: '会话密钥缺失或不匹配' },
+  subnet: { id: 'binding.subnet_mismatch', points: -30, confidence: 0.8, description: '请求来自不同网段' },
+  ip: { id: 'binding.ip_changed', points: -5, confidence: 0.3, description: '同一网段内IP地址变化' },
+  userAgent: { id: 'binding.user_agent_mismatch', points: -30, confidence: 0.85, description: '用户代理与初始化时不一致' },
+  fingerprint: { id: 'binding.fingerprint_mismatch', points: -25, confidence: 0.7, description: '基础指纹缺失或与初始化时不一致' }
+};
+
+/**
+ * 创建会话绑定
+ * @param {string} ip 客户端IP
+ * @param {Object} clientInfo 客户端信息
+ * @returns {Object} 会话密钥（只返回给客户端一次）和保存在会话中的绑定信息
+ */
+function createBinding(ip, clientInfo) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    secret,
+    binding: {
+      secretHash: hash(secret),
+      ip: normalizeIp(ip),
+      subnet: getSubnet(ip),
+      userAgentHash: clientInfo.userAgent ? hash(clientInfo.userAgent) : null,
+      fingerprintHash: clientInfo.fingerprint ? hash(String(clientInfo.fingerprint)) : null
+    }
+  };
+}
+
+/**
+ * 检查请求是否来自绑定的客户端
+ * 会话密钥和基础指纹通过X-InkTrust-Session-Secret、X-InkTrust-Fingerprint请求头传递，
+ * sendBeacon请求无法设置请求头，使用请求体中的sessionSecret、fingerprint
+ * @param {Object} binding 会话绑定
+ * @param {Object} req Express请求对象
+ * @param {string} ip 请求的客户端IP
+ * @returns {Array} 不匹配的项目：secret、subnet、ip、userAgent、fingerprint
+ */
+function checkBinding(binding, req, ip) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const secret = req.headers['x-inktrust-session-secret'] || body.sessionSecret;
+  const fingerprint = req.headers['x-inktrust-fingerprint'] || body.fingerprint;
+  const userAgent = req.headers['user-agent'];
+  const mismatches = [];
+
+  if (!secret || !safeEqual(hash(String(secret)), binding.secretHash)) {
+    mismatches.push('secret');
+  }
+
+  const normalizedIp = normalizeIp(ip);
+  if (binding.ip && normalizedIp !== binding.ip) {
+    mismatches.push(getSubnet(ip) === binding.subnet ? 'ip' : 'subnet');
+  }
+
+  if (binding.userAgentHash && (!userAgent || hash(userAgent) !== binding.userAgentHash)) {
+    mismatches.push('userAgent');
+  }
+
+  if (binding.fingerprintHash && (!fingerprint || hash(String(fingerprint)) !== binding.fingerprintHash)) {
+    mismatches.push('fingerprint');
+  }
+
+  return mismatches;
+}
+
+/**
+ * 检查是否存在强不匹配
+ */
+function hasStrongMismatch(mismatches) {
+  return (mismatches || []).some(mismatch => STRONG_MISMATCHES.includes(mismatch));
+}
+
+/**
+ * 在会话中记录违规
+ * @param {Object} session 会话
+ * @param {string} route 请求的路由
+ * @param {Array} mismatches 不匹配的项目
+ */
+function recordViolation(session, route, mismatches) {
+  const violations = session.bindingViolations || [];
+
+  violations.push({ route, mismatches, at: Date.now() });
+  session.bindingViolations = violations.slice(-MAX_VIOLATIONS);
+  session.bindingViolationCount = (session.bindingViolationCount || 0) + 1;
+}
+
+/**
+ * 汇总会话的绑定检查结果，供评分策略使用
+ * @param {Object} session 会话
+ * @returns {Object} 各类不匹配是否出现过、违规次数及标准化信号
+ */
+function summarizeBinding(session) {
+  const mismatches = new Set();
+
+  for (const violation of session.bindingViolations || []) {
+    violation.mismatches.forEach(mismatch => mismatches.add(mismatch));
+  }
+
+  return {
+    bound: !!session.binding,
+    violationCount: session.bindingViolationCount || 0,
+    mismatches: Array.from(mismatches),
+    secretMismatch: mismatches.has('secret'),
+    subnetMismatch: mismatches.has('subnet'),
+    ipChanged: mismatches.has('ip'),
+    userAgentMismatch: mismatches.has('userAgent'),
+    fingerprintMismatch: mismatches.has('fingerprint'),
+    signals: Array.from(mismatches).map(mismatch => {
+      const definition = MISMATCH_SIGNALS[mismatch];
+      return createSignal(definition.id, 'binding', definition.points, {
+        confidence: definition.confidence,
+        description: definition.description
+      });
+    })
+  };
+}
+
+/**
+ * 标准化IP地址（IPv4映射的IPv6地址转换为IPv4）
+ */
+function normalizeIp(ip) {
+  if (!ip) return null;
+
+  try {
+    return ipaddr.process(ip).toString();
+  } catch (error) {
+    return String(ip);
+  }
+}
+
+/**
+ * 获取IP所在网段（IPv4为/24，IPv6为/48）
+ */
+function getSubnet(ip) {
+  if (!ip) return null;
+
+  try {
+    const address = ipaddr.process(ip);
+    const isIPv4 = address.kind() === 'ipv4';
+    const prefixLength = isIPv4 ? IPV4_PREFIX_LENGTH : IPV6_PREFIX_LENGTH;
+    const network = (isIPv4 ? ipaddr.IPv4 : ipaddr.IPv6)
+      .networkAddressFromCIDR(`${address.toString()}/${prefixLength}`);
+
+    return `${network.toString()}/${prefixLength}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+module.exports = {
+  createBinding,
+  checkBinding,
+  hasStrongMismatch,
+  recordViolation,
+  summarizeBinding,
+  getSubnet
+};
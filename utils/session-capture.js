@@ -0,0 +1,179 @@
+/**
+ * 会话录制模块
+ * 定义离线评估使用的录制格式（JSON Lines，每行一个会话），并负责在线录制和读取录制文件
+ *
+ * 录制记录结构：
+ * - version: 格式版本
+ * - sessionId / siteKey / createdAt: 会话基本信息
+ * - clientInfo: /init 收集的客户端信息（包括IP和请求头）
+ * - headers: 判定时请求的请求头
+ * - events: 按序列号排序的事件流 [{ seq, type, data, timestamp, receivedAt }]
+ * - telemetryRejections / bindingViolations: 被拒绝的事件批次和会话绑定违规
+ * - reputation: /init 时设备、IP和网段的历史特征（回放时无法重建，使用录制的值）
+ * - accessList: /init 时命中的站点名单
+ * - outcome / score / reasons / policyVersion: 录制时的判定结果
+ * - label: 人工标注（human或bot），未标注时为null
+ * - note: 标注备注
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const behaviorAnalyzer = require('./behavior-analyzer');
+
+// 录制格式版本
+const CAPTURE_VERSION = 1;
+
+// 支持的标注
+const LABELS = ['human', 'bot'];
+
+// 在线录制文件，未配置时不录制
+const CAPTURE_FILE = process.env.INKTRUST_CAPTURE_FILE || null;
+
+// 写入队列，保证同一进程内的记录按顺序写入
+let writeQueue = Promise.resolve();
+
+/**
+ * 将会话转换为录制记录
+ * @param {Object} session 会话
+ * @param {Object} options 可选字段
+ * @param {Object} options.headers 判定时请求的请求头，默认使用 /init 的请求头
+ * @param {string} options.label 标注
+ * @param {string} options.note 标注备注
+ * @returns {Object} 录制记录
+ */
+function toCaptureRecord(session, options = {}) {
+  return {
+    version: CAPTURE_VERSION,
+    sessionId: session.id,
+    siteKey: session.siteKey,
+    createdAt: session.createdAt,
+    capturedAt: session.verifiedAt || Date.now(),
+    clientInfo: session.clientInfo,
+    headers: options.headers || session.clientInfo.headers || {},
+    // 事件的请求头与会话的请求头基本相同，不重复保存
+    events: behaviorAnalyzer.orderEvents(session.events).map(({ headers, ...event }) => event),
+    binding: session.binding || null,
+    bindingViolations: session.bindingViolations || [],
+    bindingViolationCount: session.bindingViolationCount || 0,
+    telemetryRejections: session.telemetryRejections || [],
+    reputation: session.analysis.reputation ? session.analysis.reputation.features : null,
+    accessList: session.accessList || null,
+    outcome: session.status,
+    score: typeof session.verificationScore === 'number' ? session.verificationScore : null,
+    reasons: getReasons(session),
+    policyVersion: session.policyVersion || null,
+    label: options.label || null,
+    note: options.note || null
+  };
+}
+
+/**
+ * 获取会话的判定原因
+ * /verify 的判定保存完整的原因列表，提前拒绝和挑战失败只有一条拒绝原因
+ */
+function getReasons(session) {
+  if (session.verificationReasons) return session.verificationReasons;
+
+  return session.rejectionReason ? [session.rejectionReason] : [];
+}
+
+/**
+ * 从录制记录还原待验证的会话和判定时的请求
+ * @param {Object} record 录制记录
+ * @returns {Object} { session, req }
+ */
+function fromCaptureRecord(record) {
+  if (record.version !== CAPTURE_VERSION) {
+    throw new Error(`不支持的录制格式版本: ${record.version}`);
+  }
+
+  const session = {
+    id: record.sessionId,
+    siteKey: record.siteKey,
+    createdAt: record.createdAt,
+    status: 'pending',
+    binding: record.binding,
+    bindingViolations: record.bindingViolations,
+    bindingViolationCount: record.bindingViolationCount,
+    telemetryRejections: record.telemetryRejections,
+    accessList: record.accessList || null,
+    clientInfo: record.clientInfo,
+    events: record.events,
+    analysis: {
+      automation: null,
+      behavior: null,
+      network: null,
+      fingerprint: null,
+      reputation: null
+    }
+  };
+
+  // 网络分析从请求头和连接中解析客户端IP，较早的录制没有对端地址，使用客户端IP代替
+  const remoteAddress = record.clientInfo.remoteAddress || record.clientInfo.ip;
+  const req = {
+    headers: record.headers,
+    body: {},
+    connection: { remoteAddress },
+    socket: { remoteAddress }
+  };
+
+  return { session, req };
+}
+
+/**
+ * 在线录制会话（配置INKTRUST_CAPTURE_FILE时）
+ * 写入失败只输出错误，不影响验证流程
+ */
+function record(session, headers) {
+  if (!CAPTURE_FILE) return Promise.resolve();
+
+  const line = `${JSON.stringify(toCaptureRecord(session, { headers }))}\n`;
+
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(CAPTURE_FILE), { recursive: true });
+      await fs.promises.appendFile(CAPTURE_FILE, line, { mode: 0o600 });
+    })
+    .catch(error => console.error('写入会话录制错误:', error));
+
+  return writeQueue;
+}
+
+/**
+ * 逐条读取录制文件
+ * @param {string} filePath 录制文件路径
+ * @param {Object} options 读取选项
+ * @param {boolean} options.skipInvalid 跳过无效的行（写入中断产生的不完整行），默认报错
+ * @returns {AsyncGenerator<Object>} 录制记录
+ */
+async function* readCaptures(filePath, options = {}) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      if (options.skipInvalid) continue;
+      throw new Error(`${filePath} 第${lineNumber}行不是有效的JSON: ${error.message}`);
+    }
+
+    yield entry;
+  }
+}
+
+module.exports = {
+  CAPTURE_VERSION,
+  LABELS,
+  toCaptureRecord,
+  fromCaptureRecord,
+  record,
+  readCaptures
+};
@@ -0,0 +1,339 @@
+/**
+ * 文件会话存储
+ * 每个会话的数据保存为目录中的一个JSON文件，事件以JSON Lines格式追加到单独的文件（<会话ID>.events.jsonl）。
+ * 事件通过O_APPEND追加，同一台机器上的多个进程并发上报事件不会互相覆盖，保存会话数据也不会覆盖事件；
+ * 会话数据仍然是最后一次保存为准。NFS等网络文件系统不保证追加的原子性，多实例部署请使用Redis存储
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+// 事件文件的后缀
+const EVENTS_SUFFIX = '.events.jsonl';
+
+// 允许作为文件名的键（防止路径穿越）
+const SAFE_KEY_PATTERN = /^[A-Za-z0-9_.:-]+$/;
+
+class FileSessionStore {
+  /**
+   * @param {Object} options 存储选项
+   * @param {string} options.directory 数据目录
+   * @param {number} options.ttl 默认过期时间（毫秒）
+   * @param {number} options.sweepInterval 清理过期文件的间隔（毫秒）
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl;
+    this.sessionsDir = path.join(options.directory, 'sessions');
+    this.claimsDir = path.join(options.directory, 'claims');
+    this.recordsDir = path.join(options.directory, 'records');
+    this.ready = Promise.all([
+      fs.mkdir(this.sessionsDir, { recursive: true }),
+      fs.mkdir(this.claimsDir, { recursive: true }),
+      fs.mkdir(this.recordsDir, { recursive: true })
+    ]);
+
+    // 定期清理过期文件，不阻止进程退出
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => console.error('清理过期会话文件错误:', error));
+    }, options.sweepInterval || 60 * 60 * 1000);
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  /**
+   * 获取会话
+   */
+  async get(sessionId) {
+    if (!isSafeKey(sessionId)) return null;
+
+    const entry = await this._read(this._sessionPath(sessionId));
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.expire(sessionId);
+      return null;
+    }
+
+    entry.session.events = await this._readEvents(sessionId);
+    return entry.session;
+  }
+
+  /**
+   * 保存会话并刷新过期时间（事件列表只通过appendEvents修改）
+   */
+  async put(session, ttl = this.ttl) {
+    const { events, ...data } = session;
+
+    await this._write(this._sessionPath(session.id), {
+      session: data,
+      expiresAt: Date.now() + ttl
+    });
+  }
+
+  /**
+   * 向会话追加一批事件，整批通过一次写入追加
+   * @returns {boolean} 是否已追加，会话不存在时返回false
+   */
+  async appendEvents(sessionId, events) {
+    if (!isSafeKey(sessionId)) return false;
+
+    const entry = await this._read(this._sessionPath(sessionId));
+
+    if (!entry || entry.expiresAt <= Date.now()) return false;
+
+    const lines = events.map(event => `${JSON.stringify(event)}\n`).join('');
+    await fs.appendFile(this._eventsPath(sessionId), lines);
+
+    return true;
+  }
+
+  /**
+   * 删除会话
+   */
+  async expire(sessionId) {
+    if (!isSafeKey(sessionId)) return;
+
+    await this._remove(this._sessionPath(sessionId));
+    await this._remove(this._eventsPath(sessionId));
+  }
+
+  /**
+   * 占用一个一次性标记（例如已兑换的令牌）
+   * @returns {boolean} 是否为首次占用
+   */
+  async claim(key, ttl) {
+    await this.ready;
+    const filePath = this._claimPath(key);
+    const content = JSON.stringify({ expiresAt: Date.now() + ttl });
+
+    try {
+      // wx标志保证只有一个写入者能创建文件
+      await fs.writeFile(filePath, content, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    // 已存在的标记过期后允许重新占用
+    const entry = await this._read(filePath);
+    if (entry && entry.expiresAt > Date.now()) {
+      return false;
+    }
+
+    await this._remove(filePath);
+    return this.claim(key, ttl);
+  }
+
+  /**
+   * 列出所有未过期的会话
+   */
+  async list() {
+    await this.ready;
+    const now = Date.now();
+    const result = [];
+
+    for (const fileName of await fs.readdir(this.sessionsDir)) {
+      if (!fileName.endsWith('.json')) continue;
+
+      const entry = await this._read(path.join(this.sessionsDir, fileName));
+      if (entry && entry.expiresAt > now) {
+        result.push(entry.session);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取记录
+   * @param {string} namespace 命名空间
+   * @param {string} id 记录ID
+   */
+  async getRecord(namespace, id) {
+    if (!isSafeKey(namespace) || !isSafeKey(id)) return null;
+
+    const entry = await this._read(this._recordPath(namespace, id));
+
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+
+    return entry.record;
+  }
+
+  /**
+   * 保存记录（以record.id为键）并刷新过期时间
+   */
+  async putRecord(namespace, record, ttl = this.ttl) {
+    const filePath = this._recordPath(namespace, record.id);
+
+    await this.ready;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await this._write(filePath, {
+      record,
+      expiresAt: Date.now() + ttl
+    });
+  }
+
+  /**
+   * 删除记录
+   */
+  async deleteRecord(namespace, id) {
+    if (!isSafeKey(namespace) || !isSafeKey(id)) return;
+
+    await this._remove(this._recordPath(namespace, id));
+  }
+
+  /**
+   * 列出命名空间中所有未过期的记录
+   */
+  async listRecords(namespace) {
+    await this.ready;
+    const dir = path.join(this.recordsDir, assertSafeKey(namespace));
+    const now = Date.now();
+    const result = [];
+    let fileNames;
+
+    try {
+      fileNames = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    for (const fileName of fileNames) {
+      if (!fileName.endsWith('.json')) continue;
+
+      const entry = await this._read(path.join(dir, fileName));
+      if (entry && entry.expiresAt > now) {
+        result.push(entry.record);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 清理过期文件
+   */
+  async sweep() {
+    await this.ready;
+    const now = Date.now();
+    const recordDirs = (await fs.readdir(this.recordsDir)).map(namespace => path.join(this.recordsDir, namespace));
+
+    for (const dir of [this.sessionsDir, this.claimsDir, ...recordDirs]) {
+      for (const fileName of await fs.readdir(dir)) {
+        const filePath = path.join(dir, fileName);
+
+        // 会话文件已被删除的事件文件
+        if (fileName.endsWith(EVENTS_SUFFIX)) {
+          const sessionPath = path.join(dir, `${fileName.slice(0, -EVENTS_SUFFIX.length)}.json`);
+          if (!await this._read(sessionPath)) {
+            await this._remove(filePath);
+          }
+          continue;
+        }
+
+        if (!fileName.endsWith('.json')) continue;
+
+        const entry = await this._read(filePath);
+
+        if (!entry || entry.expiresAt <= now) {
+          await this._remove(filePath);
+
+          if (dir === this.sessionsDir) {
+            await this._remove(path.join(dir, `${fileName.slice(0, -'.json'.length)}${EVENTS_SUFFIX}`));
+          }
+        }
+      }
+    }
+  }
+
+  _sessionPath(sessionId) {
+    return path.join(this.sessionsDir, `${assertSafeKey(sessionId)}.json`);
+  }
+
+  _eventsPath(sessionId) {
+    return path.join(this.sessionsDir, `${assertSafeKey(sessionId)}${EVENTS_SUFFIX}`);
+  }
+
+  _claimPath(key) {
+    return path.join(this.claimsDir, `${assertSafeKey(key)}.json`);
+  }
+
+  _recordPath(namespace, id) {
+    return path.join(this.recordsDir, assertSafeKey(namespace), `${assertSafeKey(id)}.json`);
+  }
+
+  async _read(filePath) {
+    await this.ready;
+
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * 读取会话的事件，跳过正在被其他进程写入的不完整行
+   */
+  async _readEvents(sessionId) {
+    let content;
+
+    try {
+      content = await fs.readFile(this._eventsPath(sessionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const events = [];
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        continue;
+      }
+    }
+
+    return events;
+  }
+
+  async _write(filePath, data) {
+    await this.ready;
+
+    // 先写临时文件再重命名，避免读到写了一半的文件
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async _remove(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+/**
+ * 检查键是否可以安全地作为文件名
+ */
+function isSafeKey(key) {
+  return typeof key === 'string' && SAFE_KEY_PATTERN.test(key) && !key.includes('..');
+}
+
+/**
+ * 校验键是否可以安全地作为文件名，否则抛出错误
+ */
+function assertSafeKey(key) {
+  if (!isSafeKey(key)) {
+    throw new Error(`无效的存储键: ${key}`);
+  }
+
+  return key;
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,63 @@
+/**
+ * 会话存储模块
+ * 根据配置创建会话存储后端，所有后端实现相同的异步接口：
+ * get(sessionId)、put(session, ttl)、appendEvents(sessionId, events)、expire(sessionId)、
+ * claim(key, ttl)、list()，过期由存储自身处理。
+ * 其他需要在重启和多实例之间保留的数据（例如Webhook的待投递和死信）按命名空间保存为记录：
+ * getRecord(namespace, id)、putRecord(namespace, record, ttl)、deleteRecord(namespace, id)、listRecords(namespace)
+ */
+const os = require('os');
+const path = require('path');
+
+// 会话默认过期时间（毫秒），默认24小时
+const SESSION_TTL = parseInt(process.env.INKTRUST_SESSION_TTL, 10) || 24 * 60 * 60 * 1000;
+
+/**
+ * 创建会话存储
+ * @param {Object} options 存储选项
+ * @param {string} options.type 存储类型：memory、file或redis
+ * @returns {Object} 会话存储实例
+ */
+function createSessionStore(options = {}) {
+  const type = options.type || 'memory';
+  const ttl = options.ttl || SESSION_TTL;
+
+  switch (type) {
+    case 'memory': {
+      const MemorySessionStore = require('./memory-store');
+      return new MemorySessionStore({ ttl });
+    }
+    case 'file': {
+      const FileSessionStore = require('./file-store');
+      return new FileSessionStore({
+        ttl,
+        directory: options.directory || path.join(os.tmpdir(), 'inktrust')
+      });
+    }
+    case 'redis': {
+      // 按需加载，未使用Redis时不需要连接
+      const RedisSessionStore = require('./redis-store');
+      return new RedisSessionStore({
+        ttl,
+        url: options.url,
+        prefix: options.prefix
+      });
+    }
+    default:
+      throw new Error(`未知的会话存储类型: ${type}`);
+  }
+}
+
+// 根据环境变量创建的默认会话存储
+const sessionStore = createSessionStore({
+  type: process.env.INKTRUST_SESSION_STORE,
+  directory: process.env.INKTRUST_SESSION_STORE_PATH,
+  url: process.env.INKTRUST_REDIS_URL,
+  prefix: process.env.INKTRUST_REDIS_PREFIX
+});
+
+module.exports = {
+  SESSION_TTL,
+  createSessionStore,
+  sessionStore
+};
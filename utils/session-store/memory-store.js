@@ -0,0 +1,173 @@
+/**
+ * 内存会话存储
+ * 适用于本地开发和单实例部署，进程重启后数据丢失
+ */
+
+class MemorySessionStore {
+  /**
+   * @param {Object} options 存储选项
+   * @param {number} options.ttl 默认过期时间（毫秒）
+   * @param {number} options.sweepInterval 清理过期数据的间隔（毫秒）
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl;
+    this.sessions = new Map();
+    this.claims = new Map();
+    this.records = new Map();
+
+    // 定期清理过期数据，不阻止进程退出
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepInterval || 60 * 60 * 1000);
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  /**
+   * 获取会话
+   */
+  async get(sessionId) {
+    const entry = this.sessions.get(sessionId);
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+
+    return entry.session;
+  }
+
+  /**
+   * 保存会话并刷新过期时间
+   */
+  async put(session, ttl = this.ttl) {
+    this.sessions.set(session.id, {
+      session,
+      expiresAt: Date.now() + ttl
+    });
+  }
+
+  /**
+   * 向会话追加一批事件
+   * @returns {boolean} 是否已追加，会话不存在时返回false
+   */
+  async appendEvents(sessionId, events) {
+    const session = await this.get(sessionId);
+
+    if (!session) return false;
+
+    session.events.push(...events);
+    return true;
+  }
+
+  /**
+   * 删除会话
+   */
+  async expire(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * 占用一个一次性标记（例如已兑换的令牌）
+   * @returns {boolean} 是否为首次占用
+   */
+  async claim(key, ttl) {
+    const expiresAt = this.claims.get(key);
+
+    if (expiresAt && expiresAt > Date.now()) {
+      return false;
+    }
+
+    this.claims.set(key, Date.now() + ttl);
+    return true;
+  }
+
+  /**
+   * 列出所有未过期的会话
+   */
+  async list() {
+    const now = Date.now();
+    const result = [];
+
+    for (const entry of this.sessions.values()) {
+      if (entry.expiresAt > now) {
+        result.push(entry.session);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取记录
+   * @param {string} namespace 命名空间
+   * @param {string} id 记录ID
+   */
+  async getRecord(namespace, id) {
+    const entry = this.records.get(`${namespace}:${id}`);
+
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+
+    return entry.record;
+  }
+
+  /**
+   * 保存记录（以record.id为键）并刷新过期时间
+   */
+  async putRecord(namespace, record, ttl = this.ttl) {
+    this.records.set(`${namespace}:${record.id}`, {
+      namespace,
+      record,
+      expiresAt: Date.now() + ttl
+    });
+  }
+
+  /**
+   * 删除记录
+   */
+  async deleteRecord(namespace, id) {
+    this.records.delete(`${namespace}:${id}`);
+  }
+
+  /**
+   * 列出命名空间中所有未过期的记录
+   */
+  async listRecords(namespace) {
+    const now = Date.now();
+    const result = [];
+
+    for (const entry of this.records.values()) {
+      if (entry.namespace === namespace && entry.expiresAt > now) {
+        result.push(entry.record);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 清理过期数据
+   */
+  sweep() {
+    const now = Date.now();
+
+    for (const [sessionId, entry] of this.sessions) {
+      if (entry.expiresAt <= now) {
+        this.sessions.delete(sessionId);
+      }
+    }
+
+    for (const [key, expiresAt] of this.claims) {
+      if (expiresAt <= now) {
+        this.claims.delete(key);
+      }
+    }
+
+    for (const [key, entry] of this.records) {
+      if (entry.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemorySessionStore;
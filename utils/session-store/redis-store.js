@@ -0,0 +1,169 @@
+/**
+ * Redis会话存储
+ * 兼容Redis协议的服务（Redis、KeyDB、Valkey、Upstash等），适用于无服务器和多实例部署
+ * 会话数据和事件列表分别保存，事件通过RPUSH原子追加
+ */
+const Redis = require('ioredis');
+
+class RedisSessionStore {
+  /**
+   * @param {Object} options 存储选项
+   * @param {string} options.url 连接地址，例如 redis://localhost:6379 或 rediss://...
+   * @param {string} options.prefix 键前缀
+   * @param {number} options.ttl 默认过期时间（毫秒）
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl;
+    this.prefix = options.prefix || 'inktrust:';
+    this.client = options.client || new Redis(options.url || 'redis://127.0.0.1:6379');
+
+    this.client.on('error', error => console.error('Redis连接错误:', error.message));
+  }
+
+  /**
+   * 获取会话
+   */
+  async get(sessionId) {
+    const [[sessionError, data], [eventsError, events]] = await this.client.multi()
+      .get(this._sessionKey(sessionId))
+      .lrange(this._eventsKey(sessionId), 0, -1)
+      .exec();
+
+    if (sessionError) throw sessionError;
+    if (eventsError) throw eventsError;
+    if (!data) return null;
+
+    const session = JSON.parse(data);
+    session.events = events.map(event => JSON.parse(event));
+
+    return session;
+  }
+
+  /**
+   * 保存会话并刷新过期时间（事件列表只通过appendEvents修改）
+   */
+  async put(session, ttl = this.ttl) {
+    const { events, ...data } = session;
+
+    await this.client.multi()
+      .set(this._sessionKey(session.id), JSON.stringify(data), 'PX', ttl)
+      .pexpire(this._eventsKey(session.id), ttl)
+      .exec();
+  }
+
+  /**
+   * 向会话追加一批事件，整批通过一次RPUSH追加
+   * @returns {boolean} 是否已追加，会话不存在时返回false
+   */
+  async appendEvents(sessionId, events) {
+    const sessionKey = this._sessionKey(sessionId);
+    const ttl = await this.client.pttl(sessionKey);
+
+    // -2表示键不存在
+    if (ttl === -2) return false;
+
+    const [[error]] = await this.client.multi()
+      .rpush(this._eventsKey(sessionId), ...events.map(event => JSON.stringify(event)))
+      .pexpire(this._eventsKey(sessionId), ttl > 0 ? ttl : this.ttl)
+      .exec();
+
+    if (error) throw error;
+
+    return true;
+  }
+
+  /**
+   * 删除会话
+   */
+  async expire(sessionId) {
+    await this.client.del(this._sessionKey(sessionId), this._eventsKey(sessionId));
+  }
+
+  /**
+   * 占用一个一次性标记（例如已兑换的令牌）
+   * @returns {boolean} 是否为首次占用
+   */
+  async claim(key, ttl) {
+    const result = await this.client.set(`${this.prefix}claim:${key}`, '1', 'PX', ttl, 'NX');
+    return result === 'OK';
+  }
+
+  /**
+   * 列出所有未过期的会话
+   */
+  async list() {
+    const result = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', `${this.prefix}session:*`, 'COUNT', 500);
+      cursor = nextCursor;
+
+      for (const key of keys) {
+        const session = await this.get(key.slice(`${this.prefix}session:`.length));
+        if (session) result.push(session);
+      }
+    } while (cursor !== '0');
+
+    return result;
+  }
+
+  /**
+   * 获取记录
+   * @param {string} namespace 命名空间
+   * @param {string} id 记录ID
+   */
+  async getRecord(namespace, id) {
+    const data = await this.client.get(this._recordKey(namespace, id));
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * 保存记录（以record.id为键）并刷新过期时间
+   */
+  async putRecord(namespace, record, ttl = this.ttl) {
+    await this.client.set(this._recordKey(namespace, record.id), JSON.stringify(record), 'PX', ttl);
+  }
+
+  /**
+   * 删除记录
+   */
+  async deleteRecord(namespace, id) {
+    await this.client.del(this._recordKey(namespace, id));
+  }
+
+  /**
+   * 列出命名空间中所有未过期的记录
+   */
+  async listRecords(namespace) {
+    const result = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', this._recordKey(namespace, '*'), 'COUNT', 500);
+      cursor = nextCursor;
+
+      if (keys.length > 0) {
+        for (const data of await this.client.mget(keys)) {
+          if (data) result.push(JSON.parse(data));
+        }
+      }
+    } while (cursor !== '0');
+
+    return result;
+  }
+
+  _recordKey(namespace, id) {
+    return `${this.prefix}record:${namespace}:${id}`;
+  }
+
+  _sessionKey(sessionId) {
+    return `${this.prefix}session:${sessionId}`;
+  }
+
+  _eventsKey(sessionId) {
+    return `${this.prefix}events:${sessionId}`;
+  }
+}
+
+module.exports = RedisSessionStore;
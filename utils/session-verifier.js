@@ -0,0 +1,374 @@
+/**
+ * 会话验证模块
+ * 汇总各分析器的结果，按评分策略计算会话的分数和判定结果。
+ * 在线验证（/verify）和离线评估（scripts/evaluate.js）共用此逻辑
+ */
+const behaviorAnalyzer = require('./behavior-analyzer');
+const siteManager = require('./site-manager');
+const policyEngine = require('./policy-engine');
+const sessionBinding = require('./session-binding');
+const metrics = require('./metrics');
+const accessLists = require('./access-lists');
+
+/**
+ * 验证会话的逻辑
+ * 集成了多种高级验证技术
+ * @param {number} now 验证时间，离线回放时使用录制时的时间计算会话时长
+ */
+async function verifySession(session, req, site, now = Date.now()) {
+  // 初始化结果对象
+  const result = {
+    isHuman: false,
+    outcome: 'rejected', // verified、challenged或rejected
+    score: 0,
+    reasons: [],
+    breakdown: [], // 分数贡献明细，各项points之和等于score
+    signals: [], // 各分析器输出的标准化信号
+    details: {}
+  };
+
+  // 1. 自动化工具检测
+  const automationResult = session.analysis.automation;
+  if (automationResult) {
+    result.details.automation = {
+      score: 100 - automationResult.automationScore, // 转换为人类分数
+      isAutomated: automationResult.isAutomated,
+      detectedTools: automationResult.detectedTools,
+      reasons: automationResult.reasons
+    };
+  }
+
+  // 2. 行为分析
+  const behaviorResult = session.analysis.behavior;
+  if (behaviorResult) {
+    result.details.behavior = {
+      score: behaviorResult.score,
+      isHuman: behaviorResult.isHuman,
+      reasons: behaviorResult.reasons,
+      metrics: behaviorResult.metrics
+    };
+  }
+
+  // 3. 指纹分析
+  const fingerprintResult = session.analysis.fingerprint;
+  if (fingerprintResult) {
+    result.details.fingerprint = {
+      score: fingerprintResult.score,
+      fingerprint: fingerprintResult.fingerprint,
+      anomalies: fingerprintResult.anomalies,
+      distrustedComponents: fingerprintResult.distrustedComponents || [],
+      gpu: fingerprintResult.gpu || null
+    };
+  }
+
+  // 4. 网络分析
+  const networkResult = session.analysis.network;
+  if (networkResult) {
+    result.details.network = {
+      score: networkResult.score,
+      proxied: networkResult.proxied,
+      vpnDetected: networkResult.vpnDetected,
+      datacenterIP: networkResult.datacenterIP,
+      torExit: networkResult.torExit,
+      publicProxy: networkResult.publicProxy,
+      provider: networkResult.ipIntel ? networkResult.ipIntel.provider : null,
+      ipTimezoneMatch: networkResult.ipTimezoneMatch
+    };
+  }
+
+  // 5. 信誉分析
+  const reputationResult = session.analysis.reputation;
+  if (reputationResult) {
+    result.details.reputation = {
+      score: reputationResult.score,
+      reasons: reputationResult.reasons,
+      features: reputationResult.features
+    };
+  }
+
+  // 6. 会话绑定检查
+  const bindingSummary = sessionBinding.summarizeBinding(session);
+  if (bindingSummary.violationCount > 0) {
+    result.details.binding = {
+      violationCount: bindingSummary.violationCount,
+      mismatches: bindingSummary.mismatches
+    };
+  }
+
+  // 按评分策略计算分数（站点配置的阈值优先于策略阈值）
+  const thresholds = getSiteThresholds(site);
+  const evaluation = metrics.timeAnalyzer('policy', () => policyEngine.evaluate(buildFacts(session, req, site, now), {
+    threshold: thresholds.verify,
+    challengeThreshold: thresholds.challenge,
+    // 命中站点名单时由名单决定结果
+    rule: session.accessList ? accessLists.toRule(session.accessList) : null
+  }));
+
+  result.score = evaluation.score;
+  result.isHuman = evaluation.isHuman;
+  result.outcome = evaluation.outcome;
+  result.reasons = evaluation.reasons;
+  result.breakdown = evaluation.breakdown;
+  result.policyVersion = evaluation.policyVersion;
+
+  result.signals = collectSignals(session, bindingSummary);
+
+  if (evaluation.rule) {
+    result.rule = evaluation.rule.id;
+  }
+
+  return result;
+}
+
+/**
+ * 汇总各分析器和会话绑定检查输出的标准化信号
+ */
+function collectSignals(session, bindingSummary = sessionBinding.summarizeBinding(session)) {
+  const { automation, behavior, fingerprint, network, reputation } = session.analysis;
+  const signals = [];
+
+  for (const analyzerResult of [automation, behavior, fingerprint, network, reputation, bindingSummary]) {
+    if (analyzerResult && analyzerResult.signals) {
+      signals.push(...analyzerResult.signals);
+    }
+  }
+
+  return signals;
+}
+
+/**
+ * 获取站点的判定阈值（站点配置优先于评分策略）
+ * challenge为null时不挑战，分数低于verify直接拒绝
+ */
+function getSiteThresholds(site) {
+  return {
+    verify: site && typeof site.scoreThreshold === 'number' ?
+      site.scoreThreshold : policyEngine.getThreshold('verify'),
+    challenge: site && typeof site.challengeThreshold === 'number' ?
+      site.challengeThreshold : policyEngine.getThreshold('challenge', null)
+  };
+}
+
+/**
+ * 从会话和请求中提取评分策略使用的事实
+ * init和event阶段调用时，尚未产生的分析结果对应的present为false
+ */
+function buildFacts(session, req, site, now = Date.now()) {
+  const { analysis, clientInfo } = session;
+  const events = behaviorAnalyzer.orderEvents(session.events);
+  const automation = analysis.automation;
+  const behavior = analysis.behavior;
+  const fingerprint = analysis.fingerprint;
+  const network = analysis.network;
+  const reputation = analysis.reputation;
+  const suspiciousHeaders = req ? checkSuspiciousHeaders(req.headers) : [];
+  const requestPattern = analyzeRequestPattern(events, session.telemetryRejections);
+
+  return {
+    automation: {
+      present: !!automation,
+      isAutomated: automation ? automation.isAutomated : null,
+      automationScore: automation ? automation.automationScore : null,
+      detectedTools: automation ? automation.detectedTools : [],
+      detections: automation ? (automation.signals || []).map(signal => signal.id) : [],
+      signals: automation ? automation.signals || [] : []
+    },
+    behavior: {
+      enabled: siteManager.isAnalyzerEnabled(site, 'behavior'),
+      present: !!behavior,
+      isHuman: behavior ? behavior.isHuman : null,
+      score: behavior ? behavior.score : null,
+      reasons: behavior ? behavior.reasons : [],
+      signals: behavior ? behavior.signals || [] : []
+    },
+    fingerprint: {
+      present: !!fingerprint,
+      score: fingerprint ? fingerprint.score : null,
+      anomalyCount: fingerprint ? fingerprint.anomalies.length : 0,
+      anomalySummary: fingerprint ? summarize(fingerprint.anomalies, 3) : '',
+      liedApis: fingerprint && fingerprint.lies ? Object.keys(fingerprint.lies) : [],
+      distrustedComponents: fingerprint ? fingerprint.distrustedComponents || [] : [],
+      checkedRealms: fingerprint ? fingerprint.checkedRealms || [] : [],
+      realmMismatches: fingerprint ?
+        [...new Set((fingerprint.realmMismatches || []).map(mismatch => mismatch.field))] : [],
+      gpuFamily: fingerprint && fingerprint.gpu ? fingerprint.gpu.family : null,
+      gpuConflicts: fingerprint && fingerprint.gpu ? fingerprint.gpu.conflicts : [],
+      signals: fingerprint ? fingerprint.signals || [] : []
+    },
+    network: {
+      present: !!network,
+      score: network ? network.score : null,
+      proxied: network ? network.proxied : null,
+      vpnDetected: network ? network.vpnDetected : null,
+      datacenterIP: network ? network.datacenterIP : null,
+      torExit: network ? network.torExit : null,
+      publicProxy: network ? network.publicProxy : null,
+      provider: network && network.ipIntel ? network.ipIntel.provider : null,
+      ipCategories: network && network.ipIntel ? network.ipIntel.categories : [],
+      forwardingAnomalies: network && network.forwarding ? network.forwarding.anomalies : [],
+      ipTimezoneMatch: network ? network.ipTimezoneMatch : null,
+      country: network && network.ipInfo ? network.ipInfo.country : null,
+      reasonCount: network ? network.reasons.length : 0,
+      reasonSummary: network ? summarize(network.reasons, 2) : '',
+      signals: network ? network.signals || [] : []
+    },
+    reputation: {
+      present: !!reputation,
+      score: reputation ? reputation.score : null,
+      device: reputation ? reputation.features.device : null,
+      ip: reputation ? reputation.features.ip : null,
+      subnet: reputation ? reputation.features.subnet : null,
+      reasonCount: reputation ? reputation.reasons.length : 0,
+      reasonSummary: reputation ? summarize(reputation.reasons, 2) : '',
+      signals: reputation ? reputation.signals : []
+    },
+    session: {
+      age: now - session.createdAt
+    },
+    events: {
+      count: events.length,
+      mousemoveCount: events.filter(e => e.type === 'mousemove').length,
+      clickCount: events.filter(e => e.type === 'click').length,
+      keypressCount: events.filter(e => e.type === 'keypress').length,
+      touchCount: events.filter(e => e.type === 'touchstart').length
+    },
+    client: {
+      ip: clientInfo.ip,
+      hostname: clientInfo.hostname,
+      hasDeviceInfo: !!(clientInfo.screenResolution && clientInfo.timezone),
+      hasUserAgentInfo: !!(clientInfo.userAgent &&
+        clientInfo.parsedUserAgent &&
+        clientInfo.parsedUserAgent.browser &&
+        clientInfo.parsedUserAgent.os)
+    },
+    request: {
+      suspiciousHeaders,
+      suspiciousHeaderCount: suspiciousHeaders.length
+    },
+    requestPattern,
+    binding: sessionBinding.summarizeBinding(session)
+  };
+}
+
+/**
+ * 截取前几项拼接为摘要
+ */
+function summarize(items, limit) {
+  return `${items.slice(0, limit).join(', ')}${items.length > limit ? '等' : ''}`;
+}
+
+/**
+ * 检查可疑的请求头
+ */
+function checkSuspiciousHeaders(headers) {
+  const suspicious = [];
+
+  // 检查常见的自动化工具请求头
+  const automationHeaders = [
+    'x-selenium',
+    'x-selenium-ide-recorder',
+    'x-requested-with',
+    'selenium',
+    'driver',
+    'webdriver',
+    'puppeteer',
+    'playwright',
+    'headless',
+    'cypress'
+  ];
+
+  for (const header in headers) {
+    const headerLower = header.toLowerCase();
+    const value = headers[header];
+
+    // 检查头名
+    if (automationHeaders.some(h => headerLower.includes(h))) {
+      suspicious.push(header);
+      continue;
+    }
+
+    // 检查头值
+    if (value && typeof value === 'string') {
+      const valueLower = value.toLowerCase();
+      if (automationHeaders.some(h => valueLower.includes(h))) {
+        suspicious.push(header);
+      }
+    }
+  }
+
+  return suspicious;
+}
+
+/**
+ * 分析请求模式
+ * @param {Array} events 按序列号排序的事件
+ * @param {Array} telemetryRejections 被拒绝的事件批次（未签名、签名错误、乱序、重复或重放）
+ */
+function analyzeRequestPattern(events, telemetryRejections = []) {
+  const result = {
+    suspicious: false,
+    reason: '',
+    telemetryRejectionCount: telemetryRejections.length
+  };
+
+  // 检查事件时间间隔是否过于规律
+  if (events.length >= 5) {
+    const timestamps = events.map(e => e.timestamp);
+    const intervals = [];
+
+    for (let i = 1; i < timestamps.length; i++) {
+      intervals.push(timestamps[i] - timestamps[i-1]);
+    }
+
+    // 计算平均间隔和标准差
+    const avgInterval = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+    const stdDev = Math.sqrt(
+      intervals.reduce((sum, interval) => sum + Math.pow(interval - avgInterval, 2), 0) / intervals.length
+    );
+
+    // 计算变异系数（标准差/平均值）
+    const variationCoefficient = stdDev / avgInterval;
+
+    // 如果变异系数小于0.1，说明时间间隔非常规律，可能是自动化工具
+    if (variationCoefficient < 0.1) {
+      result.suspicious = true;
+      result.reason = '事件时间间隔过于规律';
+    }
+  }
+
+  // 检查是否有异常的事件顺序
+  if (events.length >= 3) {
+    // 正常用户通常是先有鼠标移动，然后才有点击
+    // 如果有点击事件但之前没有鼠标移动，可能是自动化工具
+    const hasClickWithoutMove = events.some((event, index) => {
+      if (event.type === 'click' && index > 0) {
+        // 检查当前点击事件之前是否有鼠标移动
+        const hasPreviousMove = events.slice(0, index).some(e => e.type === 'mousemove');
+        return !hasPreviousMove;
+      }
+      return false;
+    });
+
+    if (hasClickWithoutMove) {
+      result.suspicious = true;
+      result.reason = '在没有鼠标移动的情况下进行了点击';
+    }
+  }
+
+  // 正常运行的SDK按顺序签名发送每个批次，被拒绝的批次说明事件是伪造或截获重放的
+  if (telemetryRejections.length > 0) {
+    const reasons = Array.from(new Set(telemetryRejections.map(rejection => rejection.reason)));
+
+    result.suspicious = true;
+    result.reason = `${telemetryRejections.length}个事件批次未通过签名校验（${reasons.join(', ')}）`;
+  }
+
+  return result;
+}
+
+module.exports = {
+  verifySession,
+  collectSignals,
+  getSiteThresholds,
+  buildFacts
+};
@@ -0,0 +1,65 @@
+/**
+ * 标准化信号模块
+ * 各分析器以统一的结构输出信号，便于评分策略引用和解释验证结果
+ *
+ * 信号结构：
+ * - id: 唯一标识，格式为"<分类>.<名称>"
+ * - category: 分类（automation、behavior、fingerprint、network等）
+ * - severity: 严重程度（info、low、medium、high、critical），正向信号为info
+ * - confidence: 置信度（0-1）
+ * - points: 对人类分数的贡献，正数表示更像真人，负数表示更像机器人
+ * - description: 描述
+ */
+
+// 严重程度的分值下限（按绝对值）
+const SEVERITY_LEVELS = [
+  { severity: 'critical', minPoints: 40 },
+  { severity: 'high', minPoints: 25 },
+  { severity: 'medium', minPoints: 10 },
+  { severity: 'low', minPoints: 0 }
+];
+
+/**
+ * 创建标准化信号
+ * @param {string} id 信号标识
+ * @param {string} category 信号分类
+ * @param {number} points 分数贡献
+ * @param {Object} options 可选字段
+ * @param {string} options.severity 严重程度，默认根据分值推断
+ * @param {number} options.confidence 置信度，默认0.5
+ * @param {string} options.description 描述
+ * @returns {Object} 信号
+ */
+function createSignal(id, category, points, options = {}) {
+  return {
+    id,
+    category,
+    severity: options.severity || getSeverity(points),
+    confidence: typeof options.confidence === 'number' ? options.confidence : 0.5,
+    points,
+    description: options.description || null
+  };
+}
+
+/**
+ * 根据分值推断严重程度
+ */
+function getSeverity(points) {
+  if (points >= 0) return points > 0 ? 'info' : 'low';
+
+  const magnitude = Math.abs(points);
+  return SEVERITY_LEVELS.find(level => magnitude >= level.minPoints).severity;
+}
+
+/**
+ * 计算信号的分数贡献总和
+ */
+function sumPoints(signals) {
+  return (signals || []).reduce((sum, signal) => sum + signal.points, 0);
+}
+
+module.exports = {
+  createSignal,
+  getSeverity,
+  sumPoints
+};
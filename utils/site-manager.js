@@ -0,0 +1,174 @@
+/**
+ * 站点管理模块
+ * 用于加载多租户站点配置（公开站点密钥、服务端密钥及每个站点的验证参数）
+ */
+const fs = require('fs');
+const path = require('path');
+const { safeEqual } = require('./token-manager');
+const { EVENT_TYPES: WEBHOOK_EVENT_TYPES } = require('./webhook-dispatcher');
+
+// 默认站点配置文件路径
+const DEFAULT_SITES_FILE = path.join(__dirname, '..', 'config', 'sites.json');
+
+// 站点配置默认值
+const SITE_DEFAULTS = {
+  name: '',
+  allowedHostnames: [], // 为空时允许任意主机名
+  scoreThreshold: null, // 为空时使用评分策略中的verify阈值
+  challengeThreshold: null, // 为空时使用评分策略中的challenge阈值
+  interactiveChallenge: true, // 被动验证未通过时是否允许通过交互挑战恢复
+  webhooks: [], // Webhook订阅：[{ url, secret, events }]
+  rateLimit: {
+    windowMs: 15 * 60 * 1000, // 15分钟
+    max: 100 // 每个IP在windowMs内最多100个请求
+  },
+  analyzers: {
+    automation: true,
+    behavior: true,
+    fingerprint: true,
+    network: true,
+    reputation: true
+  }
+};
+
+// 按站点密钥索引的站点配置
+const sites = loadSites();
+
+/**
+ * 加载站点配置
+ * 优先读取INKTRUST_SITES_FILE指定的文件，其次为config/sites.json，
+ * 都不存在时根据环境变量创建单个站点
+ */
+function loadSites() {
+  const sitesFile = process.env.INKTRUST_SITES_FILE || DEFAULT_SITES_FILE;
+  let siteList;
+
+  if (fs.existsSync(sitesFile)) {
+    const content = JSON.parse(fs.readFileSync(sitesFile, 'utf8'));
+    siteList = Array.isArray(content) ? content : content.sites;
+  } else {
+    siteList = [{
+      siteKey: process.env.INKTRUST_SITE_KEY || 'demo',
+      secretKey: process.env.INKTRUST_SECRET_KEY || null,
+      name: '默认站点'
+    }];
+  }
+
+  const result = new Map();
+
+  for (const siteConfig of siteList || []) {
+    if (!siteConfig.siteKey) {
+      throw new Error('站点配置缺少siteKey');
+    }
+
+    if (result.has(siteConfig.siteKey)) {
+      throw new Error(`重复的站点密钥: ${siteConfig.siteKey}`);
+    }
+
+    validateWebhooks(siteConfig);
+    result.set(siteConfig.siteKey, normalizeSite(siteConfig));
+  }
+
+  return result;
+}
+
+/**
+ * 校验站点的Webhook订阅
+ */
+function validateWebhooks(siteConfig) {
+  for (const webhook of siteConfig.webhooks || []) {
+    if (!webhook.url || !/^https?:\/\//.test(webhook.url)) {
+      throw new Error(`站点 ${siteConfig.siteKey} 的Webhook地址无效: ${webhook.url}`);
+    }
+
+    if (!webhook.secret) {
+      throw new Error(`站点 ${siteConfig.siteKey} 的Webhook缺少secret: ${webhook.url}`);
+    }
+
+    const unknownEvents = (webhook.events || []).filter(event => event !== '*' && !WEBHOOK_EVENT_TYPES.includes(event));
+    if (unknownEvents.length > 0) {
+      throw new Error(`站点 ${siteConfig.siteKey} 的Webhook订阅了未知事件: ${unknownEvents.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * 合并站点配置与默认值
+ */
+function normalizeSite(siteConfig) {
+  return {
+    ...SITE_DEFAULTS,
+    ...siteConfig,
+    allowedHostnames: (siteConfig.allowedHostnames || []).map(h => h.toLowerCase()),
+    rateLimit: { ...SITE_DEFAULTS.rateLimit, ...siteConfig.rateLimit },
+    analyzers: { ...SITE_DEFAULTS.analyzers, ...siteConfig.analyzers }
+  };
+}
+
+/**
+ * 根据公开站点密钥获取站点
+ * @param {string} siteKey 站点密钥
+ * @returns {Object|null} 站点配置
+ */
+function getSiteByKey(siteKey) {
+  if (!siteKey || typeof siteKey !== 'string') return null;
+
+  return sites.get(siteKey) || null;
+}
+
+/**
+ * 根据服务端密钥获取站点
+ * @param {string} secret 服务端密钥
+ * @returns {Object|null} 站点配置
+ */
+function getSiteBySecret(secret) {
+  if (!secret || typeof secret !== 'string') return null;
+
+  for (const site of sites.values()) {
+    if (site.secretKey && safeEqual(secret, site.secretKey)) {
+      return site;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 检查主机名是否在站点允许的列表中
+ * 支持"*.example.com"形式的通配符
+ */
+function isHostnameAllowed(site, hostname) {
+  if (!site.allowedHostnames || site.allowedHostnames.length === 0) return true;
+  if (!hostname) return false;
+
+  const host = hostname.toLowerCase();
+
+  return site.allowedHostnames.some(allowed => {
+    if (allowed.startsWith('*.')) {
+      return host.endsWith(allowed.slice(1)) || host === allowed.slice(2);
+    }
+    return host === allowed;
+  });
+}
+
+/**
+ * 检查站点是否启用了指定的分析器
+ */
+function isAnalyzerEnabled(site, analyzer) {
+  return !site || site.analyzers[analyzer] !== false;
+}
+
+/**
+ * 获取所有站点
+ */
+function getSites() {
+  return Array.from(sites.values());
+}
+
+module.exports = {
+  getSiteByKey,
+  getSiteBySecret,
+  isHostnameAllowed,
+  isAnalyzerEnabled,
+  getSites
+};
@@ -0,0 +1,113 @@
+/**
+ * 遥测签名模块
+ * /init 为每个会话生成独立的签名密钥，SDK用它对每批事件进行HMAC签名，
+ * 服务端拒绝未签名、签名错误、乱序、重复或重放的事件批次
+ */
+const crypto = require('crypto');
+const { safeEqual } = require('./token-manager');
+
+// 允许的客户端时钟偏差（毫秒），超出时视为重放的旧数据
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// 批次序列号使用记录的保留时间，超过时钟偏差窗口的重放已经会被判定为过期
+const REPLAY_WINDOW = 2 * MAX_CLOCK_SKEW;
+
+// 会话中最多保存的拒绝记录数量
+const MAX_REJECTIONS = 20;
+
+/**
+ * 生成会话签名密钥
+ */
+function createKey() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * 计算事件批次的签名
+ * 签名内容为"<会话ID>.<payload>"，防止签名被挪用到其他会话
+ * @param {string} key 会话签名密钥
+ * @param {string} sessionId 会话ID
+ * @param {string} payload 客户端发送的原始payload字符串
+ */
+function sign(key, sessionId, payload) {
+  return crypto.createHmac('sha256', Buffer.from(key, 'base64url'))
+    .update(`${sessionId}.${payload}`)
+    .digest('base64url');
+}
+
+/**
+ * 校验签名的事件批次
+ * 请求体为 { payload, signature }，payload为JSON字符串，包含批次序列号batchSeq、发送时间sentAt
+ * 以及未签名时请求体中的事件字段
+ * @param {Object} session 会话
+ * @param {Object} body 请求体
+ * @returns {Object} 校验结果，失败时包含错误码：unsigned、invalid-signature、invalid-payload、
+ *   stale-payload、duplicate-batch、out-of-order
+ */
+function verifyBatch(session, body) {
+  const { payload, signature } = body || {};
+
+  if (typeof payload !== 'string' || typeof signature !== 'string') {
+    return { valid: false, error: 'unsigned' };
+  }
+
+  if (!safeEqual(signature, sign(session.telemetry.key, session.id, payload))) {
+    return { valid: false, error: 'invalid-signature' };
+  }
+
+  let batch;
+  try {
+    batch = JSON.parse(payload);
+  } catch (error) {
+    return { valid: false, error: 'invalid-payload' };
+  }
+
+  if (!batch || typeof batch !== 'object' || !Number.isInteger(batch.batchSeq) || batch.batchSeq < 1 ||
+      typeof batch.sentAt !== 'number') {
+    return { valid: false, error: 'invalid-payload' };
+  }
+
+  if (Math.abs(Date.now() - batch.sentAt) > MAX_CLOCK_SKEW) {
+    return { valid: false, error: 'stale-payload' };
+  }
+
+  // 批次序列号必须单调递增
+  const lastBatchSeq = getLastBatchSeq(session);
+  if (batch.batchSeq === lastBatchSeq) {
+    return { valid: false, error: 'duplicate-batch' };
+  }
+  if (batch.batchSeq < lastBatchSeq) {
+    return { valid: false, error: 'out-of-order' };
+  }
+
+  return { valid: true, batch };
+}
+
+/**
+ * 获取会话中已接受的最大批次序列号
+ */
+function getLastBatchSeq(session) {
+  return session.events.reduce((max, event) => {
+    return Number.isInteger(event.batchSeq) && event.batchSeq > max ? event.batchSeq : max;
+  }, 0);
+}
+
+/**
+ * 在会话中记录被拒绝的批次
+ * @param {Object} session 会话
+ * @param {string} reason 错误码
+ */
+function recordRejection(session, reason) {
+  const rejections = session.telemetryRejections || [];
+
+  rejections.push({ reason, at: Date.now() });
+  session.telemetryRejections = rejections.slice(-MAX_REJECTIONS);
+}
+
+module.exports = {
+  REPLAY_WINDOW,
+  createKey,
+  sign,
+  verifyBatch,
+  recordRejection
+};
@@ -0,0 +1,102 @@
+/**
+ * 验证令牌模块
+ * 用于签发和校验短期、一次性的签名验证令牌（兑换记录由会话存储保存）
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// 令牌有效期（毫秒），默认2分钟
+const TOKEN_TTL = parseInt(process.env.INKTRUST_TOKEN_TTL, 10) || 2 * 60 * 1000;
+
+// 令牌签名密钥，未配置时为每个进程生成随机密钥
+const TOKEN_SECRET = process.env.INKTRUST_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.INKTRUST_TOKEN_SECRET) {
+  console.warn('未配置INKTRUST_TOKEN_SECRET，使用随机生成的令牌签名密钥（多实例部署时令牌无法跨实例校验）');
+}
+
+/**
+ * 签发验证令牌
+ * @param {Object} claims 令牌声明（会话ID、分数、判定结果、主机名、IP等）
+ * @returns {Object} 令牌字符串及其声明
+ */
+function issueToken(claims) {
+  const issuedAt = Date.now();
+  const payload = {
+    ...claims,
+    jti: uuidv4(),
+    issuedAt,
+    expiresAt: issuedAt + TOKEN_TTL
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = sign(encodedPayload);
+
+  return {
+    token: `${encodedPayload}.${signature}`,
+    payload
+  };
+}
+
+/**
+ * 校验验证令牌的签名和有效期
+ * @param {string} token 令牌字符串
+ * @returns {Object} 校验结果，失败时包含错误码
+ */
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, error: 'missing-input-token' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 2) {
+    return { valid: false, error: 'invalid-token' };
+  }
+
+  const [encodedPayload, signature] = parts;
+
+  if (!safeEqual(signature, sign(encodedPayload))) {
+    return { valid: false, error: 'invalid-signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'invalid-token' };
+  }
+
+  if (!payload.jti || !payload.expiresAt || Date.now() > payload.expiresAt) {
+    return { valid: false, error: 'expired-token' };
+  }
+
+  return { valid: true, payload };
+}
+
+/**
+ * 常量时间比较两个字符串
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * 计算签名
+ */
+function sign(data) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+}
+
+module.exports = {
+  TOKEN_TTL,
+  issueToken,
+  verifyToken,
+  safeEqual
+};
@@ -0,0 +1,296 @@
+/**
+ * Webhook投递模块
+ * 会话状态变化时向站点订阅的地址推送事件：
+ * - 请求体使用站点为该订阅配置的密钥进行HMAC-SHA256签名
+ * - 投递失败时按指数退避重试，超过最大次数后进入死信列表，可以通过接口重新投递
+ * 待投递的记录和死信保存在会话存储中（file或redis存储在重启和多实例之间保留），
+ * 每个实例定期检查到期的重试，同一次尝试通过一次性标记保证只由一个实例执行
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { sessionStore } = require('./session-store');
+
+// 支持订阅的事件类型
+const EVENT_TYPES = ['session.verified', 'session.rejected', 'session.challenged'];
+
+// 每次投递的最大尝试次数（包括首次投递）
+const MAX_ATTEMPTS = parseInt(process.env.INKTRUST_WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+
+// 首次重试的等待时间（毫秒），之后每次翻倍
+const RETRY_DELAY = parseInt(process.env.INKTRUST_WEBHOOK_RETRY_DELAY, 10) || 1000;
+
+// 重试等待时间上限（毫秒）
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// 单次请求超时时间（毫秒）
+const REQUEST_TIMEOUT = parseInt(process.env.INKTRUST_WEBHOOK_TIMEOUT, 10) || 5000;
+
+// 每个站点最多保留的死信数量
+const MAX_DEAD_LETTERS = parseInt(process.env.INKTRUST_WEBHOOK_DEAD_LETTER_LIMIT, 10) || 100;
+
+// 接收方校验签名时允许的时间偏差（秒）
+const SIGNATURE_TOLERANCE = 5 * 60;
+
+// 会话存储中待投递记录和死信的命名空间
+const PENDING_NAMESPACE = 'webhook-pending';
+const DEAD_LETTER_NAMESPACE = 'webhook-dead-letter';
+
+// 待投递记录和死信的保留时间（毫秒）
+const PENDING_TTL = 7 * 24 * 60 * 60 * 1000;
+const DEAD_LETTER_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// 检查到期重试的间隔（毫秒）
+const POLL_INTERVAL = parseInt(process.env.INKTRUST_WEBHOOK_POLL_INTERVAL, 10) || 30 * 1000;
+
+// 每次尝试的占用时间（毫秒）：执行尝试的实例在此期间崩溃时，其他实例可以在占用过期后重新尝试
+const ATTEMPT_LOCK_TTL = REQUEST_TIMEOUT + 60 * 1000;
+
+// 定期检查到期的重试（包括重启前未完成的投递），不阻止进程退出
+const pollTimer = setInterval(() => {
+  processDueDeliveries().catch(error => console.error('检查待重试的Webhook错误:', error));
+}, POLL_INTERVAL);
+if (pollTimer.unref) pollTimer.unref();
+
+/**
+ * 向订阅了该事件的地址推送事件
+ * 投递在后台进行，不阻塞调用方
+ * @param {Object} site 站点配置
+ * @param {string} type 事件类型
+ * @param {Object} data 事件数据
+ * @returns {Array} 创建的投递
+ */
+function dispatch(site, type, data) {
+  const subscriptions = (site.webhooks || []).filter(subscription => isSubscribed(subscription, type));
+
+  if (subscriptions.length === 0) return [];
+
+  // 同一事件推送到多个地址时使用相同的事件ID，接收方可以据此去重
+  const event = {
+    id: uuidv4(),
+    type,
+    siteKey: site.siteKey,
+    createdAt: Date.now(),
+    data
+  };
+
+  return subscriptions.map(subscription => {
+    const delivery = {
+      id: uuidv4(),
+      siteKey: site.siteKey,
+      url: subscription.url,
+      subscription,
+      event,
+      attempts: 0,
+      createdAt: event.createdAt,
+      nextAttemptAt: event.createdAt,
+      lastAttemptAt: null,
+      lastStatus: null,
+      lastError: null
+    };
+
+    // 先保存再投递，进程在首次投递前退出时由其他实例或重启后的检查继续投递
+    sessionStore.putRecord(PENDING_NAMESPACE, delivery, PENDING_TTL)
+      .then(() => deliver(delivery))
+      .catch(error => console.error('保存Webhook投递错误:', error));
+
+    return delivery;
+  });
+}
+
+/**
+ * 检查订阅是否包含事件类型（未配置events或包含"*"时订阅全部事件）
+ */
+function isSubscribed(subscription, type) {
+  const events = subscription.events;
+  return !events || events.length === 0 || events.includes('*') || events.includes(type);
+}
+
+/**
+ * 投递到期的重试
+ * @param {number} now 当前时间
+ */
+async function processDueDeliveries(now = Date.now()) {
+  for (const delivery of await sessionStore.listRecords(PENDING_NAMESPACE)) {
+    if (delivery.nextAttemptAt && delivery.nextAttemptAt <= now) {
+      await deliver(delivery);
+    }
+  }
+}
+
+/**
+ * 投递一次，失败时安排重试或转入死信列表
+ * 进程内的重试定时器和定期检查可能同时处理同一次尝试，只有占用了该次尝试的一方会发送
+ */
+async function deliver(delivery) {
+  const attemptKey = `webhook:${delivery.id}:${delivery.replayedAt || 0}:${delivery.attempts + 1}`;
+  if (!(await sessionStore.claim(attemptKey, ATTEMPT_LOCK_TTL))) return;
+
+  const body = JSON.stringify(delivery.event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  delivery.attempts++;
+  delivery.lastAttemptAt = Date.now();
+
+  try {
+    const response = await axios.post(delivery.url, body, {
+      timeout: REQUEST_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'InkTrust-Webhook/1.0',
+        'X-InkTrust-Event': delivery.event.type,
+        'X-InkTrust-Delivery': delivery.id,
+        'X-InkTrust-Signature': `t=${timestamp},v1=${sign(delivery.subscription.secret, timestamp, body)}`
+      },
+      // 不跟随重定向，避免签名的请求体被转发到其他地址
+      maxRedirects: 0
+    });
+
+    delivery.lastStatus = response.status;
+    delivery.lastError = null;
+    delivery.deliveredAt = Date.now();
+
+    await sessionStore.deleteRecord(PENDING_NAMESPACE, delivery.id)
+      .catch(error => console.error('删除Webhook投递记录错误:', error));
+  } catch (error) {
+    delivery.lastStatus = error.response ? error.response.status : null;
+    delivery.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      await addDeadLetter(delivery).catch(storeError => console.error('保存Webhook死信错误:', storeError));
+      return;
+    }
+
+    const delay = Math.min(RETRY_DELAY * Math.pow(2, delivery.attempts - 1), MAX_RETRY_DELAY);
+    delivery.nextAttemptAt = Date.now() + delay;
+
+    try {
+      await sessionStore.putRecord(PENDING_NAMESPACE, delivery, PENDING_TTL);
+    } catch (storeError) {
+      console.error('保存Webhook投递错误:', storeError);
+    }
+
+    // 重试定时器不阻止进程退出，进程退出后由定期检查继续重试
+    const timer = setTimeout(() => {
+      deliver(delivery).catch(retryError => console.error('Webhook重试错误:', retryError));
+    }, delay);
+    if (timer.unref) timer.unref();
+  }
+}
+
+/**
+ * 将投递转入死信列表，每个站点只保留最近的死信
+ */
+async function addDeadLetter(delivery) {
+  delivery.nextAttemptAt = null;
+  delivery.failedAt = Date.now();
+  console.error(`Webhook投递失败: ${delivery.url} ${delivery.event.type} ${delivery.lastError}`);
+
+  await sessionStore.putRecord(DEAD_LETTER_NAMESPACE, delivery, DEAD_LETTER_TTL);
+  await sessionStore.deleteRecord(PENDING_NAMESPACE, delivery.id);
+
+  const list = await listDeadLetters(delivery.siteKey);
+  for (const expired of list.slice(0, Math.max(0, list.length - MAX_DEAD_LETTERS))) {
+    await sessionStore.deleteRecord(DEAD_LETTER_NAMESPACE, expired.id);
+  }
+}
+
+/**
+ * 按失败时间先后列出站点的死信
+ */
+async function listDeadLetters(siteKey) {
+  const list = await sessionStore.listRecords(DEAD_LETTER_NAMESPACE);
+
+  return list
+    .filter(delivery => delivery.siteKey === siteKey)
+    .sort((a, b) => a.failedAt - b.failedAt);
+}
+
+/**
+ * 获取站点的死信列表
+ * @param {string} siteKey 站点密钥
+ * @returns {Promise<Array>} 死信（不包含订阅密钥）
+ */
+async function getDeadLetters(siteKey) {
+  return (await listDeadLetters(siteKey)).map(toPublicDelivery);
+}
+
+/**
+ * 重新投递死信
+ * 从死信列表中移除并重新开始计数，再次失败时会重新进入死信列表
+ * @param {string} siteKey 站点密钥
+ * @param {string} deliveryId 投递ID
+ * @returns {Promise<Object|null>} 重新投递的死信，不存在时返回null
+ */
+async function replayDeadLetter(siteKey, deliveryId) {
+  const delivery = await sessionStore.getRecord(DEAD_LETTER_NAMESPACE, deliveryId);
+
+  if (!delivery || delivery.siteKey !== siteKey) return null;
+
+  delivery.attempts = 0;
+  delivery.failedAt = null;
+  delivery.replayedAt = Date.now();
+  delivery.nextAttemptAt = delivery.replayedAt;
+
+  await sessionStore.putRecord(PENDING_NAMESPACE, delivery, PENDING_TTL);
+  await sessionStore.deleteRecord(DEAD_LETTER_NAMESPACE, delivery.id);
+
+  deliver(delivery).catch(error => console.error('Webhook重新投递错误:', error));
+  return toPublicDelivery(delivery);
+}
+
+/**
+ * 获取可以返回给接入方的投递信息
+ */
+function toPublicDelivery(delivery) {
+  const { subscription, ...result } = delivery;
+  return result;
+}
+
+/**
+ * 计算签名：对"<时间戳>.<请求体>"计算HMAC-SHA256，十六进制编码
+ * @param {string} secret 订阅密钥
+ * @param {number} timestamp Unix时间戳（秒）
+ * @param {string} body 原始请求体
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * 校验X-InkTrust-Signature请求头（供接收方使用）
+ * @param {string} secret 订阅密钥
+ * @param {string} header 签名请求头，格式为"t=<时间戳>,v1=<签名>"
+ * @param {string} body 原始请求体
+ * @param {number} tolerance 允许的时间偏差（秒）
+ * @returns {boolean} 签名是否有效
+ */
+function verifySignature(secret, header, body, tolerance = SIGNATURE_TOLERANCE) {
+  if (!header || typeof header !== 'string') return false;
+
+  const parts = {};
+  for (const part of header.split(',')) {
+    const [key, value] = part.split('=');
+    parts[key] = value;
+  }
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const actual = Buffer.from(parts.v1);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  dispatch,
+  processDueDeliveries,
+  getDeadLetters,
+  replayDeadLetter,
+  sign,
+  verifySignature
+};